@@ -1,15 +1,42 @@
 #!/usr/bin/env node
 
 const chalk = require('chalk');
-const inqueier = require('inquirer');
 const path = require('path');
 const fs = require('fs-extra');
 const runCLI = require('../lib/cli/index')
+const { parseCliArgs, USAGE } = require('../lib/cli/args');
+const { runCheck } = require('../lib/cli/check');
+const { formatScorecard } = require('../lib/cli/scorecard');
+const { formatReport } = require('../lib/cli/formatters');
+const { createBaseline, readBaseline, writeBaseline, baselinePath } = require('../lib/cli/baseline');
 // const { channel } = require('diagnostics_channel');
 
 
 async function main() {
 
+    let command, options, patterns;
+    try {
+        ({ command, options, patterns } = parseCliArgs(process.argv.slice(2)));
+    } catch (error) {
+        console.error(chalk.red.bold(error.message));
+        console.log(USAGE);
+        process.exit(1);
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    if (command === 'check') {
+        await check(patterns, options);
+        return;
+    }
+    if (command === 'baseline') {
+        await baseline(patterns, options);
+        return;
+    }
+
     console.log(chalk.blue.bold('Bro Lint - A tool for linting Bro scripts'));
     console.log(chalk.green.bold('Setting up your Bro environment...'));
 
@@ -26,49 +53,108 @@ async function main() {
         }
 
 
-        // Check if the ESlint configuration file exists
-        const eslintConfigPath = path.join(cwd, '.eslintrc.js');
-        if (await fs.pathExists(eslintConfigPath)) {
-            console.log(chalk.yellow.bold('ESLint configuration file found.'));
-            const answer = await inqueier.prompt({
-                type: 'confirm',
-                name: 'overwrite',
-                message: 'Do you want to overwrite the existing ESLint configuration?',
-                default: false
-            });
-
-            if (answer.overwrite) {
-                console.log(chalk.blue.bold('Overwriting existing ESLint configuration...'));
-
-            } else {
-                console.log(chalk.green.bold('Keeping existing ESLint configuration.'));
-                console.log(chalk.red.bold('Exiting Bro Lint setup.'));
-                process.exit(1);
-            }
-        }
-
         // Run the  initialization script
         
 
-        runCLI()
+        const result = await runCLI(options)
+        if (!result) {
+            console.log(chalk.green.bold('Keeping existing ESLint configuration.'));
+            console.log(chalk.red.bold('Exiting Bro Lint setup.'));
+            process.exit(1);
+        }
         
 
 
 
         // Create or overwrite the ESLint configuration file
         console.log(chalk.green.bold('\n✅ Student Linter setup completed successfully!'));
+        // Flat config (ESLint 9) picks the files from the config instead of --ext
+        const eslintCommand = result.format === 'flat' ? 'npx eslint .' : 'npx eslint . --ext .js,.jsx,.ts,.tsx';
         console.log(chalk.gray('\nNext steps:'));
-        console.log(chalk.gray('1. Install the recommended dependencies: npm install'));
-        console.log(chalk.gray('2. Run ESLint: npx eslint . --ext .js,.jsx,.ts,.tsx'));
-        console.log(chalk.gray('3. Fix issues automatically: npx eslint . --ext .js,.jsx,.ts,.tsx --fix\n'));
+        console.log(chalk.gray(`- Review the generated configuration: ${path.relative(process.cwd(), result.configFilePath)}`));
+        if (result.dependencies.installAction === 'skip') {
+            console.log(chalk.gray(`- Install the required dependencies: ${result.dependencies.command}`));
+        } else if (result.dependencies.installAction === 'add') {
+            console.log(chalk.gray(`- Install the added dependencies: ${result.dependencies.packageManager} install`));
+        }
+        console.log(chalk.gray(`- Run ESLint: ${eslintCommand}`));
+        console.log(chalk.gray(`- Fix issues automatically: ${eslintCommand} --fix\n`));
+
+
+    } catch (error) {
+        console.error(chalk.red.bold('Error setting up Bro environment:'), error.message);
+        process.exit(1);
+
+    }
+
+
+}
 
+async function check(patterns, options) {
+    try {
+        // The default baseline is optional, one passed with --baseline must exist
+        const baselineFile = baselinePath(options.baseline);
+        const useBaseline = Boolean(options.baseline) || await fs.pathExists(baselineFile);
+        const report = await runCheck(patterns, { baseline: useBaseline ? await readBaseline(baselineFile) : undefined });
+        const { scorecard, errorCount, warningCount, failingErrorCount } = report;
+        const output = formatReport(options.format, report);
+
+        if (options.output) {
+            await fs.outputFile(path.resolve(options.output), output + '\n');
+            console.log(chalk.blue.bold('\n' + formatScorecard(scorecard) + '\n'));
+            console.log(chalk.gray(`Report written to ${options.output}`));
+        } else if (options.format === 'text') {
+            console.log(chalk.blue.bold('\n' + output + '\n'));
+        } else {
+            // Machine-readable formats go to stdout unchanged so they can be piped
+            console.log(output);
+        }
 
+        if (options.format === 'text' || options.output) {
+            console.log(chalk.gray(`${errorCount} errors, ${warningCount} warnings. Run "npx eslint ." for the full list.`));
+            if (useBaseline) {
+                printBaselineSummary(report, path.relative(process.cwd(), baselineFile));
+            }
+        }
+
+        if (failingErrorCount > 0) {
+            process.exit(1);
+        }
     } catch (error) {
-        console.error(chalk.red.bold('Error setting up Bro environment:'), error);
+        console.error(chalk.red.bold('Error checking the project:'), error.message);
         process.exit(1);
+    }
+}
+
+function printBaselineSummary(report, baselineFile) {
+    const baselined = report.findings.length - report.newFindings.length;
+    console.log(chalk.gray(`${baselined} findings are in the baseline (${baselineFile}), ${report.newFindings.length} are new.`));
 
+    report.newFindings.forEach(finding => {
+        console.log(chalk.yellow(`  new: ${finding.filePath}:${finding.line}:${finding.column} ${finding.message} (${finding.ruleId})`));
+    });
+
+    if (report.fixedEntries.length > 0) {
+        const fixed = report.fixedEntries.reduce((sum, entry) => sum + entry.count, 0);
+        console.log(chalk.green(`${fixed} baseline findings have been fixed. Run "bro-lint baseline" to shrink the baseline:`));
+        report.fixedEntries.forEach(entry => {
+            console.log(chalk.green(`  fixed: ${entry.filePath} ${entry.message} (${entry.ruleId})`));
+        });
     }
+}
 
+async function baseline(patterns, options) {
+    try {
+        const { findings } = await runCheck(patterns);
+        const baselineFile = baselinePath(options.baseline);
+        await writeBaseline(baselineFile, createBaseline(findings));
 
+        console.log(chalk.green.bold(`Baseline of ${findings.length} findings written to ${path.relative(process.cwd(), baselineFile)}`));
+        console.log(chalk.gray('"bro-lint check" now only fails on findings that are not in the baseline.'));
+    } catch (error) {
+        console.error(chalk.red.bold('Error creating the baseline:'), error.message);
+        process.exit(1);
+    }
 }
+
 main()
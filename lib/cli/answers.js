@@ -0,0 +1,123 @@
+const {
+    LANGUAGE_CHOICES,
+    PROJECT_TYPE_CHOICES,
+    ARCHITECTURE_CHOICES,
+    SOLID_STRICTNESS_CHOICES,
+    getProgrammingLanguage,
+    getProjectType,
+    getProjectArchitecture,
+    getSolidStrictness,
+} = require('./prompts');
+const { loadPreset } = require('./preset');
+const { detectProject } = require('./project-detection');
+
+/**
+ * The setup questions, in the order they are asked.
+ * `key` is the answer name used by the generator, `option` the camelCase
+ * flag / preset key that can answer it up-front and `when` decides whether
+ * the question applies to the answers collected so far. A question with a
+ * `fallback` is not required with `--yes`: the fallback is used instead.
+ */
+const QUESTIONS = [
+    {
+        key: 'languageType',
+        option: 'language',
+        flag: '--language',
+        choices: LANGUAGE_CHOICES,
+        label: 'language',
+        ask: async defaultValue => (await getProgrammingLanguage(defaultValue)).languageType,
+    },
+    {
+        key: 'projectType',
+        option: 'projectType',
+        flag: '--project-type',
+        choices: PROJECT_TYPE_CHOICES,
+        label: 'project type',
+        ask: async defaultValue => (await getProjectType(defaultValue)).projectType,
+    },
+    {
+        key: 'architecture',
+        option: 'architecture',
+        flag: '--architecture',
+        choices: ARCHITECTURE_CHOICES,
+        when: answers => answers.projectType === 'Server-side',
+        fallback: 'None',
+        label: 'architecture',
+        ask: async defaultValue => (await getProjectArchitecture(defaultValue)).architecture,
+    },
+    {
+        key: 'solidStrictness',
+        option: 'solidStrictness',
+        flag: '--solid-strictness',
+        choices: SOLID_STRICTNESS_CHOICES,
+        when: answers => answers.projectType === 'Server-side',
+        fallback: 'Relaxed',
+        label: 'SOLID strictness',
+        ask: async () => (await getSolidStrictness()).solidStrictness,
+    },
+];
+
+function normalizeChoice(value, question) {
+    const match = question.choices.find(choice => choice.toLowerCase() === String(value).toLowerCase());
+    if (!match) {
+        throw new Error(`Invalid value "${value}" for ${question.flag}. Expected one of: ${question.choices.join(', ')}.`);
+    }
+    return match;
+}
+
+/**
+ * Collects the answers needed to generate the ESLint configuration.
+ *
+ * @async
+ * @function resolveAnswers
+ * @param {Object} [options={}] - Parsed CLI flags (see `parseCliArgs`).
+ * @returns {Promise<{languageType: string, projectType: string, architecture?: string, solidStrictness?: string}>}
+ * @throws {Error} When a value is invalid, or when `--yes` is set and a required answer is missing.
+ *
+ * @description
+ * Answers are taken from the command line first, then from the `--preset`
+ * file. For the rest, the guesses of `detectProject` are shown with their
+ * evidence and offered as the default choice, so the user can confirm or
+ * override them; with `--yes` the guesses are accepted as they are.
+ * Anything still unanswered is asked interactively, unless `--yes` was
+ * passed: then questions with a fallback take it, and any other missing
+ * answer is reported as an error so scripts and CI fail loudly instead of
+ * hanging on a prompt.
+ */
+async function resolveAnswers(options = {}) {
+    const preset = options.preset ? await loadPreset(options.preset) : {};
+    const guesses = options.skipDetection ? {} : await detectProject();
+    const answers = {};
+    const missing = [];
+
+    for (const question of QUESTIONS) {
+        const provided = options[question.option] !== undefined ? options[question.option] : preset[question.option];
+        const guess = guesses[question.key];
+
+        if (provided !== undefined) {
+            answers[question.key] = normalizeChoice(provided, question);
+        } else if (question.when && !question.when(answers)) {
+            continue;
+        } else if (guess) {
+            console.log(`Detected ${question.label}: ${guess.value} (${guess.evidence.join(', ')})`);
+            answers[question.key] = options.yes ? guess.value : await question.ask(guess.value);
+        } else if (options.yes && question.fallback) {
+            answers[question.key] = question.fallback;
+        } else if (options.yes) {
+            missing.push(question.flag);
+        } else {
+            answers[question.key] = await question.ask();
+        }
+    }
+
+    if (missing.length > 0) {
+        throw new Error(`Missing required answer(s) in non-interactive mode: ${missing.join(', ')}. Pass them as flags or in a --preset file.`);
+    }
+
+    return answers;
+}
+
+module.exports = {
+    resolveAnswers,
+    QUESTIONS,
+};
@@ -0,0 +1,100 @@
+const { parseArgs } = require('util');
+
+const COMMANDS = ['init', 'check', 'baseline'];
+
+const OPTIONS = {
+    language: { type: 'string' },
+    'project-type': { type: 'string' },
+    architecture: { type: 'string' },
+    'solid-strictness': { type: 'string' },
+    'config-format': { type: 'string' },
+    preset: { type: 'string' },
+    'skip-detection': { type: 'boolean', default: false },
+    'skip-install': { type: 'boolean', default: false },
+    'save-only': { type: 'boolean', default: false },
+    yes: { type: 'boolean', short: 'y', default: false },
+    force: { type: 'boolean', short: 'f', default: false },
+    merge: { type: 'boolean', short: 'm', default: false },
+    'merge-precedence': { type: 'string' },
+    format: { type: 'string', default: 'text' },
+    output: { type: 'string', short: 'o' },
+    baseline: { type: 'string' },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+const USAGE = `Usage: bro-lint [init] [options]
+       bro-lint check [files...] [options]
+       bro-lint baseline [files...] [options]
+
+Commands:
+  init                     Generate the ESLint configuration (default)
+  check                    Lint the project and print a SOLID / architecture scorecard
+  baseline                 Record the current findings so check only fails on new ones
+
+Init options:
+  --language <name>        JavaScript or TypeScript
+  --project-type <type>    React or Server-side
+  --architecture <name>    Repository, Clean Architecture or None
+  --solid-strictness <lvl> Strict, Relaxed or Off
+  --config-format <fmt>    auto (default), legacy (.eslintrc.json) or flat (eslint.config.js)
+  --preset <file>          JSON file answering the setup questions
+  --skip-detection         Do not guess answers from package.json and the folder layout
+  --skip-install           Only print the command that installs the devDependencies
+  --save-only              Add the devDependencies to package.json without installing
+  -y, --yes                Never prompt; fail when an answer is missing
+  -f, --force              Overwrite an existing ESLint configuration
+  -m, --merge              Merge into an existing ESLint configuration
+  --merge-precedence <p>   On conflicts keep the template (default), base or stricter setting
+
+Check options:
+  --format <fmt>           text (default), json, sarif, junit, html or markdown
+  -o, --output <file>      Write the report to a file instead of the console
+  --baseline <file>        Baseline file (default: .bro-lint-baseline.json, used by check when present)
+
+Options:
+  -h, --help               Show this help`;
+
+/**
+ * Parses the command line of `bro-lint`.
+ *
+ * @function parseCliArgs
+ * @param {string[]} argv - Arguments after the executable and script path.
+ * @returns {{command: string, options: Object, patterns: string[]}} The sub-command, the parsed
+ * flags and the positional arguments after the command (the files `check` lints).
+ * @throws {Error} When an unknown flag or command is passed.
+ *
+ * @description
+ * Flags use kebab-case on the command line and are returned in camelCase
+ * (`--project-type` becomes `options.projectType`). When no command is
+ * given, `init` is assumed so `bro-lint` keeps working as before.
+ *
+ * @example
+ * const { command, options } = parseCliArgs(['init', '--language', 'TypeScript', '--yes']);
+ * // command === 'init', options.language === 'TypeScript', options.yes === true
+ */
+function parseCliArgs(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        options: OPTIONS,
+        allowPositionals: true,
+        strict: true
+    });
+
+    const command = positionals[0] || 'init';
+    if (!COMMANDS.includes(command)) {
+        throw new Error(`Unknown command "${command}". Available commands: ${COMMANDS.join(', ')}.`);
+    }
+
+    const options = {};
+    Object.entries(values).forEach(([key, value]) => {
+        const camelKey = key.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+        options[camelKey] = value;
+    });
+
+    return { command, options, patterns: positionals.slice(1) };
+}
+
+module.exports = {
+    parseCliArgs,
+    USAGE,
+};
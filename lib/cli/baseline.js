@@ -0,0 +1,136 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const BASELINE_FILE = '.bro-lint-baseline.json';
+const BASELINE_VERSION = 1;
+
+function entryKey({ ruleId, filePath, fingerprint }) {
+    return `${ruleId}\u0000${filePath}\u0000${fingerprint}`;
+}
+
+/**
+ * Builds a baseline from the current findings.
+ *
+ * @function createBaseline
+ * @param {Object[]} findings - Result of `collectFindings`.
+ * @returns {{version: number, entries: Array<{ruleId: string, filePath: string, fingerprint: string, message: string, count: number}>}}
+ * One entry per rule, file and fingerprint; `count` is how often that finding occurs.
+ *
+ * @description
+ * Entries are keyed by fingerprint rather than line, so code moving around a
+ * file does not turn baselined findings into new ones.
+ */
+function createBaseline(findings) {
+    const entries = new Map();
+
+    findings.forEach(finding => {
+        const key = entryKey(finding);
+        if (entries.has(key)) {
+            entries.get(key).count++;
+        } else {
+            entries.set(key, {
+                ruleId: finding.ruleId,
+                filePath: finding.filePath,
+                fingerprint: finding.fingerprint,
+                message: finding.message,
+                count: 1,
+            });
+        }
+    });
+
+    const sorted = Array.from(entries.values()).sort((a, b) =>
+        a.filePath.localeCompare(b.filePath) || a.ruleId.localeCompare(b.ruleId) || a.fingerprint.localeCompare(b.fingerprint));
+
+    return { version: BASELINE_VERSION, entries: sorted };
+}
+
+/**
+ * Reads a baseline file.
+ *
+ * @async
+ * @function readBaseline
+ * @param {string} baselinePath - Path of the baseline file.
+ * @returns {Promise<Object>} The baseline (see `createBaseline`).
+ * @throws {Error} When the file is missing, is not valid JSON or is not a baseline.
+ */
+async function readBaseline(baselinePath) {
+    if (!await fs.pathExists(baselinePath)) {
+        throw new Error(`Baseline file not found: ${baselinePath}. Create it with "bro-lint baseline".`);
+    }
+
+    let baseline;
+    try {
+        baseline = await fs.readJson(baselinePath);
+    } catch (error) {
+        throw new Error(`Baseline file ${baselinePath} is not valid JSON: ${error.message}`);
+    }
+
+    if (baseline.version !== BASELINE_VERSION || !Array.isArray(baseline.entries)) {
+        throw new Error(`${baselinePath} is not a bro-lint baseline (version ${BASELINE_VERSION}).`);
+    }
+    return baseline;
+}
+
+/**
+ * Writes a baseline file.
+ *
+ * @async
+ * @function writeBaseline
+ * @param {string} baselinePath - Path of the baseline file.
+ * @param {Object} baseline - Result of `createBaseline`.
+ * @returns {Promise<void>}
+ */
+async function writeBaseline(baselinePath, baseline) {
+    await fs.outputJson(baselinePath, baseline, { spaces: 2 });
+}
+
+/**
+ * Marks the findings already recorded in a baseline.
+ *
+ * @function applyBaseline
+ * @param {Object[]} findings - Result of `collectFindings`.
+ * @param {Object} baseline - Result of `readBaseline`.
+ * @returns {{findings: Object[], newFindings: Object[], fixedEntries: Object[]}} The findings with
+ * a `baselined` flag, the ones not in the baseline, and the baseline entries that no longer
+ * occur (with `count` reduced to the number of occurrences fixed).
+ */
+function applyBaseline(findings, baseline) {
+    const remaining = new Map(baseline.entries.map(entry => [entryKey(entry), { ...entry }]));
+
+    const marked = findings.map(finding => {
+        const entry = remaining.get(entryKey(finding));
+        if (entry && entry.count > 0) {
+            entry.count--;
+            return { ...finding, baselined: true };
+        }
+        return { ...finding, baselined: false };
+    });
+
+    return {
+        findings: marked,
+        newFindings: marked.filter(finding => !finding.baselined),
+        fixedEntries: Array.from(remaining.values()).filter(entry => entry.count > 0),
+    };
+}
+
+/**
+ * Resolves the baseline file to use: the one passed with `--baseline`, or
+ * `.bro-lint-baseline.json` in the project directory.
+ *
+ * @function baselinePath
+ * @param {string} [requested] - Value of `--baseline`.
+ * @param {string} [cwd=process.cwd()] - Project directory.
+ * @returns {string} Absolute path of the baseline file.
+ */
+function baselinePath(requested, cwd = process.cwd()) {
+    return path.resolve(cwd, requested || BASELINE_FILE);
+}
+
+module.exports = {
+    BASELINE_FILE,
+    createBaseline,
+    readBaseline,
+    writeBaseline,
+    applyBaseline,
+    baselinePath,
+};
@@ -0,0 +1,98 @@
+const { withReportRecording } = require('../report-data');
+const { discoverEslintConfigs } = require('./existing-config');
+const { buildScorecard, isRuleEnabled } = require('./scorecard');
+const { collectFindings } = require('./findings');
+const { applyBaseline } = require('./baseline');
+
+// Legacy ESLint only lints .js files of a directory unless told otherwise
+const LEGACY_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx'];
+
+// Prefer the project's own ESLint so the check matches what `npx eslint` reports
+function loadEslintModule(cwd) {
+    try {
+        return require(require.resolve('eslint', { paths: [cwd] }));
+    } catch (error) {
+        return require('eslint');
+    }
+}
+
+async function createEslint(cwd, useFlatConfig) {
+    const eslintModule = loadEslintModule(cwd);
+
+    // `loadESLint` exists from ESLint 8.57 and picks the class for either config format
+    if (eslintModule.loadESLint) {
+        const ESLintClass = await eslintModule.loadESLint({ useFlatConfig });
+        return new ESLintClass(useFlatConfig ? { cwd } : { cwd, extensions: LEGACY_EXTENSIONS });
+    }
+    if (useFlatConfig) {
+        throw new Error('The installed ESLint cannot read eslint.config.js. Upgrade to ESLint 8.57 or later.');
+    }
+    return new eslintModule.ESLint({ cwd, extensions: LEGACY_EXTENSIONS });
+}
+
+async function collectEnabledRules(eslint, results) {
+    const enabledRules = new Set();
+    for (const result of results) {
+        const config = await eslint.calculateConfigForFile(result.filePath);
+        Object.entries((config && config.rules) || {}).forEach(([ruleId, entry]) => {
+            if (isRuleEnabled(entry)) enabledRules.add(ruleId);
+        });
+    }
+    return Array.from(enabledRules);
+}
+
+/**
+ * Runs ESLint with the project's configuration and scores the results per principle.
+ *
+ * @async
+ * @function runCheck
+ * @param {string[]} [patterns=['.']] - Files, directories or globs to lint.
+ * @param {Object} [options={}]
+ * @param {string} [options.cwd=process.cwd()] - Project directory.
+ * @param {Object} [options.baseline] - Baseline (see `readBaseline`); findings recorded in it
+ * are flagged `baselined` and do not count towards `failingErrorCount`.
+ * @returns {Promise<Object>} ESLint's `results`, the student-linter `findings` (see
+ * `collectFindings`), the `scorecard` (see `buildScorecard`), `errorCount` and `warningCount`,
+ * and `failingErrorCount`: the errors not covered by the baseline. With a baseline, also
+ * `newFindings` and the `fixedEntries` of the baseline that no longer occur.
+ * @throws {Error} When the project has no ESLint configuration.
+ */
+async function runCheck(patterns = ['.'], { cwd = process.cwd(), baseline } = {}) {
+    const existingConfigs = await discoverEslintConfigs(cwd);
+    if (existingConfigs.length === 0) {
+        throw new Error('No ESLint configuration found. Run "bro-lint init" first.');
+    }
+
+    const useFlatConfig = existingConfigs[0].format === 'flat';
+    const eslint = await createEslint(cwd, useFlatConfig);
+    const { result: results, takeReport } = await withReportRecording(() => eslint.lintFiles(patterns.length > 0 ? patterns : ['.']));
+    const enabledRules = await collectEnabledRules(eslint, results);
+
+    const findings = collectFindings(results, { cwd, takeReport });
+    const errorCount = results.reduce((sum, result) => sum + result.errorCount, 0);
+    const report = {
+        results,
+        findings,
+        scorecard: buildScorecard(results, { enabledRules, cwd }),
+        errorCount,
+        warningCount: results.reduce((sum, result) => sum + result.warningCount, 0),
+        failingErrorCount: errorCount,
+    };
+
+    if (baseline) {
+        const { findings: markedFindings, newFindings, fixedEntries } = applyBaseline(findings, baseline);
+        const baselinedErrors = markedFindings.filter(finding => finding.baselined && finding.severity === 'error').length;
+        Object.assign(report, {
+            findings: markedFindings,
+            newFindings,
+            fixedEntries,
+            failingErrorCount: errorCount - baselinedErrors,
+        });
+    }
+
+    return report;
+}
+
+module.exports = {
+    runCheck,
+};
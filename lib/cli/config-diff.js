@@ -0,0 +1,58 @@
+function formatEntry(entry) {
+    return JSON.stringify(entry);
+}
+
+/**
+ * Compares the rules of two configurations.
+ *
+ * @function diffRules
+ * @param {Object} before - Rule entries of the existing configuration.
+ * @param {Object} after - Rule entries of the resulting configuration.
+ * @returns {{added: Array, changed: Array, removed: Array, unchanged: number}}
+ * Rules only in `after`, rules whose entry differs, rules only in `before`,
+ * and how many rules are identical.
+ */
+function diffRules(before = {}, after = {}) {
+    const diff = { added: [], changed: [], removed: [], unchanged: 0 };
+
+    Object.keys(after).forEach(ruleName => {
+        if (!(ruleName in before)) {
+            diff.added.push({ ruleName, after: after[ruleName] });
+        } else if (formatEntry(before[ruleName]) !== formatEntry(after[ruleName])) {
+            diff.changed.push({ ruleName, before: before[ruleName], after: after[ruleName] });
+        } else {
+            diff.unchanged++;
+        }
+    });
+
+    Object.keys(before).forEach(ruleName => {
+        if (!(ruleName in after)) {
+            diff.removed.push({ ruleName, before: before[ruleName] });
+        }
+    });
+
+    return diff;
+}
+
+/**
+ * Renders a rules diff as lines prefixed with `+` (added), `~` (changed) and `-` (removed).
+ *
+ * @function formatRulesDiff
+ * @param {ReturnType<typeof diffRules>} diff - Result of `diffRules`.
+ * @returns {string} The printable preview.
+ */
+function formatRulesDiff(diff) {
+    const lines = [];
+
+    diff.added.forEach(({ ruleName, after }) => lines.push(`+ ${ruleName}: ${formatEntry(after)}`));
+    diff.changed.forEach(({ ruleName, before, after }) => lines.push(`~ ${ruleName}: ${formatEntry(before)} -> ${formatEntry(after)}`));
+    diff.removed.forEach(({ ruleName, before }) => lines.push(`- ${ruleName}: ${formatEntry(before)}`));
+    lines.push(`  ${diff.added.length} added, ${diff.changed.length} changed, ${diff.removed.length} removed, ${diff.unchanged} unchanged`);
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    diffRules,
+    formatRulesDiff,
+};
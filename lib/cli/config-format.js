@@ -0,0 +1,103 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const CONFIG_FORMATS = ['legacy', 'flat'];
+
+const CONFIG_FILE_NAMES = {
+    legacy: '.eslintrc.json',
+    flat: 'eslint.config.js',
+};
+
+// Flat config names whose extension overrides the module system of the package
+const FLAT_CONFIG_FILE_NAMES = {
+    commonjs: 'eslint.config.cjs',
+    module: 'eslint.config.mjs',
+};
+
+/**
+ * Reads the major version of the ESLint installed in a project.
+ *
+ * @function detectEslintMajorVersion
+ * @param {string} [cwd=process.cwd()] - Project directory.
+ * @returns {number|null} The major version, or `null` when ESLint is not installed.
+ */
+function detectEslintMajorVersion(cwd = process.cwd()) {
+    try {
+        const packageJsonPath = require.resolve('eslint/package.json', { paths: [cwd] });
+        const { version } = fs.readJsonSync(packageJsonPath);
+        return Number(version.split('.')[0]);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Tells whether a project's `.js` files are ES modules (`"type": "module"` in package.json).
+ *
+ * @function isModulePackage
+ * @param {string} [cwd=process.cwd()] - Project directory.
+ * @returns {boolean} `true` for ES module packages.
+ */
+function isModulePackage(cwd = process.cwd()) {
+    try {
+        return fs.readJsonSync(path.join(cwd, 'package.json')).type === 'module';
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Decides which configuration format to generate.
+ *
+ * @function resolveConfigFormat
+ * @param {string} [requested] - Value of `--config-format` (`legacy`, `flat` or `auto`).
+ * @param {string} [cwd=process.cwd()] - Project directory.
+ * @returns {'legacy'|'flat'} The format to write.
+ * @throws {Error} When an unknown format is requested.
+ *
+ * @description
+ * Without an explicit format, ESLint 9 and later get a flat config (their
+ * default) and older or missing installs get a legacy `.eslintrc.json`.
+ */
+function resolveConfigFormat(requested, cwd = process.cwd()) {
+    if (requested && requested !== 'auto') {
+        if (!CONFIG_FORMATS.includes(requested)) {
+            throw new Error(`Invalid value "${requested}" for --config-format. Expected one of: auto, ${CONFIG_FORMATS.join(', ')}.`);
+        }
+        return requested;
+    }
+
+    const majorVersion = detectEslintMajorVersion(cwd);
+    return majorVersion !== null && majorVersion >= 9 ? 'flat' : 'legacy';
+}
+
+/**
+ * Returns the path of the configuration file written for a format.
+ *
+ * @function configFilePath
+ * @param {'legacy'|'flat'} format - Configuration format.
+ * @param {string} [cwd=process.cwd()] - Project directory.
+ * @param {Object} [options]
+ * @param {boolean} [options.esm=false] - Whether a flat config is written as an ES module.
+ * @returns {string} Absolute path of the configuration file.
+ *
+ * @description
+ * A flat config is `eslint.config.js` when its module system matches the
+ * package's, and `eslint.config.cjs` or `eslint.config.mjs` otherwise, so
+ * Node loads it the way it was written.
+ */
+function configFilePath(format, cwd = process.cwd(), { esm = false } = {}) {
+    if (format === 'flat' && esm !== isModulePackage(cwd)) {
+        return path.join(cwd, FLAT_CONFIG_FILE_NAMES[esm ? 'module' : 'commonjs']);
+    }
+    return path.join(cwd, CONFIG_FILE_NAMES[format]);
+}
+
+module.exports = {
+    CONFIG_FORMATS,
+    CONFIG_FILE_NAMES,
+    detectEslintMajorVersion,
+    isModulePackage,
+    resolveConfigFormat,
+    configFilePath,
+};
@@ -0,0 +1,186 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const { toFlatConfig, pluginPackageName } = require('./flat-config');
+
+// The student-linter plugin is this package, installed under the name ESLint resolves
+const PACKAGE_SPECS = {
+    'eslint-plugin-student-linter': 'npm:bro-linting-script',
+};
+
+const LOCKFILES = [
+    { fileName: 'pnpm-lock.yaml', packageManager: 'pnpm' },
+    { fileName: 'yarn.lock', packageManager: 'yarn' },
+    { fileName: 'package-lock.json', packageManager: 'npm' },
+];
+
+const ADD_DEV_ARGS = {
+    npm: ['install', '--save-dev'],
+    yarn: ['add', '--dev'],
+    pnpm: ['add', '--save-dev'],
+};
+
+function toList(value) {
+    if (!value) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+// Packages a legacy config block pulls in through `plugins`, `extends` and `parser`
+function collectLegacyPackages(config, packages) {
+    toList(config.plugins).forEach(pluginName => packages.add(pluginPackageName(pluginName)));
+
+    toList(config.extends).forEach(name => {
+        const plugin = /^plugin:((?:@[^/]+\/)?[^/]+)\//.exec(name);
+        if (plugin) {
+            packages.add(pluginPackageName(plugin[1]));
+        } else if (!name.startsWith('eslint:') && !name.startsWith('.')) {
+            packages.add(name.startsWith('@') || name.startsWith('eslint-config-') ? name : `eslint-config-${name}`);
+        }
+    });
+
+    if (config.parser) {
+        packages.add(config.parser);
+    }
+
+    toList(config.overrides).forEach(override => collectLegacyPackages(override, packages));
+}
+
+/**
+ * Computes the devDependencies a generated configuration needs.
+ *
+ * @function computeDevDependencies
+ * @param {Object} config - Legacy configuration, as produced by `generateEslintConfig`.
+ * @param {'legacy'|'flat'} [format='legacy'] - Format the configuration is written in.
+ * @returns {string[]} Package names, with a version or alias where one is required (`name@spec`).
+ *
+ * @description
+ * Legacy configurations are pinned to ESLint 8, the last major that reads
+ * `.eslintrc` files by default. Flat configurations also need the modules
+ * `eslint.config.js` requires (`globals`, `@eslint/eslintrc`).
+ */
+function computeDevDependencies(config, format = 'legacy') {
+    const packages = new Set();
+    collectLegacyPackages(config, packages);
+
+    if (format === 'flat') {
+        toFlatConfig(config).requires.forEach(moduleName => {
+            if (!moduleName.startsWith('.')) packages.add(moduleName);
+        });
+    }
+
+    if (packages.has('@typescript-eslint/parser')) {
+        packages.add('typescript');
+    }
+
+    const specs = Array.from(packages).map(name => (PACKAGE_SPECS[name] ? `${name}@${PACKAGE_SPECS[name]}` : name));
+    return [format === 'flat' ? 'eslint@^9' : 'eslint@^8', ...specs];
+}
+
+function packageNameOf(spec) {
+    const versionAt = spec.indexOf('@', 1);
+    return versionAt === -1 ? spec : spec.slice(0, versionAt);
+}
+
+/**
+ * Drops the packages the project already lists in its dependencies.
+ *
+ * @async
+ * @function filterMissingDependencies
+ * @param {string[]} specs - Result of `computeDevDependencies`.
+ * @param {string} [cwd=process.cwd()] - Project directory.
+ * @returns {Promise<string[]>} The specs still to be added.
+ */
+async function filterMissingDependencies(specs, cwd = process.cwd()) {
+    const packageJsonPath = path.join(cwd, 'package.json');
+    const packageJson = await fs.pathExists(packageJsonPath) ? await fs.readJson(packageJsonPath) : {};
+    const installed = { ...packageJson.dependencies, ...packageJson.devDependencies };
+
+    return specs.filter(spec => !installed[packageNameOf(spec)]);
+}
+
+/**
+ * Detects the package manager of a project from its lockfile.
+ *
+ * @async
+ * @function detectPackageManager
+ * @param {string} [cwd=process.cwd()] - Project directory.
+ * @returns {Promise<'npm'|'yarn'|'pnpm'>} The package manager, `npm` when no lockfile is found.
+ */
+async function detectPackageManager(cwd = process.cwd()) {
+    for (const { fileName, packageManager } of LOCKFILES) {
+        if (await fs.pathExists(path.join(cwd, fileName))) {
+            return packageManager;
+        }
+    }
+    return 'npm';
+}
+
+/**
+ * Builds the command that installs packages as devDependencies.
+ *
+ * @function installCommand
+ * @param {'npm'|'yarn'|'pnpm'} packageManager - Package manager to use.
+ * @param {string[]} specs - Packages to install.
+ * @returns {{command: string, args: string[], text: string}} The executable, its arguments and the printable command line.
+ */
+function installCommand(packageManager, specs) {
+    const args = [...ADD_DEV_ARGS[packageManager], ...specs];
+    return { command: packageManager, args, text: `${packageManager} ${args.join(' ')}` };
+}
+
+/**
+ * Installs packages as devDependencies with the project's package manager.
+ *
+ * @function runInstall
+ * @param {'npm'|'yarn'|'pnpm'} packageManager - Package manager to use.
+ * @param {string[]} specs - Packages to install.
+ * @param {string} [cwd=process.cwd()] - Project directory.
+ * @returns {Promise<void>} Resolves when the install succeeds.
+ * @throws {Error} When the package manager cannot be started or exits with a non-zero code.
+ */
+function runInstall(packageManager, specs, cwd = process.cwd()) {
+    const { command, args, text } = installCommand(packageManager, specs);
+
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args, { cwd, stdio: 'inherit', shell: process.platform === 'win32' });
+        child.on('error', error => reject(new Error(`Could not run "${text}": ${error.message}`)));
+        child.on('close', code => (code === 0 ? resolve() : reject(new Error(`"${text}" exited with code ${code}.`))));
+    });
+}
+
+/**
+ * Adds packages to `package.json#devDependencies` without installing them.
+ *
+ * @async
+ * @function addDevDependencies
+ * @param {string[]} specs - Packages to add; a spec without a version is added as `latest`.
+ * @param {string} [cwd=process.cwd()] - Project directory.
+ * @returns {Promise<void>}
+ */
+async function addDevDependencies(specs, cwd = process.cwd()) {
+    const packageJsonPath = path.join(cwd, 'package.json');
+    const packageJson = await fs.readJson(packageJsonPath);
+    const devDependencies = { ...packageJson.devDependencies };
+
+    specs.forEach(spec => {
+        const name = packageNameOf(spec);
+        devDependencies[name] = spec.length > name.length ? spec.slice(name.length + 1) : 'latest';
+    });
+
+    const sorted = {};
+    Object.keys(devDependencies).sort().forEach(name => {
+        sorted[name] = devDependencies[name];
+    });
+
+    await fs.writeJson(packageJsonPath, { ...packageJson, devDependencies: sorted }, { spaces: 2 });
+}
+
+module.exports = {
+    computeDevDependencies,
+    filterMissingDependencies,
+    detectPackageManager,
+    installCommand,
+    runInstall,
+    addDevDependencies,
+};
@@ -1,13 +1,93 @@
 const merge = require('../../utils/config-merge.js')
 const baseConfig = require('../templates/base-template.js');
-const reactConfig = require('../templates/react-template.js');  
+const reactConfig = require('../templates/react-template.js');
+const serverSideConfig = require('../templates/server-side-template.js');
+const solidConfig = require('../templates/solid-principle-template.js');
+const cleanArchitectureConfig = require('../templates/clean-architecture-template.js');
+const repositoryArchitectureConfig = require('../templates/repository-architecture-template.js');
+const typescriptConfig = require('../templates/typescript-template.js');
 
+const ARCHITECTURE_TEMPLATES = {
+    'Clean Architecture': cleanArchitectureConfig,
+    'Repository': repositoryArchitectureConfig,
+};
 
+const SOLID_SEVERITY = {
+    'Strict': 'error',
+    'Relaxed': 'warn',
+};
 
+// Options the student-linter rules need to follow the project's language
+const LANGUAGE_RULE_OPTIONS = {
+    'JavaScript': {
+        'student-linter/repository-architecture': { repositoryPattern: 'class' },
+    },
+    'TypeScript': {
+        'student-linter/repository-architecture': { repositoryPattern: 'interface' },
+        'student-linter/dip-violation': {
+            checkTypeScriptTypes: true,
+            allowedFiles: ['**/di-container.{js,ts}', '**/factory.{js,ts}', '**/bootstrap.{js,ts}', '**/index.{js,ts}'],
+        },
+        'student-linter/clean-architecture': {
+            testPatterns: ['**/*.test.{js,ts,tsx}', '**/*.spec.{js,ts,tsx}', '**/test/**', '**/tests/**'],
+        },
+    },
+};
+
+// Adds options to rules that are already enabled; array options are extended, not replaced
+function applyRuleOptions(config, ruleOptions) {
+    const rules = { ...config.rules };
+
+    Object.entries(ruleOptions).forEach(([ruleName, extraOptions]) => {
+        const entry = rules[ruleName];
+        if (entry === undefined || entry === 'off' || entry === 0) return;
+
+        const [severity, options = {}] = Array.isArray(entry) ? entry : [entry];
+        const mergedOptions = { ...options };
+        Object.entries(extraOptions).forEach(([key, value]) => {
+            mergedOptions[key] = Array.isArray(value) && Array.isArray(options[key])
+                ? Array.from(new Set([...options[key], ...value]))
+                : value;
+        });
+        rules[ruleName] = [severity, mergedOptions];
+    });
+
+    return { ...config, rules };
+}
+
+// Sets the severity of every SOLID rule, keeping the options an architecture template gave it
+function applySolidStrictness(config, solidStrictness) {
+    const rules = { ...config.rules };
+
+    Object.keys(solidConfig.rules).forEach(ruleName => {
+        if (!(ruleName in rules)) return;
+
+        const severity = SOLID_SEVERITY[solidStrictness];
+        if (!severity) {
+            delete rules[ruleName];
+        } else if (Array.isArray(rules[ruleName])) {
+            rules[ruleName] = [severity, ...rules[ruleName].slice(1)];
+        } else {
+            rules[ruleName] = severity;
+        }
+    });
+
+    return { ...config, rules };
+}
+
+/**
+ * Builds the ESLint configuration for the user's answers.
+ *
+ * @function generateEslintConfig
+ * @param {Object} userChoice - Answers collected by `resolveAnswers`.
+ * @returns {Object} A legacy `.eslintrc` object; `toFlatConfig` translates it for `eslint.config.js`.
+ */
 function generateEslintConfig(userChoice) {
     const {
         projectType,
-        languageType
+        languageType,
+        architecture,
+        solidStrictness = 'Relaxed'
     } = userChoice;
 
     let config = { ...baseConfig };
@@ -16,6 +96,28 @@ function generateEslintConfig(userChoice) {
         config = merge(config, reactConfig);
     }
 
+    if(projectType === 'Server-side') {
+        config = merge(config, serverSideConfig);
+
+        if (solidStrictness !== 'Off') {
+            config = merge(config, solidConfig);
+        }
+
+        if (ARCHITECTURE_TEMPLATES[architecture]) {
+            config = merge(config, ARCHITECTURE_TEMPLATES[architecture]);
+        }
+
+        config = applySolidStrictness(config, solidStrictness);
+    }
+
+    if (languageType === 'TypeScript') {
+        config = merge(config, typescriptConfig);
+    }
+
+    if (LANGUAGE_RULE_OPTIONS[languageType]) {
+        config = applyRuleOptions(config, LANGUAGE_RULE_OPTIONS[languageType]);
+    }
+
     return config;
 }
 
@@ -0,0 +1,140 @@
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// In the order ESLint itself gives them precedence within a directory
+const LEGACY_CONFIG_FILES = [
+    { fileName: '.eslintrc.js', type: 'js' },
+    { fileName: '.eslintrc.cjs', type: 'js' },
+    { fileName: '.eslintrc.yaml', type: 'yaml' },
+    { fileName: '.eslintrc.yml', type: 'yaml' },
+    { fileName: '.eslintrc.json', type: 'json' },
+    { fileName: '.eslintrc', type: 'yaml' },
+];
+
+const FLAT_CONFIG_FILES = [
+    { fileName: 'eslint.config.js', type: 'js' },
+    { fileName: 'eslint.config.mjs', type: 'js' },
+    { fileName: 'eslint.config.cjs', type: 'js' },
+];
+
+/**
+ * Finds every ESLint configuration in a project directory.
+ *
+ * @async
+ * @function discoverEslintConfigs
+ * @param {string} [cwd=process.cwd()] - Project directory.
+ * @returns {Promise<Array<{fileName: string, filePath: string, format: 'legacy'|'flat', type: string}>>}
+ * The configurations found, flat configs first, then legacy ones in ESLint's precedence order.
+ *
+ * @description
+ * `package.json#eslintConfig` is reported with `type: 'package.json'`.
+ */
+async function discoverEslintConfigs(cwd = process.cwd()) {
+    const found = [];
+
+    for (const { fileName, type } of FLAT_CONFIG_FILES) {
+        const filePath = path.join(cwd, fileName);
+        if (await fs.pathExists(filePath)) {
+            found.push({ fileName, filePath, format: 'flat', type });
+        }
+    }
+
+    for (const { fileName, type } of LEGACY_CONFIG_FILES) {
+        const filePath = path.join(cwd, fileName);
+        if (await fs.pathExists(filePath)) {
+            found.push({ fileName, filePath, format: 'legacy', type });
+        }
+    }
+
+    const packageJsonPath = path.join(cwd, 'package.json');
+    if (await fs.pathExists(packageJsonPath)) {
+        const packageJson = await fs.readJson(packageJsonPath);
+        if (packageJson.eslintConfig) {
+            found.push({ fileName: 'package.json#eslintConfig', filePath: packageJsonPath, format: 'legacy', type: 'package.json' });
+        }
+    }
+
+    return found;
+}
+
+/**
+ * Loads a configuration found by `discoverEslintConfigs`.
+ *
+ * @async
+ * @function loadEslintConfig
+ * @param {{filePath: string, type: string, format: string}} entry - A discovered configuration.
+ * @returns {Promise<Object|Array>} The legacy config object, or the flat config array.
+ * @throws {Error} When the file cannot be parsed.
+ */
+async function loadEslintConfig(entry) {
+    try {
+        if (entry.type === 'package.json') {
+            return (await fs.readJson(entry.filePath)).eslintConfig;
+        }
+        if (entry.type === 'json') {
+            return await fs.readJson(entry.filePath);
+        }
+        if (entry.type === 'yaml') {
+            return yaml.load(await fs.readFile(entry.filePath, 'utf8')) || {};
+        }
+
+        delete require.cache[require.resolve(entry.filePath)];
+        const loaded = require(entry.filePath);
+        return loaded && loaded.__esModule ? loaded.default : loaded;
+    } catch (error) {
+        throw new Error(`Could not read the existing ESLint configuration ${entry.fileName}: ${error.message}`);
+    }
+}
+
+/**
+ * Collects the rules that apply to every file in a configuration.
+ *
+ * @function collectRules
+ * @param {Object|Array} config - Legacy config object or flat config array.
+ * @returns {Object} Rule name to rule entry.
+ */
+function collectRules(config) {
+    if (Array.isArray(config)) {
+        return config
+            .filter(entry => entry && !entry.files)
+            .reduce((rules, entry) => ({ ...rules, ...entry.rules }), {});
+    }
+    return { ...(config && config.rules) };
+}
+
+/**
+ * Saves a timestamped copy of a configuration and removes it from the project.
+ *
+ * @async
+ * @function backupAndRemove
+ * @param {{fileName: string, filePath: string, type: string}} entry - A discovered configuration.
+ * @param {Date} [date=new Date()] - Timestamp used in the backup file name.
+ * @returns {Promise<string>} Path of the backup file.
+ *
+ * @description
+ * Configuration files are moved to `<file>.<timestamp>.bak`. For
+ * `package.json#eslintConfig`, `package.json` is copied and only the
+ * `eslintConfig` key is removed from the original.
+ */
+async function backupAndRemove(entry, date = new Date()) {
+    const timestamp = date.toISOString().replace(/[:.]/g, '-');
+    const backupPath = `${entry.filePath}.${timestamp}.bak`;
+
+    if (entry.type === 'package.json') {
+        await fs.copy(entry.filePath, backupPath);
+        const { eslintConfig, ...packageJson } = await fs.readJson(entry.filePath);
+        await fs.writeJson(entry.filePath, packageJson, { spaces: 2 });
+    } else {
+        await fs.move(entry.filePath, backupPath);
+    }
+
+    return backupPath;
+}
+
+module.exports = {
+    discoverEslintConfigs,
+    loadEslintConfig,
+    collectRules,
+    backupAndRemove,
+};
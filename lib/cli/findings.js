@@ -0,0 +1,59 @@
+const path = require('path');
+
+const { fingerprintOf } = require('../report-data');
+const { familyOf } = require('./rule-families');
+
+// Findings of a plugin copy that does not record reports are fingerprinted by their source line
+function lineFingerprint(result, message) {
+    const line = result.source ? result.source.split(/\r?\n/)[message.line - 1] : '';
+    return fingerprintOf(message.ruleId, message.messageId || message.message, line || '');
+}
+
+/**
+ * Flattens ESLint results into the student-linter findings the reports are built from.
+ *
+ * @function collectFindings
+ * @param {Object[]} results - ESLint `LintResult` objects.
+ * @param {Object} [options]
+ * @param {string} [options.cwd=process.cwd()] - Directory file paths are made relative to.
+ * @param {Function} [options.takeReport] - Returns the recorded `{messageId, data, fingerprint}` of a
+ * finding (see `withReportRecording`).
+ * @returns {Array<Object>} One entry per finding with `ruleId`, `family`, `familyLabel`,
+ * `severity` (`error`|`warning`), `message`, `messageId`, `data`, `fingerprint`, `filePath`,
+ * `line`, `column`, `endLine` and `endColumn`. Findings of other rules are left out.
+ */
+function collectFindings(results, { cwd = process.cwd(), takeReport } = {}) {
+    const findings = [];
+
+    results.forEach(result => {
+        const filePath = path.relative(cwd, result.filePath).split(path.sep).join('/');
+
+        result.messages.forEach(message => {
+            const family = familyOf(message.ruleId);
+            if (!family) return;
+
+            const recorded = takeReport ? takeReport(result.filePath, message.ruleId, message.line, message.column) : null;
+            findings.push({
+                ruleId: message.ruleId,
+                family: family.id,
+                familyLabel: family.label,
+                severity: message.severity === 2 ? 'error' : 'warning',
+                message: message.message,
+                messageId: message.messageId || (recorded && recorded.messageId) || null,
+                data: (recorded && recorded.data) || {},
+                fingerprint: recorded ? recorded.fingerprint : lineFingerprint(result, message),
+                filePath,
+                line: message.line,
+                column: message.column,
+                endLine: message.endLine || message.line,
+                endColumn: message.endColumn || message.column,
+            });
+        });
+    });
+
+    return findings;
+}
+
+module.exports = {
+    collectFindings,
+};
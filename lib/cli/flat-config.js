@@ -0,0 +1,300 @@
+/**
+ * Translation of the legacy (`.eslintrc`) configuration produced by the
+ * templates into ESLint flat config (`eslint.config.js`).
+ *
+ * Flat config references plugins, parsers and globals as JavaScript values
+ * rather than strings, so the translated config carries `Expression` /
+ * `Spread` markers that `renderFlatConfig` turns into `require()` calls.
+ */
+
+const RESERVED_WORDS = ['import', 'export', 'default', 'package', 'new', 'class', 'function'];
+
+class Expression {
+    constructor(code) {
+        this.code = code;
+    }
+}
+
+class Spread {
+    constructor(code) {
+        this.code = code;
+    }
+}
+
+// An object literal built from spreads and plain objects, e.g. `{ ...globals.node, myGlobal: 'readonly' }`
+class MergedObject {
+    constructor(parts) {
+        this.parts = parts;
+    }
+}
+
+function toIdentifier(name) {
+    const identifier = name
+        .replace(/^@/, '')
+        .replace(/[^a-zA-Z0-9]+([a-zA-Z0-9])/g, (_, letter) => letter.toUpperCase())
+        .replace(/[^a-zA-Z0-9]/g, '');
+    return RESERVED_WORDS.includes(identifier) ? `${identifier}Plugin` : identifier;
+}
+
+/**
+ * Returns the npm package that provides an ESLint plugin short name.
+ *
+ * @function pluginPackageName
+ * @param {string} pluginName - Plugin name as used in legacy `plugins` (e.g. `react`, `@typescript-eslint`).
+ * @returns {string} The package name (e.g. `eslint-plugin-react`, `@typescript-eslint/eslint-plugin`).
+ */
+function pluginPackageName(pluginName) {
+    if (pluginName.startsWith('@')) {
+        const [scope, name] = pluginName.split('/');
+        return name ? `${scope}/eslint-plugin-${name}` : `${scope}/eslint-plugin`;
+    }
+    return pluginName.startsWith('eslint-plugin-') ? pluginName : `eslint-plugin-${pluginName}`;
+}
+
+// Legacy globs without a slash match in any directory, flat config globs are relative to the config file
+function toFlatGlobs(patterns) {
+    const list = Array.isArray(patterns) ? patterns : [patterns];
+    return list.map(pattern => (pattern.includes('/') ? pattern : `**/${pattern}`));
+}
+
+// Legacy configs use edition numbers (6, 12) and years (2015, 2021) interchangeably
+function normalizeEcmaVersion(version) {
+    if (version === 'latest') return version;
+    return version < 2015 ? version + 2009 : version;
+}
+
+function newestEcmaVersion(a, b) {
+    if (a === undefined) return b;
+    if (a === 'latest' || b === 'latest') return 'latest';
+    return Math.max(a, b);
+}
+
+function translateLanguageOptions(config, requires) {
+    const languageOptions = {};
+    const globals = [];
+    let ecmaVersion;
+
+    Object.entries(config.env || {}).forEach(([envName, enabled]) => {
+        if (!enabled) return;
+
+        const esVersion = /^es(\d+)$/.exec(envName);
+        if (esVersion) {
+            ecmaVersion = newestEcmaVersion(ecmaVersion, normalizeEcmaVersion(Number(esVersion[1])));
+            return;
+        }
+
+        requires.set('globals', 'globals');
+        globals.push(new Spread(`globals.${envName}`));
+    });
+
+    const { ecmaVersion: parserEcmaVersion, sourceType, ...parserOptions } = config.parserOptions || {};
+
+    if (parserEcmaVersion !== undefined) {
+        ecmaVersion = newestEcmaVersion(ecmaVersion, normalizeEcmaVersion(parserEcmaVersion));
+    }
+    if (ecmaVersion !== undefined) {
+        languageOptions.ecmaVersion = ecmaVersion;
+    }
+    if (sourceType !== undefined) {
+        languageOptions.sourceType = sourceType;
+    }
+    if (config.globals) {
+        globals.push(config.globals);
+    }
+    if (globals.length > 0) {
+        languageOptions.globals = new MergedObject(globals);
+    }
+    if (config.parser) {
+        const parserVariable = toIdentifier(config.parser.replace(/\/parser$/, '')) + 'Parser';
+        requires.set(parserVariable, config.parser);
+        languageOptions.parser = new Expression(parserVariable);
+    }
+    if (Object.keys(parserOptions).length > 0) {
+        languageOptions.parserOptions = parserOptions;
+    }
+
+    return languageOptions;
+}
+
+function translatePlugins(plugins, requires) {
+    const flatPlugins = {};
+    (plugins || []).forEach(pluginName => {
+        const variable = toIdentifier(pluginName);
+        requires.set(variable, pluginPackageName(pluginName));
+        flatPlugins[pluginName] = new Expression(variable);
+    });
+    return flatPlugins;
+}
+
+function translateConfigBlock(config, requires) {
+    const block = {};
+
+    if (config.files) {
+        block.files = toFlatGlobs(config.files);
+    }
+    if (config.excludedFiles) {
+        block.ignores = toFlatGlobs(config.excludedFiles);
+    }
+
+    const plugins = translatePlugins(config.plugins, requires);
+    if (Object.keys(plugins).length > 0) {
+        block.plugins = plugins;
+    }
+
+    const languageOptions = translateLanguageOptions(config, requires);
+    if (Object.keys(languageOptions).length > 0) {
+        block.languageOptions = languageOptions;
+    }
+
+    if (config.settings) {
+        block.settings = config.settings;
+    }
+    if (config.rules) {
+        block.rules = config.rules;
+    }
+
+    return block;
+}
+
+function translateExtends(extendsList, requires) {
+    const list = Array.isArray(extendsList) ? extendsList : (extendsList ? [extendsList] : []);
+    const entries = [];
+    const legacy = [];
+
+    list.forEach(name => {
+        // Our own presets ship as flat configs, anything else goes through FlatCompat
+        const ownPreset = /^plugin:student-linter\/(.+)$/.exec(name);
+        if (ownPreset) {
+            requires.set('studentLinter', pluginPackageName('student-linter'));
+            entries.push(new Expression(`studentLinter.configs['flat/${ownPreset[1]}']`));
+        } else {
+            legacy.push(name);
+        }
+    });
+
+    if (legacy.length > 0) {
+        requires.set('{ FlatCompat }', '@eslint/eslintrc');
+        entries.unshift(new Spread(`compat.extends(${legacy.map(name => `'${name}'`).join(', ')})`));
+    }
+
+    return entries;
+}
+
+/**
+ * Translates a legacy ESLint configuration into a flat config array.
+ *
+ * @function toFlatConfig
+ * @param {Object} config - Legacy configuration, as produced by `generateEslintConfig`.
+ * @returns {{requires: Map<string, string>, entries: Array}} The modules the config needs
+ * (variable name to module) and the config array entries.
+ *
+ * @description
+ * - `env` becomes `languageOptions.globals` (from the `globals` package) and `ecmaVersion`
+ * - `plugins` becomes a `plugins` object of required plugin modules
+ * - `extends` of third-party presets goes through `FlatCompat`, our own presets use the plugin's flat configs
+ * - `overrides` become additional config objects scoped with `files`
+ * - `ignorePatterns` becomes a global `ignores` object
+ */
+function toFlatConfig(config) {
+    const requires = new Map();
+    const entries = [];
+
+    if (config.ignorePatterns) {
+        entries.push({ ignores: toFlatGlobs(config.ignorePatterns) });
+    }
+
+    entries.push(...translateExtends(config.extends, requires));
+
+    const { overrides, extends: _extends, ignorePatterns, root, ...base } = config;
+    entries.push(translateConfigBlock(base, requires));
+
+    (overrides || []).forEach(override => {
+        const { extends: overrideExtends, ...rest } = override;
+        const files = renderValue(toFlatGlobs(override.files), 0);
+        translateExtends(overrideExtends, requires).forEach(entry => {
+            entries.push(entry instanceof Spread
+                ? new Spread(`${entry.code}.map(config => ({ ...config, files: ${files} }))`)
+                : new Expression(`{ ...${entry.code}, files: ${files} }`));
+        });
+        entries.push(translateConfigBlock(rest, requires));
+    });
+
+    return { requires, entries };
+}
+
+function renderKey(key) {
+    return /^[a-zA-Z_$][\w$]*$/.test(key) ? key : `'${key}'`;
+}
+
+function renderValue(value, indent) {
+    const padding = '  '.repeat(indent + 1);
+    const closing = '  '.repeat(indent);
+
+    if (value instanceof Expression) {
+        return value.code;
+    }
+    if (value instanceof MergedObject) {
+        const parts = [];
+        value.parts.forEach(part => {
+            if (part instanceof Spread) {
+                parts.push(`...${part.code}`);
+            } else {
+                Object.entries(part).forEach(([key, val]) => parts.push(`${renderKey(key)}: ${renderValue(val, indent + 1)}`));
+            }
+        });
+        return `{\n${padding}${parts.join(`,\n${padding}`)}\n${closing}}`;
+    }
+    if (Array.isArray(value)) {
+        if (value.length === 0) return '[]';
+        const items = value.map(item => (item instanceof Spread ? `...${item.code}` : renderValue(item, indent + 1)));
+        const inline = `[${items.join(', ')}]`;
+        if (inline.length <= 80 && !inline.includes('\n')) return inline;
+        return `[\n${padding}${items.join(`,\n${padding}`)}\n${closing}]`;
+    }
+    if (value && typeof value === 'object') {
+        const entries = Object.entries(value);
+        if (entries.length === 0) return '{}';
+        const items = entries.map(([key, val]) => `${renderKey(key)}: ${renderValue(val, indent + 1)}`);
+        return `{\n${padding}${items.join(`,\n${padding}`)}\n${closing}}`;
+    }
+    return typeof value === 'string' ? `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'` : JSON.stringify(value);
+}
+
+/**
+ * Renders a translated flat config as the source of an `eslint.config.js` file.
+ *
+ * @function renderFlatConfig
+ * @param {{requires: Map<string, string>, entries: Array}} flatConfig - Result of `toFlatConfig`.
+ * @param {Object} [options]
+ * @param {boolean} [options.esm=false] - Render `import` / `export default` instead of
+ * `require()` / `module.exports`, for `"type": "module"` packages and `.mjs` files.
+ * @returns {string} Source exporting the flat config array.
+ */
+function renderFlatConfig(flatConfig, { esm = false } = {}) {
+    const lines = [];
+    const usesCompat = flatConfig.requires.has('{ FlatCompat }');
+
+    if (esm && usesCompat) {
+        lines.push("import path from 'path';", "import { fileURLToPath } from 'url';");
+    }
+    flatConfig.requires.forEach((moduleName, variable) => {
+        lines.push(esm ? `import ${variable} from '${moduleName}';` : `const ${variable} = require('${moduleName}');`);
+    });
+
+    if (usesCompat) {
+        const baseDirectory = esm ? 'path.dirname(fileURLToPath(import.meta.url))' : '__dirname';
+        lines.push('', `const compat = new FlatCompat({ baseDirectory: ${baseDirectory} });`);
+    }
+
+    const exported = renderValue(flatConfig.entries, 0);
+    lines.push('', esm ? `export default ${exported};` : `module.exports = ${exported};`, '');
+    return lines.join('\n');
+}
+
+module.exports = {
+    toFlatConfig,
+    renderFlatConfig,
+    pluginPackageName,
+    Expression,
+    Spread,
+};
@@ -0,0 +1,8 @@
+const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Escapes text for HTML and XML content and attribute values
+function escapeMarkup(value) {
+    return String(value).replace(/[&<>"']/g, character => ENTITIES[character]);
+}
+
+module.exports = escapeMarkup;
@@ -0,0 +1,53 @@
+const escapeMarkup = require('./escape');
+const { formatScore } = require('../scorecard');
+
+const STYLES = `
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; }
+table { border-collapse: collapse; margin-bottom: 2rem; }
+th, td { border: 1px solid #ddd; padding: 0.4rem 0.8rem; text-align: left; }
+th { background: #f4f4f4; }
+.error { color: #b00020; }
+.warning { color: #a66300; }
+code { font-size: 0.9em; }`;
+
+/**
+ * Renders the check report as a self-contained HTML page.
+ *
+ * @param {{findings: Object[], scorecard: Object, errorCount: number, warningCount: number}} report
+ * @returns {string}
+ */
+function formatHtml(report) {
+    const familyRows = report.scorecard.families.map(family => `
+      <tr><td>${escapeMarkup(family.label)}</td><td>${formatScore(family)}</td><td>${family.errors}</td><td>${family.warnings}</td><td>${family.files}</td></tr>`).join('');
+
+    const findingRows = report.findings.map(finding => `
+      <tr class="${finding.severity}"><td><code>${escapeMarkup(`${finding.filePath}:${finding.line}:${finding.column}`)}</code></td><td>${finding.severity}${finding.baselined ? ' (baseline)' : ''}</td><td>${escapeMarkup(finding.familyLabel)}</td><td><code>${escapeMarkup(finding.ruleId)}</code></td><td>${escapeMarkup(finding.message)}</td></tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>bro-lint report</title>
+  <style>${STYLES}
+  </style>
+</head>
+<body>
+  <h1>bro-lint report</h1>
+  <p>${report.scorecard.fileCount} files checked: ${report.errorCount} errors, ${report.warningCount} warnings.</p>
+  <table>
+    <thead><tr><th>Principle</th><th>Score</th><th>Errors</th><th>Warnings</th><th>Files</th></tr></thead>
+    <tbody>${familyRows}
+    </tbody>
+  </table>
+  <h2>Findings</h2>
+  ${report.findings.length === 0 ? '<p>No findings.</p>' : `<table>
+    <thead><tr><th>Location</th><th>Severity</th><th>Principle</th><th>Rule</th><th>Message</th></tr></thead>
+    <tbody>${findingRows}
+    </tbody>
+  </table>`}
+</body>
+</html>
+`;
+}
+
+module.exports = formatHtml;
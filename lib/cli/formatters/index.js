@@ -0,0 +1,34 @@
+const { formatScorecard } = require('../scorecard');
+
+const FORMATTERS = {
+    text: report => formatScorecard(report.scorecard),
+    json: require('./json'),
+    sarif: require('./sarif'),
+    junit: require('./junit'),
+    html: require('./html'),
+    markdown: require('./markdown'),
+};
+
+const REPORT_FORMATS = Object.keys(FORMATTERS);
+
+/**
+ * Renders the result of `runCheck` in one of the report formats.
+ *
+ * @function formatReport
+ * @param {string} format - One of `REPORT_FORMATS`.
+ * @param {{findings: Object[], scorecard: Object, errorCount: number, warningCount: number}} report
+ * @returns {string} The rendered report.
+ * @throws {Error} When the format is unknown.
+ */
+function formatReport(format, report) {
+    const formatter = FORMATTERS[format];
+    if (!formatter) {
+        throw new Error(`Unknown report format "${format}". Expected one of: ${REPORT_FORMATS.join(', ')}.`);
+    }
+    return formatter(report);
+}
+
+module.exports = {
+    REPORT_FORMATS,
+    formatReport,
+};
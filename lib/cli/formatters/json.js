@@ -0,0 +1,21 @@
+/**
+ * Renders the check report as JSON.
+ *
+ * @param {{findings: Object[], scorecard: Object, errorCount: number, warningCount: number}} report
+ * @returns {string}
+ */
+function formatJson(report) {
+    return JSON.stringify({
+        tool: 'bro-lint',
+        summary: {
+            fileCount: report.scorecard.fileCount,
+            errorCount: report.errorCount,
+            warningCount: report.warningCount,
+            families: report.scorecard.families,
+        },
+        findings: report.findings,
+        ...(report.fixedEntries && { fixedBaselineEntries: report.fixedEntries }),
+    }, null, 2);
+}
+
+module.exports = formatJson;
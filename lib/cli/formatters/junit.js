@@ -0,0 +1,40 @@
+const escapeMarkup = require('./escape');
+
+/**
+ * Renders the check report as JUnit XML: a test suite per file, a failing
+ * test case per finding. Findings covered by the baseline are reported as skipped.
+ *
+ * @param {{findings: Object[]}} report
+ * @returns {string}
+ */
+function formatJunit(report) {
+    const files = new Map();
+    report.findings.forEach(finding => {
+        if (!files.has(finding.filePath)) files.set(finding.filePath, []);
+        files.get(finding.filePath).push(finding);
+    });
+
+    const failures = report.findings.filter(finding => !finding.baselined).length;
+    const lines = ['<?xml version="1.0" encoding="utf-8"?>', `<testsuites name="bro-lint" tests="${report.findings.length}" failures="${failures}">`];
+
+    files.forEach((findings, filePath) => {
+        const skipped = findings.filter(finding => finding.baselined).length;
+        lines.push(`  <testsuite name="${escapeMarkup(filePath)}" tests="${findings.length}" failures="${findings.length - skipped}" errors="0" skipped="${skipped}">`);
+        findings.forEach(finding => {
+            const location = `${filePath}:${finding.line}:${finding.column}`;
+            lines.push(`    <testcase name="${escapeMarkup(`${finding.ruleId} at ${location}`)}" classname="${escapeMarkup(finding.family)}">`);
+            if (finding.baselined) {
+                lines.push(`      <skipped message="${escapeMarkup(`In baseline: ${finding.message}`)}"/>`);
+            } else {
+                lines.push(`      <failure message="${escapeMarkup(finding.message)}" type="${finding.severity}">${escapeMarkup(`${location} ${finding.message} (${finding.ruleId})`)}</failure>`);
+            }
+            lines.push('    </testcase>');
+        });
+        lines.push('  </testsuite>');
+    });
+
+    lines.push('</testsuites>');
+    return lines.join('\n');
+}
+
+module.exports = formatJunit;
@@ -0,0 +1,45 @@
+const { formatScore } = require('../scorecard');
+
+// Pipes and line breaks would end the table cell
+function cell(value) {
+    return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function severityLabel(finding) {
+    return finding.baselined ? `${finding.severity} (baseline)` : finding.severity;
+}
+
+/**
+ * Renders the check report as Markdown: the scorecard followed by a table of findings.
+ *
+ * @param {{findings: Object[], scorecard: Object, errorCount: number, warningCount: number}} report
+ * @returns {string}
+ */
+function formatMarkdown(report) {
+    const lines = [
+        '# bro-lint report',
+        '',
+        `${report.scorecard.fileCount} files checked: ${report.errorCount} errors, ${report.warningCount} warnings.`,
+        '',
+        '| Principle | Score | Errors | Warnings | Files |',
+        '| --- | ---: | ---: | ---: | ---: |',
+    ];
+    report.scorecard.families.forEach(family => {
+        lines.push(`| ${family.label} | ${formatScore(family)} | ${family.errors} | ${family.warnings} | ${family.files} |`);
+    });
+
+    lines.push('', '## Findings', '');
+    if (report.findings.length === 0) {
+        lines.push('No findings.');
+        return lines.join('\n');
+    }
+
+    lines.push('| Location | Severity | Principle | Rule | Message |', '| --- | --- | --- | --- | --- |');
+    report.findings.forEach(finding => {
+        lines.push(`| \`${cell(finding.filePath)}:${finding.line}:${finding.column}\` | ${severityLabel(finding)} | ${finding.familyLabel} | \`${finding.ruleId}\` | ${cell(finding.message)} |`);
+    });
+
+    return lines.join('\n');
+}
+
+module.exports = formatMarkdown;
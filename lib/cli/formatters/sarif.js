@@ -0,0 +1,58 @@
+const { version } = require('../../../package.json');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+/**
+ * Renders the check report as SARIF 2.1.0, one result per finding.
+ *
+ * @param {{findings: Object[]}} report
+ * @returns {string}
+ */
+function formatSarif(report) {
+    const ruleIds = Array.from(new Set(report.findings.map(finding => finding.ruleId))).sort();
+    const rules = ruleIds.map(ruleId => {
+        const { family, familyLabel } = report.findings.find(finding => finding.ruleId === ruleId);
+        return {
+            id: ruleId,
+            shortDescription: { text: `${familyLabel} (${ruleId})` },
+            properties: { family },
+        };
+    });
+
+    const results = report.findings.map(finding => ({
+        ruleId: finding.ruleId,
+        ...(finding.baselined !== undefined && { baselineState: finding.baselined ? 'unchanged' : 'new' }),
+        ruleIndex: ruleIds.indexOf(finding.ruleId),
+        level: finding.severity === 'error' ? 'error' : 'warning',
+        message: { text: finding.message },
+        partialFingerprints: { 'broLint/v1': finding.fingerprint },
+        locations: [{
+            physicalLocation: {
+                artifactLocation: { uri: finding.filePath, uriBaseId: '%SRCROOT%' },
+                region: {
+                    startLine: finding.line,
+                    startColumn: finding.column,
+                    endLine: finding.endLine,
+                    endColumn: finding.endColumn,
+                },
+            },
+        }],
+        properties: {
+            family: finding.family,
+            messageId: finding.messageId,
+            data: finding.data,
+            fingerprint: finding.fingerprint,
+        },
+    }));
+
+    return JSON.stringify({
+        $schema: SARIF_SCHEMA,
+        version: '2.1.0',
+        runs: [{
+            tool: { driver: { name: 'bro-lint', version, rules } },
+            results,
+        }],
+    }, null, 2);
+}
+
+module.exports = formatSarif;
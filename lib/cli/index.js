@@ -1,30 +1,194 @@
 const fs = require('fs-extra');
 const path = require('path');
 
-const { getProgrammingLanguage, getProjectType } = require('./prompts');
+const { mergeConfigs, mergeConfigsWithReport } = require('../../utils/config-merge.js');
+const { resolveAnswers } = require('./answers');
 const generateEslintConfig = require('./eslint-generator');
+const { resolveConfigFormat, isModulePackage, configFilePath: getConfigFilePath } = require('./config-format');
+const { toFlatConfig, renderFlatConfig, Spread } = require('./flat-config');
+const { discoverEslintConfigs, loadEslintConfig, collectRules, backupAndRemove } = require('./existing-config');
+const { diffRules, formatRulesDiff } = require('./config-diff');
+const { getExistingConfigAction, confirmApply, getInstallAction } = require('./prompts');
+const {
+    computeDevDependencies,
+    filterMissingDependencies,
+    detectPackageManager,
+    installCommand,
+    runInstall,
+    addDevDependencies,
+} = require('./dependencies');
 
-async function runCli() {
-    try {
+// Name the original flat config keeps when the new eslint.config.js layers on top of it
+const LAYERED_FLAT_CONFIG = 'eslint.config.existing';
 
-        const answers = {};
+async function resolveExistingConfigAction(existingConfigs, options) {
+    if (existingConfigs.length === 0) {
+        return 'create';
+    }
+    if (options.merge && options.force) {
+        throw new Error('--merge and --force cannot be used together.');
+    }
+    if (options.merge) {
+        return 'merge';
+    }
+    if (options.force) {
+        return 'overwrite';
+    }
+    if (options.yes) {
+        throw new Error(`Existing ESLint configuration found (${existingConfigs.map(entry => entry.fileName).join(', ')}). Re-run with --merge or --force.`);
+    }
+    return (await getExistingConfigAction(existingConfigs.map(entry => entry.fileName))).action;
+}
+
+// The configuration ESLint currently uses for the format being generated
+function pickBaseConfig(existingConfigs, format) {
+    const flat = existingConfigs.find(entry => entry.format === 'flat');
+    const legacy = existingConfigs.find(entry => entry.format === 'legacy');
+    return format === 'flat' ? (flat || legacy) : (legacy || flat);
+}
+
+// Loads the legacy configurations and merges them, ESLint's highest-precedence one on top
+async function loadLegacyConfigs(entries) {
+    let config = {};
+    for (const entry of [...entries].reverse()) {
+        config = mergeConfigs(config, await loadEslintConfig(entry));
+    }
+    return config;
+}
 
-        const languageAnswer = (await getProgrammingLanguage());
-        answers.languageType = languageAnswer;
-        
-        const projectTypeAnswer = (await getProjectType());
-        answers.projectType = projectTypeAnswer;
+// Installs, records or just prints the packages the written configuration needs
+async function setupDependencies(eslintConfig, format, options, cwd) {
+    const specs = await filterMissingDependencies(computeDevDependencies(eslintConfig, format), cwd);
+    if (specs.length === 0) {
+        return { installAction: 'none', specs };
+    }
 
-        const eslintConfig = generateEslintConfig(answers);
+    const packageManager = await detectPackageManager(cwd);
+    const command = installCommand(packageManager, specs);
 
-        const configFilePath = path.join(process.cwd(), '.eslintrc.json');
+    let installAction;
+    if (options.skipInstall) {
+        installAction = 'skip';
+    } else if (options.saveOnly) {
+        installAction = 'add';
+    } else if (options.yes) {
+        installAction = 'install';
+    } else {
+        ({ installAction } = await getInstallAction(command.text));
+    }
 
-        await fs.writeJson(configFilePath, eslintConfig, { spaces: 2 });
+    if (installAction === 'install') {
+        console.log('Installing dependencies:', command.text);
+        await runInstall(packageManager, specs, cwd);
+    } else if (installAction === 'add') {
+        await addDevDependencies(specs, cwd);
+        console.log(`Added ${specs.length} devDependencies to package.json. Run "${packageManager} install" to install them.`);
+    } else {
+        console.log('Install the required dependencies with:', command.text);
+    }
+
+    return { installAction, specs, packageManager, command: command.text };
+}
+
+/**
+ * Runs the `init` flow: collects the answers, generates the configuration and
+ * writes it, merging with or replacing any configuration already in the project.
+ *
+ * @async
+ * @function runCli
+ * @param {Object} [options={}] - Parsed CLI flags (see `parseCliArgs`).
+ * @returns {Promise<{configFilePath: string, format: string, answers: Object, dependencies: Object}|null>}
+ * The written configuration, or `null` when the user chose to keep the existing one.
+ */
+async function runCli(options = {}) {
+    const cwd = process.cwd();
+    const existingConfigs = await discoverEslintConfigs(cwd);
+    const action = await resolveExistingConfigAction(existingConfigs, options);
+
+    if (action === 'exit') {
+        return null;
+    }
 
-        console.log('ESLint configuration generated successfully at:', configFilePath);
-    } catch (error) {
-        console.error('Error generating ESLint configuration:', error);
+    const answers = await resolveAnswers(options);
+    const format = resolveConfigFormat(options.configFormat);
+    let eslintConfig = generateEslintConfig(answers);
+
+    const baseEntry = action === 'merge' ? pickBaseConfig(existingConfigs, format) : null;
+    const layerFlatConfig = action === 'merge' && baseEntry.format === 'flat';
+
+    if (layerFlatConfig && format !== 'flat') {
+        throw new Error(`${baseEntry.fileName} is a flat config and cannot be merged into a legacy configuration. Re-run with --config-format flat.`);
+    }
+
+    // A flat config is layered on as it is; every legacy configuration is merged into the new one
+    let mergedEntries = [];
+    let baseConfig = null;
+    if (layerFlatConfig) {
+        mergedEntries = [baseEntry];
+        baseConfig = await loadEslintConfig(baseEntry);
+    } else if (action === 'merge') {
+        mergedEntries = existingConfigs.filter(entry => entry.format === 'legacy');
+        baseConfig = await loadLegacyConfigs(mergedEntries);
+    }
+    const mergedNames = mergedEntries.map(entry => entry.fileName).join(', ');
+
+    if (action === 'merge' && !layerFlatConfig) {
+        const { config, conflicts } = mergeConfigsWithReport(baseConfig, eslintConfig, { precedence: options.mergePrecedence });
+        eslintConfig = config;
+
+        if (conflicts.length > 0) {
+            console.log(`Conflicts with ${mergedNames} (resolved in favour of the ${options.mergePrecedence || 'template'} settings):`);
+            conflicts.forEach(conflict => {
+                console.log(`  ${conflict.key}: existing ${JSON.stringify(conflict.base)}, template ${JSON.stringify(conflict.template)} -> ${JSON.stringify(conflict.resolution)}`);
+            });
+        }
+    }
+
+    if (action === 'merge') {
+        const beforeRules = collectRules(baseConfig);
+        const afterRules = layerFlatConfig ? { ...beforeRules, ...eslintConfig.rules } : collectRules(eslintConfig);
+        console.log(`Rule changes compared to ${mergedNames}:`);
+        console.log(formatRulesDiff(diffRules(beforeRules, afterRules)));
+
+        const unmerged = existingConfigs.filter(entry => !mergedEntries.includes(entry));
+        if (unmerged.length > 0) {
+            console.log(`Not merged, only backed up and removed: ${unmerged.map(entry => entry.fileName).join(', ')}`);
+        }
+
+        if (!options.yes && !(await confirmApply()).apply) {
+            return null;
+        }
+    }
+
+    const backups = [];
+    const backupDate = new Date();
+    for (const entry of existingConfigs) {
+        backups.push(await backupAndRemove(entry, backupDate));
+    }
+    backups.forEach(backupPath => console.log('Backed up existing configuration to:', backupPath));
+
+    // ES module packages, and layering onto an .mjs config, need `import` / `export default`
+    const esm = format === 'flat' && (isModulePackage(cwd) || (layerFlatConfig && path.extname(baseEntry.fileName) === '.mjs'));
+    const configFilePath = getConfigFilePath(format, cwd, { esm });
+
+    if (format === 'flat') {
+        const flatConfig = toFlatConfig(eslintConfig);
+        if (layerFlatConfig) {
+            const layeredFileName = LAYERED_FLAT_CONFIG + path.extname(baseEntry.fileName);
+            await fs.copy(backups[existingConfigs.indexOf(baseEntry)], path.join(cwd, layeredFileName));
+            flatConfig.requires = new Map([['existingConfig', `./${layeredFileName}`], ...flatConfig.requires]);
+            flatConfig.entries.unshift(new Spread('existingConfig'));
+        }
+        await fs.writeFile(configFilePath, renderFlatConfig(flatConfig, { esm }));
+    } else {
+        await fs.writeJson(configFilePath, eslintConfig, { spaces: 2 });
     }
+
+    console.log('ESLint configuration generated successfully at:', configFilePath);
+
+    const dependencies = await setupDependencies(eslintConfig, format, options, cwd);
+
+    return { configFilePath, format, answers, dependencies };
 }
 
-module.exports = runCli;
\ No newline at end of file
+module.exports = runCli;
@@ -0,0 +1,50 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const PRESET_KEYS = ['language', 'projectType', 'architecture', 'solidStrictness'];
+
+/**
+ * Loads a preset file that answers the setup questions.
+ *
+ * @async
+ * @function loadPreset
+ * @param {string} presetPath - Path to the preset, relative to `cwd` or absolute.
+ * @param {string} [cwd=process.cwd()] - Directory relative paths are resolved from.
+ * @returns {Promise<Object>} The answers found in the preset.
+ * @throws {Error} When the file is missing, is not valid JSON or contains unknown keys.
+ *
+ * @example
+ * // bro-lint.preset.json
+ * // { "language": "TypeScript", "projectType": "Server-side", "architecture": "Clean Architecture" }
+ * const preset = await loadPreset('./bro-lint.preset.json');
+ */
+async function loadPreset(presetPath, cwd = process.cwd()) {
+    const absolutePath = path.resolve(cwd, presetPath);
+
+    if (!await fs.pathExists(absolutePath)) {
+        throw new Error(`Preset file not found: ${absolutePath}`);
+    }
+
+    let preset;
+    try {
+        preset = await fs.readJson(absolutePath);
+    } catch (error) {
+        throw new Error(`Preset file ${absolutePath} is not valid JSON: ${error.message}`);
+    }
+
+    if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+        throw new Error(`Preset file ${absolutePath} must contain a JSON object.`);
+    }
+
+    const unknownKeys = Object.keys(preset).filter(key => !PRESET_KEYS.includes(key));
+    if (unknownKeys.length > 0) {
+        throw new Error(`Unknown key(s) in preset file ${absolutePath}: ${unknownKeys.join(', ')}. Allowed keys: ${PRESET_KEYS.join(', ')}.`);
+    }
+
+    return preset;
+}
+
+module.exports = {
+    loadPreset,
+    PRESET_KEYS,
+};
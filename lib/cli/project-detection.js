@@ -0,0 +1,127 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const REACT_PACKAGES = ['react', 'react-dom', 'next', 'gatsby', '@remix-run/react'];
+const SERVER_PACKAGES = ['express', '@nestjs/core', 'koa', 'fastify', '@hapi/hapi', 'mongoose', 'sequelize', 'typeorm', 'prisma'];
+
+// Folder names that give away an architecture, keyed by the answer they suggest
+const ARCHITECTURE_FOLDERS = {
+    'Clean Architecture': ['domain', 'entities', 'use-cases', 'usecases', 'use_cases', 'application', 'infrastructure', 'adapters'],
+    'Repository': ['repositories', 'repository'],
+};
+
+const IGNORED_FOLDERS = ['node_modules', '.git', 'dist', 'build', 'coverage'];
+const MAX_SCAN_DEPTH = 4;
+
+async function readPackageJson(cwd) {
+    const packageJsonPath = path.join(cwd, 'package.json');
+    if (!await fs.pathExists(packageJsonPath)) return {};
+    try {
+        return await fs.readJson(packageJsonPath);
+    } catch (error) {
+        return {};
+    }
+}
+
+function collectDependencies(packageJson) {
+    return {
+        ...packageJson.peerDependencies,
+        ...packageJson.devDependencies,
+        ...packageJson.dependencies,
+    };
+}
+
+// Relative paths of the project's folders, skipping dependencies and build output
+async function listFolders(cwd, relativeDir = '', depth = 0) {
+    if (depth >= MAX_SCAN_DEPTH) return [];
+
+    let entries;
+    try {
+        entries = await fs.readdir(path.join(cwd, relativeDir), { withFileTypes: true });
+    } catch (error) {
+        return [];
+    }
+
+    const folders = [];
+    for (const entry of entries) {
+        if (!entry.isDirectory() || IGNORED_FOLDERS.includes(entry.name) || entry.name.startsWith('.')) continue;
+        const folder = path.join(relativeDir, entry.name);
+        folders.push(folder);
+        folders.push(...await listFolders(cwd, folder, depth + 1));
+    }
+    return folders;
+}
+
+function detectLanguage(dependencies, hasTsconfig) {
+    const evidence = [];
+    if (dependencies.typescript) evidence.push('package.json depends on "typescript"');
+    if (hasTsconfig) evidence.push('tsconfig.json found');
+
+    return evidence.length > 0
+        ? { value: 'TypeScript', evidence }
+        : { value: 'JavaScript', evidence: ['no "typescript" dependency or tsconfig.json'] };
+}
+
+function detectProjectType(dependencies) {
+    const react = REACT_PACKAGES.filter(name => dependencies[name]);
+    const server = SERVER_PACKAGES.filter(name => dependencies[name]);
+
+    if (react.length === 0 && server.length === 0) return null;
+
+    // Full-stack frameworks like Next.js list both; the UI dependencies decide
+    return react.length > 0
+        ? { value: 'React', evidence: react.map(name => `package.json depends on "${name}"`) }
+        : { value: 'Server-side', evidence: server.map(name => `package.json depends on "${name}"`) };
+}
+
+function detectArchitecture(folders) {
+    const matches = Object.entries(ARCHITECTURE_FOLDERS).map(([architecture, names]) => ({
+        architecture,
+        folders: folders.filter(folder => names.includes(path.basename(folder).toLowerCase())),
+    }));
+
+    const best = matches.sort((a, b) => b.folders.length - a.folders.length)[0];
+    if (!best || best.folders.length === 0) return null;
+
+    return {
+        value: best.architecture,
+        evidence: best.folders.map(folder => `folder "${folder.split(path.sep).join('/')}/" found`),
+    };
+}
+
+/**
+ * Guesses the setup answers from the project's dependencies and folder layout.
+ *
+ * @async
+ * @function detectProject
+ * @param {string} [cwd=process.cwd()] - Project directory.
+ * @returns {Promise<Object<string, {value: string, evidence: string[]}>>} A guess per
+ * answer key (`languageType`, `projectType`, `architecture`), with the evidence
+ * it is based on. Answers that could not be guessed are left out.
+ *
+ * @example
+ * const guesses = await detectProject();
+ * // { languageType: { value: 'TypeScript', evidence: ['tsconfig.json found'] }, ... }
+ */
+async function detectProject(cwd = process.cwd()) {
+    const packageJson = await readPackageJson(cwd);
+    const dependencies = collectDependencies(packageJson);
+    const hasTsconfig = await fs.pathExists(path.join(cwd, 'tsconfig.json'));
+    const folders = await listFolders(cwd);
+
+    const guesses = {
+        languageType: detectLanguage(dependencies, hasTsconfig),
+    };
+
+    const projectType = detectProjectType(dependencies);
+    if (projectType) guesses.projectType = projectType;
+
+    const architecture = detectArchitecture(folders);
+    if (architecture) guesses.architecture = architecture;
+
+    return guesses;
+}
+
+module.exports = {
+    detectProject,
+};
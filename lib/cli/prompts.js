@@ -1,10 +1,16 @@
 const inqueier = require('inquirer');
 
+const LANGUAGE_CHOICES = ['JavaScript', 'TypeScript'];
+const PROJECT_TYPE_CHOICES = ['React', 'Server-side'];
+const ARCHITECTURE_CHOICES = ['Repository', 'Clean Architecture', 'None'];
+const SOLID_STRICTNESS_CHOICES = ['Strict', 'Relaxed', 'Off'];
+
 /**
  * Prompts the user to select a programming language for their project.
  *
  * @async
  * @function getProgrammingLanguage
+ * @param {string} [defaultValue='JavaScript'] - Choice selected by default, e.g. a detected guess.
  * @returns {Promise<{projectType: string}>} A promise that resolves with the selected language (JavaScript or TypeScript).
  *
  * @description
@@ -16,7 +22,7 @@ const inqueier = require('inquirer');
  * const { projectType } = await getProgrammingLanguage();
  * console.log(projectType); // 'JavaScript' or 'TypeScript'
  */
-async function getProgrammingLanguage () {
+async function getProgrammingLanguage (defaultValue = 'JavaScript') {
     return await inqueier.prompt([
         {
             type: 'list',
@@ -32,7 +38,7 @@ async function getProgrammingLanguage () {
                     value: 'TypeScript'
                 }
             ],
-            default: 'JavaScript'
+            default: defaultValue
         }
     ])
 }
@@ -42,6 +48,7 @@ async function getProgrammingLanguage () {
  *
  * @async
  * @function getProjectType
+ * @param {string} [defaultValue='Server-side'] - Choice selected by default, e.g. a detected guess.
  * @returns {Promise<{projectType: string}>} A promise that resolves with the selected project type.
  *
  * @description
@@ -53,7 +60,7 @@ async function getProgrammingLanguage () {
  * const { projectType } = await getProjectType();
  * console.log(projectType); // 'React' or 'Server-side'
  */
-async function getProjectType () {
+async function getProjectType (defaultValue = 'Server-side') {
     return await inqueier.prompt([
         {
             type: 'list',
@@ -69,7 +76,7 @@ async function getProjectType () {
                     value: 'Server-side'
                 }
             ],
-            default: 'Server-side'
+            default: defaultValue
         }
     ])
 }
@@ -80,6 +87,7 @@ async function getProjectType () {
  *
  * @async
  * @function getProjectArchitecture
+ * @param {string} [defaultValue='Repository'] - Choice selected by default, e.g. a detected guess.
  * @returns {Promise<{architecture: string}>} A promise that resolves with the selected architecture pattern.
  *
  * @description
@@ -96,7 +104,7 @@ async function getProjectType () {
  * const { architecture } = await getProjectArchitecture();
  * console.log(architecture); // 'Repository', 'Clean Architecture', or 'None'
  */
-async function getProjectArchitecture () {
+async function getProjectArchitecture (defaultValue = 'Repository') {
     return await inqueier.prompt([
         {
             type: 'list',
@@ -116,14 +124,164 @@ async function getProjectArchitecture () {
                     value: 'None'
                 }
             ],
-            default: 'Repository'
+            default: defaultValue
         }
     ])
 }
 
 
+/**
+ * Prompts the user to select how strictly the SOLID principle rules should be enforced.
+ *
+ * @async
+ * @function getSolidStrictness
+ * @returns {Promise<{solidStrictness: string}>} A promise that resolves with the selected strictness.
+ *
+ * @description
+ * - Strict: SOLID rules are reported as errors
+ * - Relaxed: SOLID rules are reported as warnings
+ * - Off: SOLID rules are not enabled
+ *
+ * @example
+ * const { getSolidStrictness } = require('./prompts');
+ * const { solidStrictness } = await getSolidStrictness();
+ * console.log(solidStrictness); // 'Strict', 'Relaxed' or 'Off'
+ */
+async function getSolidStrictness () {
+    return await inqueier.prompt([
+        {
+            type: 'list',
+            name: 'solidStrictness',
+            message: 'How strictly should the SOLID principles be enforced?',
+            choices: [
+                {
+                    name: 'Strict (errors)',
+                    value: 'Strict'
+                },
+                {
+                    name: 'Relaxed (warnings)',
+                    value: 'Relaxed'
+                },
+                {
+                    name: 'Off',
+                    value: 'Off'
+                }
+            ],
+            default: 'Relaxed'
+        }
+    ])
+}
+
+/**
+ * Asks the user what to do with the ESLint configuration already present in the project.
+ *
+ * @async
+ * @function getExistingConfigAction
+ * @param {string[]} fileNames - Names of the configurations that were found.
+ * @returns {Promise<{action: string}>} A promise that resolves with `merge`, `overwrite` or `exit`.
+ *
+ * @description
+ * - merge: the templates are layered on top of the existing configuration
+ * - overwrite: the existing configuration is replaced
+ * - exit: nothing is changed
+ *
+ * Both `merge` and `overwrite` keep a timestamped backup of the replaced files.
+ *
+ * @example
+ * const { getExistingConfigAction } = require('./prompts');
+ * const { action } = await getExistingConfigAction(['.eslintrc.yml']);
+ */
+async function getExistingConfigAction (fileNames) {
+    return await inqueier.prompt([
+        {
+            type: 'list',
+            name: 'action',
+            message: `Found existing ESLint configuration (${fileNames.join(', ')}). What would you like to do?`,
+            choices: [
+                {
+                    name: 'Merge the Student Linter rules into it',
+                    value: 'merge'
+                },
+                {
+                    name: 'Overwrite it',
+                    value: 'overwrite'
+                },
+                {
+                    name: 'Keep it and exit',
+                    value: 'exit'
+                }
+            ],
+            default: 'merge'
+        }
+    ])
+}
+
+/**
+ * Asks the user to confirm a previewed configuration change.
+ *
+ * @async
+ * @function confirmApply
+ * @returns {Promise<{apply: boolean}>} A promise that resolves with the user's decision.
+ */
+async function confirmApply () {
+    return await inqueier.prompt([
+        {
+            type: 'confirm',
+            name: 'apply',
+            message: 'Apply these changes?',
+            default: true
+        }
+    ])
+}
+
+
+/**
+ * Asks the user how the devDependencies of the generated configuration should be handled.
+ *
+ * @async
+ * @function getInstallAction
+ * @param {string} commandText - The install command that would be run.
+ * @returns {Promise<{installAction: string}>} A promise that resolves with `install`, `add` or `skip`.
+ *
+ * @example
+ * const { getInstallAction } = require('./prompts');
+ * const { installAction } = await getInstallAction('npm install --save-dev eslint@^8');
+ */
+async function getInstallAction (commandText) {
+    return await inqueier.prompt([
+        {
+            type: 'list',
+            name: 'installAction',
+            message: `The configuration needs these devDependencies:\n  ${commandText}\nWhat would you like to do?`,
+            choices: [
+                {
+                    name: 'Install them now',
+                    value: 'install'
+                },
+                {
+                    name: 'Only add them to package.json',
+                    value: 'add'
+                },
+                {
+                    name: 'Skip, I will install them myself',
+                    value: 'skip'
+                }
+            ],
+            default: 'install'
+        }
+    ])
+}
+
 module.exports = {
+    LANGUAGE_CHOICES,
+    PROJECT_TYPE_CHOICES,
+    ARCHITECTURE_CHOICES,
+    SOLID_STRICTNESS_CHOICES,
     getProgrammingLanguage,
     getProjectType,
     getProjectArchitecture,
-}
\ No newline at end of file
+    getSolidStrictness,
+    getExistingConfigAction,
+    confirmApply,
+    getInstallAction,
+}
@@ -0,0 +1,33 @@
+const PLUGIN_PREFIX = 'student-linter/';
+
+// Principle families in scorecard order, with the student-linter rules that report them
+const RULE_FAMILIES = [
+    { id: 'naming', label: 'Naming', rules: ['naming-convention'] },
+    { id: 'srp', label: 'SRP', rules: ['srp-violation'] },
+    { id: 'ocp', label: 'OCP', rules: ['ocp-violation'] },
+    { id: 'lsp', label: 'LSP', rules: ['lsp-substitution'] },
+    { id: 'isp', label: 'ISP', rules: ['isp-violation'] },
+    { id: 'dip', label: 'DIP', rules: ['dip-violation'] },
+    { id: 'clean-architecture', label: 'Clean Architecture', rules: ['clean-architecture', 'module-boundaries'] },
+    { id: 'repository', label: 'Repository', rules: ['repository-architecture'] },
+];
+
+/**
+ * Finds the principle family a rule reports on.
+ *
+ * @function familyOf
+ * @param {string|null} ruleId - Rule id as reported by ESLint (e.g. `student-linter/srp-violation`).
+ * @returns {{id: string, label: string, rules: string[]}|null} The family, or `null` for rules
+ * outside the student-linter plugin (and parse errors, which have no rule id).
+ */
+function familyOf(ruleId) {
+    if (!ruleId || !ruleId.startsWith(PLUGIN_PREFIX)) return null;
+    const ruleName = ruleId.slice(PLUGIN_PREFIX.length);
+    return RULE_FAMILIES.find(family => family.rules.includes(ruleName)) || null;
+}
+
+module.exports = {
+    RULE_FAMILIES,
+    PLUGIN_PREFIX,
+    familyOf,
+};
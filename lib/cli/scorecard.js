@@ -0,0 +1,144 @@
+const path = require('path');
+
+const { RULE_FAMILIES, PLUGIN_PREFIX, familyOf } = require('./rule-families');
+
+const WORST_FILES_LIMIT = 5;
+
+function isRuleEnabled(entry) {
+    const severity = Array.isArray(entry) ? entry[0] : entry;
+    return severity !== 0 && severity !== 'off';
+}
+
+/**
+ * Groups ESLint results by principle family and scores each family.
+ *
+ * @function buildScorecard
+ * @param {Object[]} results - ESLint `LintResult` objects.
+ * @param {Object} [options]
+ * @param {string[]} [options.enabledRules] - Rule ids enabled in the configuration; families
+ * without an enabled rule are marked as disabled instead of scoring 100.
+ * @param {string} [options.cwd=process.cwd()] - Directory file paths are shown relative to.
+ * @param {number} [options.worstFilesLimit=5] - How many of the worst files to keep.
+ * @returns {{fileCount: number, families: Object[], worstFiles: Object[], otherFindings: number}}
+ *
+ * @description
+ * A family's score is the percentage of checked files without any of its
+ * findings. Findings of rules outside the plugin and parse errors are only
+ * counted in `otherFindings`.
+ */
+function buildScorecard(results, { enabledRules, cwd = process.cwd(), worstFilesLimit = WORST_FILES_LIMIT } = {}) {
+    const families = RULE_FAMILIES.map(family => ({
+        id: family.id,
+        label: family.label,
+        enabled: !enabledRules || family.rules.some(ruleName => enabledRules.includes(PLUGIN_PREFIX + ruleName)),
+        errors: 0,
+        warnings: 0,
+        files: 0,
+        score: null,
+    }));
+    const files = [];
+    let otherFindings = 0;
+
+    results.forEach(result => {
+        const perFamily = {};
+
+        result.messages.forEach(message => {
+            const family = familyOf(message.ruleId);
+            if (!family) {
+                otherFindings++;
+                return;
+            }
+            const entry = families.find(candidate => candidate.id === family.id);
+            if (message.severity === 2) entry.errors++;
+            else entry.warnings++;
+            perFamily[family.id] = (perFamily[family.id] || 0) + 1;
+        });
+
+        Object.keys(perFamily).forEach(id => {
+            families.find(family => family.id === id).files++;
+        });
+
+        const findings = Object.values(perFamily).reduce((sum, count) => sum + count, 0);
+        if (findings > 0) {
+            files.push({
+                filePath: path.relative(cwd, result.filePath).split(path.sep).join('/'),
+                findings,
+                families: perFamily,
+            });
+        }
+    });
+
+    families.forEach(family => {
+        if (family.enabled && results.length > 0) {
+            family.score = Math.round(100 * (results.length - family.files) / results.length);
+        }
+    });
+
+    const worstFiles = files
+        .sort((a, b) => b.findings - a.findings || a.filePath.localeCompare(b.filePath))
+        .slice(0, worstFilesLimit);
+
+    return { fileCount: results.length, families, worstFiles, otherFindings };
+}
+
+/**
+ * Renders the score of a family: `off` when its rules are disabled and `n/a`
+ * when no files were checked.
+ *
+ * @function formatScore
+ * @param {{enabled: boolean, score: number|null}} family - A family of `buildScorecard`.
+ * @returns {string} E.g. `85%`, `n/a` or `off`.
+ */
+function formatScore(family) {
+    if (!family.enabled) return 'off';
+    return family.score === null ? 'n/a' : `${family.score}%`;
+}
+
+/**
+ * Renders a scorecard as plain text.
+ *
+ * @function formatScorecard
+ * @param {ReturnType<typeof buildScorecard>} scorecard - Result of `buildScorecard`.
+ * @returns {string} The printable scorecard.
+ */
+function formatScorecard(scorecard) {
+    const lines = [`SOLID / architecture scorecard (${scorecard.fileCount} files checked)`, ''];
+    const labelWidth = Math.max(...scorecard.families.map(family => family.label.length));
+
+    scorecard.families.forEach(family => {
+        const label = family.label.padEnd(labelWidth);
+        if (!family.enabled) {
+            lines.push(`  ${label}    off`);
+            return;
+        }
+        const findings = family.errors + family.warnings;
+        const details = findings === 0
+            ? 'no findings'
+            : `${family.errors} errors, ${family.warnings} warnings in ${family.files} files`;
+        lines.push(`  ${label}  ${formatScore(family).padStart(4)}  ${details}`);
+    });
+
+    if (scorecard.worstFiles.length > 0) {
+        const labels = Object.fromEntries(scorecard.families.map(family => [family.id, family.label]));
+        lines.push('', 'Worst files:');
+        scorecard.worstFiles.forEach(file => {
+            const breakdown = Object.entries(file.families)
+                .map(([id, count]) => `${labels[id]} ${count}`)
+                .join(', ');
+            lines.push(`  ${file.filePath}  ${file.findings} findings (${breakdown})`);
+        });
+    }
+
+    if (scorecard.otherFindings > 0) {
+        lines.push('', `${scorecard.otherFindings} findings from other rules are not part of the scorecard.`);
+    }
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    buildScorecard,
+    formatScorecard,
+    formatScore,
+    isRuleEnabled,
+};
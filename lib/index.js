@@ -0,0 +1,60 @@
+'use strict';
+
+const { rules } = require('./rules');
+const { recordReports } = require('./report-data');
+const { name, version } = require('../package.json');
+const solidConfig = require('./templates/solid-principle-template.js');
+const cleanArchitectureConfig = require('./templates/clean-architecture-template.js');
+const repositoryArchitectureConfig = require('./templates/repository-architecture-template.js');
+
+const PLUGIN_NAME = 'student-linter';
+
+const sharedConfigRules = {
+  recommended: {
+    'student-linter/naming-convention': 'error',
+    ...solidConfig.rules
+  },
+  solid: { ...solidConfig.rules },
+  'clean-architecture': { ...cleanArchitectureConfig.rules },
+  repository: { ...repositoryArchitectureConfig.rules }
+};
+
+/**
+ * ESLint plugin entry for the `student-linter` rules.
+ *
+ * ESLint resolves the `student-linter` plugin as `eslint-plugin-student-linter`,
+ * so projects install this package under that name:
+ *
+ *   npm install --save-dev eslint-plugin-student-linter@npm:bro-linting-script
+ *
+ * and then extend one of the shareable configs:
+ *
+ *   { "extends": ["plugin:student-linter/solid"] }
+ *
+ * or, with flat config, spread the `flat/*` variant:
+ *
+ *   module.exports = [studentLinter.configs['flat/solid']];
+ */
+const plugin = {
+  meta: {
+    name: `eslint-plugin-${PLUGIN_NAME}`,
+    version,
+    packageName: name
+  },
+  rules: Object.fromEntries(Object.entries(rules).map(([ruleName, rule]) => [ruleName, recordReports(rule)])),
+  configs: {}
+};
+
+Object.entries(sharedConfigRules).forEach(([configName, configRules]) => {
+  plugin.configs[configName] = {
+    plugins: [PLUGIN_NAME],
+    rules: configRules
+  };
+  // Flat configs reference the plugin object itself instead of its name
+  plugin.configs[`flat/${configName}`] = {
+    plugins: { [PLUGIN_NAME]: plugin },
+    rules: configRules
+  };
+});
+
+module.exports = plugin;
@@ -0,0 +1,125 @@
+'use strict';
+
+const crypto = require('crypto');
+
+// ESLint drops `data` from the reports it returns; while a recording is active
+// the plugin's rules leave it here. The registry symbol is shared so the copy of
+// the plugin a project installed records for the CLI that runs the check.
+const RECORDING = Symbol.for('student-linter.report-data');
+
+function reportKey(filename, ruleId, line, column) {
+  return `${filename}\u0000${ruleId}\u0000${line}\u0000${column}`;
+}
+
+function reportLocation(descriptor) {
+  const loc = descriptor.loc || (descriptor.node && descriptor.node.loc);
+  if (!loc) return null;
+  const start = loc.start || loc;
+  // ESLint reports 1-based columns
+  return { line: start.line, column: start.column + 1 };
+}
+
+function nodeName(node) {
+  const named = node.id || node.key;
+  return named && (named.name || named.value);
+}
+
+/**
+ * Fingerprints a finding without its position, so it survives code moving
+ * around the file. Numbers are dropped from the message because several rules
+ * put measured values (line counts, complexity) in it.
+ *
+ * @param {string} ruleId - Rule id, e.g. `student-linter/srp-violation`.
+ * @param {string} message - Message id or message text of the report.
+ * @param {string} text - What was reported: `Type:name` for named nodes, otherwise the source text.
+ * @returns {string} A 16 character hex fingerprint.
+ */
+function fingerprintOf(ruleId, message, text) {
+  const parts = [ruleId, String(message).replace(/\d+/g, '#'), text.replace(/\s+/g, ' ').trim()];
+  return crypto.createHash('sha1').update(parts.join('\u0000')).digest('hex').slice(0, 16);
+}
+
+function reportFingerprint(context, descriptor, location) {
+  const sourceCode = context.getSourceCode();
+  const node = descriptor.node;
+  let text;
+  if (node && nodeName(node)) {
+    text = `${node.type}:${nodeName(node)}`;
+  } else if (node) {
+    text = sourceCode.getText(node);
+  } else {
+    text = sourceCode.lines[location.line - 1] || '';
+  }
+  return fingerprintOf(context.id, descriptor.messageId || descriptor.message, text);
+}
+
+function record(context, descriptor) {
+  const recording = globalThis[RECORDING];
+  const location = reportLocation(descriptor);
+  if (!recording || !location) return;
+
+  const key = reportKey(context.getFilename(), context.id, location.line, location.column);
+  if (!recording.has(key)) recording.set(key, []);
+  recording.get(key).push({
+    messageId: descriptor.messageId,
+    data: descriptor.data,
+    fingerprint: reportFingerprint(context, descriptor, location)
+  });
+}
+
+/**
+ * Wraps a rule so the `messageId` and `data` of its reports can be recovered
+ * while a recording is active. Outside a recording the rule runs unchanged.
+ *
+ * @param {Object} rule - ESLint rule module.
+ * @returns {Object} The wrapped rule.
+ */
+function recordReports(rule) {
+  return {
+    ...rule,
+    create(context) {
+      if (!globalThis[RECORDING]) {
+        return rule.create(context);
+      }
+      const recordingContext = Object.create(context, {
+        report: {
+          value(descriptor) {
+            record(context, descriptor);
+            context.report(descriptor);
+          }
+        }
+      });
+      return rule.create(recordingContext);
+    }
+  };
+}
+
+/**
+ * Runs `fn` with report recording active.
+ *
+ * @async
+ * @param {Function} fn - Async function that lints.
+ * @returns {Promise<{result: *, takeReport: Function}>} The result of `fn` and a function that
+ * returns the recorded `{messageId, data, fingerprint}` of a finding (`filePath`, `ruleId`, `line`,
+ * `column`), or `null` when nothing was recorded for it.
+ */
+async function withReportRecording(fn) {
+  const recording = new Map();
+  globalThis[RECORDING] = recording;
+  try {
+    const result = await fn();
+    const takeReport = (filePath, ruleId, line, column) => {
+      const reports = recording.get(reportKey(filePath, ruleId, line, column));
+      return reports && reports.length > 0 ? reports.shift() : null;
+    };
+    return { result, takeReport };
+  } finally {
+    delete globalThis[RECORDING];
+  }
+}
+
+module.exports = {
+  fingerprintOf,
+  recordReports,
+  withReportRecording
+};
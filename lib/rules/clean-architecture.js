@@ -1,5 +1,23 @@
 'use strict';
 
+const { ModuleGraph } = require('./utils/module-graph');
+const { resolveModule } = require('./utils/module-resolver');
+
+const moduleGraph = new ModuleGraph();
+
+// Built-in layer setups; `layers` and `allowedEdges` options replace them
+const LAYER_PRESETS = {
+  // The four rings, dependencies pointing inward (towards lower levels)
+  'clean-architecture': {
+    layers: {
+      entities: { patterns: ['**/entities/**', '**/domain/**'], level: 1 },
+      useCases: { patterns: ['**/use-cases/**', '**/application/**', '**/services/**'], level: 2 },
+      adapters: { patterns: ['**/adapters/**', '**/controllers/**', '**/presenters/**', '**/gateways/**'], level: 3 },
+      frameworks: { patterns: ['**/frameworks/**', '**/infrastructure/**', '**/external/**'], level: 4 }
+    }
+  }
+};
+
 module.exports = {
   meta: {
     type: 'problem',
@@ -13,43 +31,27 @@ module.exports = {
       {
         type: 'object',
         properties: {
+          preset: {
+            enum: Object.keys(LAYER_PRESETS),
+            default: 'clean-architecture'
+          },
           layers: {
             type: 'object',
-            properties: {
-              entities: {
-                type: 'object',
-                properties: {
-                  patterns: { type: 'array', items: { type: 'string' } },
-                  level: { type: 'number' }
-                },
-                default: { patterns: ['**/entities/**', '**/domain/**'], level: 1 }
-              },
-              useCases: {
-                type: 'object',
-                properties: {
-                  patterns: { type: 'array', items: { type: 'string' } },
-                  level: { type: 'number' }
-                },
-                default: { patterns: ['**/use-cases/**', '**/application/**', '**/services/**'], level: 2 }
-              },
-              adapters: {
-                type: 'object',
-                properties: {
-                  patterns: { type: 'array', items: { type: 'string' } },
-                  level: { type: 'number' }
-                },
-                default: { patterns: ['**/adapters/**', '**/controllers/**', '**/presenters/**', '**/gateways/**'], level: 3 }
+            additionalProperties: {
+              type: 'object',
+              properties: {
+                patterns: { type: 'array', items: { type: 'string' } },
+                level: { type: 'number' },
+                forbiddenPackages: { type: 'array', items: { type: 'string' } }
               },
-              frameworks: {
-                type: 'object',
-                properties: {
-                  patterns: { type: 'array', items: { type: 'string' } },
-                  level: { type: 'number' }
-                },
-                default: { patterns: ['**/frameworks/**', '**/infrastructure/**', '**/external/**'], level: 4 }
-              }
+              required: ['patterns'],
+              additionalProperties: false
             }
           },
+          allowedEdges: {
+            type: 'object',
+            additionalProperties: { type: 'array', items: { type: 'string' } }
+          },
           frameworkPatterns: {
             type: 'array',
             items: { type: 'string' },
@@ -74,6 +76,40 @@ module.exports = {
             type: 'array',
             items: { type: 'string' },
             default: ['**/*.test.js', '**/*.spec.js', '**/test/**', '**/tests/**']
+          },
+          allowedFiles: {
+            type: 'array',
+            items: { type: 'string' },
+            default: ['**/main.{js,ts}', '**/container.{js,ts}', '**/di-container.{js,ts}', '**/bootstrap.{js,ts}', '**/index.{js,ts}']
+          },
+          pathAliases: {
+            type: 'object',
+            additionalProperties: { type: 'string' },
+            default: {}
+          },
+          checkCircularDependencies: {
+            type: 'boolean',
+            default: true
+          },
+          maxCycleLength: {
+            type: 'number',
+            default: 20
+          },
+          layerMixing: {
+            type: 'object',
+            properties: {
+              maxLayers: { type: 'number', default: 2 }
+            },
+            additionalProperties: false
+          },
+          businessLogicInFramework: {
+            type: 'object',
+            properties: {
+              maxValidations: { type: 'number', default: 1 },
+              maxCalculations: { type: 'number', default: 4 },
+              maxConstructorValidations: { type: 'number', default: 2 }
+            },
+            additionalProperties: false
           }
         },
         additionalProperties: false
@@ -88,25 +124,50 @@ module.exports = {
       directDatabaseInUseCase: 'Clean Architecture violation: Use case should not directly import database implementation "{{importPath}}". Use repository interface.',
       uiInBusinessLogic: 'Clean Architecture violation: Business logic should not import UI components "{{importPath}}".',
       businessLogicInFramework: 'Clean Architecture violation: Framework layer should not contain business logic. Move "{{businessLogic}}" to appropriate inner layer.',
+      edgeNotAllowed: 'Clean Architecture violation: "{{currentLayer}}" may not import from "{{targetLayer}}". Allowed: {{allowedLayers}}.',
+      forbiddenPackage: 'Clean Architecture violation: Layer "{{layer}}" must not import package "{{packageName}}".',
       skipLayerViolation: 'Clean Architecture violation: "{{currentLayer}}" should not directly import "{{targetLayer}}". Go through intermediate layer "{{intermediateLayer}}".',
-      circularDependency: 'Clean Architecture violation: Circular dependency detected between layers "{{layer1}}" and "{{layer2}}".'
+      circularDependency: 'Clean Architecture violation: Circular dependency detected between layers "{{layer1}}" and "{{layer2}}": {{chain}}.'
     }
   },
 
   create(context) {
     const options = context.options[0] || {};
-    const layers = options.layers || {
-      entities: { patterns: ['**/entities/**', '**/domain/**'], level: 1 },
-      useCases: { patterns: ['**/use-cases/**', '**/application/**', '**/services/**'], level: 2 },
-      adapters: { patterns: ['**/adapters/**', '**/controllers/**', '**/presenters/**', '**/gateways/**'], level: 3 },
-      frameworks: { patterns: ['**/frameworks/**', '**/infrastructure/**', '**/external/**'], level: 4 }
-    };
-    
+    const preset = LAYER_PRESETS[options.preset || 'clean-architecture'];
+    const layers = options.layers || preset.layers;
+    // With explicit edges a layer may only import itself and the layers listed for it;
+    // without them, levels decide (lower levels are inner rings)
+    const allowedEdges = options.allowedEdges || (!options.layers && preset.allowedEdges) || null;
+
+    // The entity and use-case checks apply to the innermost ring and the one around it
+    // ('entities' and 'useCases' in the preset)
+    const rings = Object.entries(layers)
+      .filter(([, layerConfig]) => typeof layerConfig.level === 'number')
+      .sort((a, b) => a[1].level - b[1].level);
+    const entityLayer = rings.length > 0 ? rings[0][0] : null;
+    const useCaseRing = rings.find(([, layerConfig]) => layerConfig.level > rings[0][1].level);
+    const useCaseLayer = useCaseRing ? useCaseRing[0] : null;
+
     const frameworkPatterns = options.frameworkPatterns || ['express', 'mongoose', 'sequelize', 'typeorm', 'axios', 'fetch', 'fs', 'path'];
     const interfacePatterns = options.interfacePatterns || ['**/interfaces/**', '**/ports/**', '**/contracts/**'];
     const allowedCrossCuts = options.allowedCrossCuts || ['**/shared/**', '**/utils/**', '**/constants/**', '**/types/**'];
     const businessLogicPatterns = options.businessLogicPatterns || ['**/entities/**', '**/use-cases/**', '**/domain/**', '**/application/**'];
     const testPatterns = options.testPatterns || ['**/*.test.js', '**/*.spec.js', '**/test/**', '**/tests/**'];
+    // Composition roots wire the layers together, so they may import from all of them and construct anything
+    const allowedFiles = options.allowedFiles || ['**/main.{js,ts}', '**/container.{js,ts}', '**/di-container.{js,ts}', '**/bootstrap.{js,ts}', '**/index.{js,ts}'];
+    const pathAliases = options.pathAliases || {};
+    const checkCircularDependencies = options.checkCircularDependencies !== false;
+    const maxCycleLength = options.maxCycleLength || 20;
+    // A file importing from more layers than this (besides its own) mixes responsibilities; 0 disables the check
+    const maxMixedLayers = { maxLayers: 2, ...options.layerMixing }.maxLayers;
+    // Counts above these mark domain logic in the outermost layer; -1 disables a check
+    const businessLogicLimits = {
+      maxValidations: 1,
+      maxCalculations: 4,
+      // Guard clauses on injected dependencies are common in framework constructors
+      maxConstructorValidations: 2,
+      ...options.businessLogicInFramework
+    };
 
     const minimatch = require('minimatch');
     const path = require('path');
@@ -115,6 +176,10 @@ module.exports = {
       return testPatterns.some(pattern => minimatch(filePath, pattern));
     }
 
+    function isAllowedFile(filePath) {
+      return allowedFiles.some(pattern => minimatch(filePath, pattern));
+    }
+
     function isCrossCutting(filePath) {
       return allowedCrossCuts.some(pattern => minimatch(filePath, pattern));
     }
@@ -133,13 +198,21 @@ module.exports = {
       return businessLogicPatterns.some(pattern => minimatch(filePath, pattern));
     }
 
+    // Layer per file path; the cycle check asks for every file it walks through
+    const layerCache = new Map();
+
     function getLayer(filePath) {
+      if (layerCache.has(filePath)) return layerCache.get(filePath);
+
+      let layer = null;
       for (const [layerName, layerConfig] of Object.entries(layers)) {
         if (layerConfig.patterns.some(pattern => minimatch(filePath, pattern))) {
-          return { name: layerName, level: layerConfig.level };
+          layer = { name: layerName, level: layerConfig.level, forbiddenPackages: layerConfig.forbiddenPackages || [] };
+          break;
         }
       }
-      return null;
+      layerCache.set(filePath, layer);
+      return layer;
     }
 
     function isExternalModule(importPath) {
@@ -148,7 +221,12 @@ module.exports = {
              !path.isAbsolute(importPath);
     }
 
+    // Follows tsconfig/jsconfig paths, package.json#imports, workspace packages and `pathAliases`
     function resolveImportPath(importPath, currentFile) {
+      const resolvedFile = resolveModule(importPath, currentFile, { aliases: pathAliases });
+      if (resolvedFile) {
+        return path.relative(process.cwd(), resolvedFile);
+      }
       if (isExternalModule(importPath)) {
         return importPath;
       }
@@ -158,16 +236,56 @@ module.exports = {
       return path.relative(process.cwd(), resolvedPath);
     }
 
+    function hasLevels(...fileLayers) {
+      return fileLayers.every(layer => typeof layer.level === 'number');
+    }
+
+    // Package name of a bare specifier: `@scope/name` or `name`
+    function packageNameOf(importPath) {
+      const segments = importPath.replace(/^node:/, '').split('/');
+      return importPath.startsWith('@') ? segments.slice(0, 2).join('/') : segments[0];
+    }
+
+    function checkForbiddenPackage(currentFile, importPath, resolvedImportPath) {
+      const currentLayer = getLayer(currentFile);
+      if (!currentLayer || currentLayer.forbiddenPackages.length === 0) return null;
+      // Aliased project files resolve to a path; only packages are checked here
+      if (!isExternalModule(importPath) || resolvedImportPath !== importPath) return null;
+
+      const packageName = packageNameOf(importPath);
+      const forbidden = currentLayer.forbiddenPackages.some(pattern =>
+        pattern === packageName || pattern === importPath || minimatch(importPath, pattern));
+      if (!forbidden) return null;
+
+      return {
+        type: 'forbiddenPackage',
+        data: { layer: currentLayer.name, packageName }
+      };
+    }
+
     function checkDependencyRule(currentFile, importPath) {
       const currentLayer = getLayer(currentFile);
       const importLayer = getLayer(importPath);
 
-      if (!currentLayer || !importLayer) {
+      if (!currentLayer || !importLayer || currentLayer.name === importLayer.name) {
         return null;
       }
 
+      if (allowedEdges) {
+        const allowedLayers = allowedEdges[currentLayer.name] || [];
+        if (allowedLayers.includes(importLayer.name)) return null;
+        return {
+          type: 'edgeNotAllowed',
+          data: {
+            currentLayer: currentLayer.name,
+            targetLayer: importLayer.name,
+            allowedLayers: allowedLayers.length > 0 ? allowedLayers.join(', ') : 'none'
+          }
+        };
+      }
+
       // Dependency rule: inner layers cannot import outer layers
-      if (currentLayer.level < importLayer.level) {
+      if (hasLevels(currentLayer, importLayer) && currentLayer.level < importLayer.level) {
         return {
           type: 'dependencyRuleViolation',
           data: {
@@ -199,8 +317,8 @@ module.exports = {
       const currentLayer = getLayer(currentFile);
       const importLayer = getLayer(importPath);
 
-      if (currentLayer && currentLayer.name === 'entities' && 
-          importLayer && importLayer.name === 'useCases') {
+      if (currentLayer && currentLayer.name === entityLayer && 
+          importLayer && importLayer.name === useCaseLayer) {
         return {
           type: 'entityDependsOnUseCase',
           data: {
@@ -216,16 +334,21 @@ module.exports = {
       const currentLayer = getLayer(currentFile);
       const importLayer = getLayer(importPath);
 
-      if (!currentLayer || !importLayer) return null;
+      // Explicit edges already say which layers may be skipped
+      if (!currentLayer || !importLayer || allowedEdges || !hasLevels(currentLayer, importLayer)) return null;
 
       const levelDiff = importLayer.level - currentLayer.level;
       
       // If skipping more than one layer (e.g., entities directly importing frameworks)
       if (levelDiff > 1) {
-        const layerNames = Object.keys(layers);
-        const currentIndex = layerNames.indexOf(currentLayer.name);
-        const intermediateLayer = layerNames[currentIndex + 1];
-        
+        // The next ring outward, by level rather than by declaration order
+        const intermediateLayer = Object.entries(layers)
+          .filter(([, layerConfig]) => layerConfig.level > currentLayer.level && layerConfig.level < importLayer.level)
+          .sort((a, b) => a[1].level - b[1].level)
+          .map(([layerName]) => layerName)[0];
+
+        if (!intermediateLayer) return null;
+
         return {
           type: 'skipLayerViolation',
           data: {
@@ -242,7 +365,7 @@ module.exports = {
       const currentLayer = getLayer(currentFile);
       const importLayer = getLayer(importPath);
 
-      if (!currentLayer || !importLayer) return null;
+      if (!currentLayer || !importLayer || !hasLevels(currentLayer, importLayer)) return null;
 
       // Check if crossing boundaries without going through interface
       if (Math.abs(currentLayer.level - importLayer.level) > 1 && 
@@ -277,7 +400,7 @@ module.exports = {
       const databasePatterns = ['mongoose', 'sequelize', 'typeorm', 'mysql', 'postgresql', 'mongodb'];
       const currentLayer = getLayer(currentFile);
       
-      if (currentLayer && currentLayer.name === 'useCases' && 
+      if (currentLayer && currentLayer.name === useCaseLayer && 
           databasePatterns.some(pattern => importPath.includes(pattern))) {
         return {
           type: 'directDatabaseInUseCase',
@@ -289,6 +412,145 @@ module.exports = {
       return null;
     }
 
+    // Follows the project's imports from the imported file back into the current file's layer
+    function checkCircularDependency(currentFile, importPath) {
+      if (!checkCircularDependencies) return null;
+
+      const currentLayer = getLayer(currentFile);
+      const importedFile = resolveModule(importPath, currentFile, { aliases: pathAliases });
+      const importLayer = importedFile && getLayer(importedFile);
+
+      if (!currentLayer || !importLayer || currentLayer.name === importLayer.name) {
+        return null;
+      }
+
+      const chain = moduleGraph.findPath(importedFile, file => {
+        const layer = getLayer(file);
+        return Boolean(layer) && layer.name === currentLayer.name && !isTestFile(file);
+      }, { maxDepth: maxCycleLength });
+
+      if (!chain) return null;
+
+      return {
+        type: 'circularDependency',
+        data: {
+          layer1: currentLayer.name,
+          layer2: importLayer.name,
+          chain: [currentFile, ...chain]
+            .map(file => `${path.relative(process.cwd(), file)} (${getLayer(file) ? getLayer(file).name : 'no layer'})`)
+            .join(' -> ')
+        }
+      };
+    }
+
+    const importedLayers = new Map();
+
+    function recordImportedLayer(resolvedImportPath) {
+      const layer = getLayer(resolvedImportPath);
+      if (layer) {
+        importedLayers.set(layer.name, layer.level);
+      }
+    }
+
+    function checkLayerMixing(programNode) {
+      const currentFile = context.getFilename();
+      if (maxMixedLayers <= 0 || isTestFile(currentFile) || isCrossCutting(currentFile) || isAllowedFile(currentFile)) return;
+
+      const currentLayer = getLayer(currentFile);
+      const otherLayers = Array.from(importedLayers.entries())
+        .filter(([layerName]) => !currentLayer || layerName !== currentLayer.name)
+        .sort((a, b) => (a[1] || 0) - (b[1] || 0))
+        .map(([layerName]) => layerName);
+
+      if (otherLayers.length > maxMixedLayers) {
+        context.report({
+          node: programNode,
+          loc: { line: 1, column: 0 },
+          messageId: 'layerMixing',
+          data: {
+            filePath: path.relative(process.cwd(), currentFile),
+            layers: otherLayers.join(', ')
+          }
+        });
+      }
+    }
+
+    // Business logic detection for files in the outermost layer
+    const levels = Object.values(layers).map(layer => layer.level).filter(level => typeof level === 'number');
+    const outermostLevel = levels.length > 0 ? Math.max(...levels) : null;
+    const functionStack = [];
+
+    const fileLayer = getLayer(context.getFilename());
+    const inOutermostLayer = Boolean(fileLayer) && outermostLevel !== null && fileLayer.level === outermostLevel &&
+      !isTestFile(context.getFilename()) && !isAllowedFile(context.getFilename());
+
+    function functionName(node) {
+      if (node.id) return node.id.name;
+      const parent = node.parent;
+      if (parent.type === 'MethodDefinition' || parent.type === 'Property' || parent.type === 'PropertyDefinition') {
+        const key = parent.key.name || parent.key.value;
+        const classNode = parent.type === 'MethodDefinition' && parent.parent.parent;
+        return classNode && classNode.id ? `${classNode.id.name}.${key}` : key;
+      }
+      if (parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier') return parent.id.name;
+      return 'anonymous function';
+    }
+
+    function enterFunction(node) {
+      const isConstructor = node.parent.type === 'MethodDefinition' && node.parent.kind === 'constructor';
+      functionStack.push({ name: functionName(node), isConstructor, validations: 0, calculations: 0 });
+    }
+
+    function exceeds(count, limit) {
+      return limit >= 0 && count > limit;
+    }
+
+    function exitFunction(node) {
+      const stats = functionStack.pop();
+      let businessLogic = null;
+
+      if (stats.isConstructor && exceeds(stats.validations, businessLogicLimits.maxConstructorValidations)) {
+        businessLogic = `${stats.name} (entity construction with ${stats.validations} invariant checks)`;
+      } else if (!stats.isConstructor && exceeds(stats.validations, businessLogicLimits.maxValidations)) {
+        businessLogic = `${stats.name} (${stats.validations} validation checks)`;
+      } else if (exceeds(stats.calculations, businessLogicLimits.maxCalculations)) {
+        businessLogic = `${stats.name} (${stats.calculations} calculations)`;
+      }
+
+      if (businessLogic) {
+        context.report({
+          node: node.parent.type === 'MethodDefinition' ? node.parent.key : node,
+          messageId: 'businessLogicInFramework',
+          data: { businessLogic }
+        });
+      }
+    }
+
+    function isStringOperand(node) {
+      return (node.type === 'Literal' && typeof node.value === 'string') || node.type === 'TemplateLiteral';
+    }
+
+    function countCalculation(node) {
+      const current = functionStack[functionStack.length - 1];
+      if (!current) return;
+      const operator = node.operator.replace(/=$/, '');
+      // `+` is only arithmetic when neither side is obviously a string
+      if (['-', '*', '/', '%', '**'].includes(operator) ||
+          (operator === '+' && !isStringOperand(node.left) && !isStringOperand(node.right))) {
+        current.calculations++;
+      }
+    }
+
+    function countValidation(node) {
+      const current = functionStack[functionStack.length - 1];
+      if (!current) return;
+      // `if (...) throw` or `if (...) { throw }`
+      const parent = node.parent.type === 'BlockStatement' ? node.parent.parent : node.parent;
+      if (parent && parent.type === 'IfStatement') {
+        current.validations++;
+      }
+    }
+
     function checkImportDeclaration(node) {
       const importPath = node.source.value;
       const currentFile = context.getFilename();
@@ -304,6 +566,7 @@ module.exports = {
       }
 
       const resolvedImportPath = resolveImportPath(importPath, currentFile);
+      recordImportedLayer(resolvedImportPath);
 
       // Run all checks
       const checks = [
@@ -313,7 +576,9 @@ module.exports = {
         checkSkipLayerViolation(currentFile, resolvedImportPath),
         checkCrossBoundaryInterface(currentFile, resolvedImportPath),
         checkUIInBusinessLogic(currentFile, importPath),
-        checkDatabaseInUseCase(currentFile, importPath)
+        checkDatabaseInUseCase(currentFile, importPath),
+        checkCircularDependency(currentFile, importPath),
+        checkForbiddenPackage(currentFile, importPath, resolvedImportPath)
       ];
 
       checks.forEach(violation => {
@@ -347,6 +612,7 @@ module.exports = {
         }
 
         const resolvedImportPath = resolveImportPath(importPath, currentFile);
+        recordImportedLayer(resolvedImportPath);
 
         // Run all checks
         const checks = [
@@ -356,7 +622,9 @@ module.exports = {
           checkSkipLayerViolation(currentFile, resolvedImportPath),
           checkCrossBoundaryInterface(currentFile, resolvedImportPath),
           checkUIInBusinessLogic(currentFile, importPath),
-          checkDatabaseInUseCase(currentFile, importPath)
+          checkDatabaseInUseCase(currentFile, importPath),
+          checkCircularDependency(currentFile, importPath),
+          checkForbiddenPackage(currentFile, importPath, resolvedImportPath)
         ];
 
         checks.forEach(violation => {
@@ -372,8 +640,31 @@ module.exports = {
     }
 
     return {
+      Program() {
+        if (checkCircularDependencies) {
+          moduleGraph.updateFile(context.getFilename(), context.getSourceCode().getText());
+        }
+      },
+      'Program:exit': checkLayerMixing,
       ImportDeclaration: checkImportDeclaration,
-      CallExpression: checkRequireCall
+      CallExpression(node) {
+        checkRequireCall(node);
+        const callee = node.callee;
+        if (functionStack.length > 0 && callee.type === 'MemberExpression' && callee.object.name === 'Math') {
+          functionStack[functionStack.length - 1].calculations++;
+        }
+      },
+      ':function'(node) {
+        if (inOutermostLayer) enterFunction(node);
+      },
+      ':function:exit'(node) {
+        if (inOutermostLayer) exitFunction(node);
+      },
+      BinaryExpression: countCalculation,
+      AssignmentExpression(node) {
+        if (node.operator !== '=') countCalculation(node);
+      },
+      ThrowStatement: countValidation
     };
   }
 };
\ No newline at end of file
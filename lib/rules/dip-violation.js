@@ -1,5 +1,10 @@
 'use strict';
 
+const { resolveModule } = require('./utils/module-resolver');
+
+// Suffixes that only mark an implementation and are dropped from the interface name
+const IMPLEMENTATION_SUFFIXES = ['Implementation', 'Impl', 'Concrete'];
+
 module.exports = {
   meta: {
     type: 'problem',
@@ -9,6 +14,7 @@ module.exports = {
       recommended: true,
     },
     fixable: null,
+    hasSuggestions: true,
     schema: [
       {
         type: 'object',
@@ -66,7 +72,8 @@ module.exports = {
     ],
     messages: {
       directConcreteDependency: 'Direct import of concrete implementation "{{importPath}}" violates DIP. Use dependency injection or abstract interfaces instead.',
-      suggestAbstraction: 'Consider importing from "{{suggestedPath}}" instead of "{{importPath}}".',
+      suggestAbstraction: 'Import from "{{suggestedPath}}" instead of "{{importPath}}".',
+      suggestAbstractionAndRename: 'Import "{{interfaceName}}" from "{{suggestedPath}}" instead of "{{className}}" from "{{importPath}}".',
       noAbstractionFound: 'No matching abstraction found for "{{importPath}}". Consider creating an interface or using dependency injection.',
       concreteClassImport: 'Direct import of concrete class "{{className}}" violates DIP. Consider using an interface or abstract class.',
       typeScriptTypeImport: 'Import "{{importPath}}" appears to be a concrete type. Consider using an interface or abstract type.'
@@ -88,14 +95,26 @@ module.exports = {
     
     const minimatch = require('minimatch');
     const path = require('path');
-    const fs = require('fs');
 
     function isExternalModule(importPath) {
       // Check if it's a relative/absolute path or external module
       return !importPath.startsWith('./') && 
              !importPath.startsWith('../') && 
              !path.isAbsolute(importPath) &&
-             !Object.keys(pathAliases).some(alias => importPath.startsWith(alias));
+             !Object.keys(pathAliases).some(alias => importPath.startsWith(alias)) &&
+             !resolveProjectPath(importPath);
+    }
+
+    // Project-relative path of the imported file, following tsconfig/jsconfig paths,
+    // package.json#imports and workspace packages
+    function resolveProjectPath(importPath) {
+      const resolvedFile = resolveModule(importPath, context.getFilename(), { aliases: pathAliases });
+      return resolvedFile && path.relative(process.cwd(), resolvedFile).split(path.sep).join('/');
+    }
+
+    function matchesAny(importPath, patterns) {
+      const candidates = [resolvePathAlias(importPath), resolveProjectPath(importPath)].filter(Boolean);
+      return candidates.some(candidate => patterns.some(pattern => minimatch(candidate, pattern)));
     }
 
     function resolvePathAlias(importPath) {
@@ -108,13 +127,11 @@ module.exports = {
     }
 
     function isConcreteImport(importPath) {
-      const resolvedPath = resolvePathAlias(importPath);
-      return concretePatterns.some(pattern => minimatch(resolvedPath, pattern));
+      return matchesAny(importPath, concretePatterns);
     }
 
     function isAbstractImport(importPath) {
-      const resolvedPath = resolvePathAlias(importPath);
-      return abstractPatterns.some(pattern => minimatch(resolvedPath, pattern));
+      return matchesAny(importPath, abstractPatterns);
     }
 
     function isAllowedFile(filename) {
@@ -144,51 +161,146 @@ module.exports = {
         return customMappings[importPath];
       }
 
-      const resolvedPath = resolvePathAlias(importPath);
-      
-      // Try to find corresponding abstract path
-      for (let i = 0; i < concretePatterns.length; i++) {
-        const concretePattern = concretePatterns[i];
-        if (minimatch(resolvedPath, concretePattern)) {
-          // Map concrete pattern to abstract pattern
-          const abstractPattern = abstractPatterns[i] || abstractPatterns[0];
-          
-          let suggestedPath = resolvedPath;
-          
-          // Replace concrete directory with abstract directory
-          suggestedPath = suggestedPath
-            .replace(/\/concrete\//, '/interfaces/')
-            .replace(/\/impl\//, '/interfaces/')
-            .replace(/\/implementations\//, '/interfaces/')
-            .replace(/\/concrete$/, '/interfaces')
-            .replace(/\/impl$/, '/interfaces')
-            .replace(/\/implementations$/, '/interfaces');
-
-          // Remove concrete suffixes from filename
-          concreteClassSuffixes.forEach(suffix => {
-            const regex = new RegExp(`${suffix}(\\.\\w+)?$`);
-            suggestedPath = suggestedPath.replace(regex, '$1');
-          });
+      if (!isConcreteImport(importPath)) {
+        return null;
+      }
+
+      // Rewrite the specifier as written, so relative paths and aliases keep working
+      let suggestedPath = importPath
+        .replace(/\/concrete\//, '/interfaces/')
+        .replace(/\/impl\//, '/interfaces/')
+        .replace(/\/implementations\//, '/interfaces/')
+        .replace(/\/concrete$/, '/interfaces')
+        .replace(/\/impl$/, '/interfaces')
+        .replace(/\/implementations$/, '/interfaces');
+
+      // Remove a concrete suffix from the filename; `UserServiceImpl` tries `UserService`
+      // before stripping `Service` as well
+      const candidates = [];
+      concreteClassSuffixes.forEach(suffix => {
+        const regex = new RegExp(`${suffix}(\\.\\w+)?$`);
+        candidates.push(suggestedPath.replace(regex, '$1'));
+      });
+      let strippedPath = suggestedPath;
+      concreteClassSuffixes.forEach(suffix => {
+        strippedPath = strippedPath.replace(new RegExp(`${suffix}(\\.\\w+)?$`), '$1');
+      });
+      candidates.push(strippedPath, suggestedPath);
+
+      return candidates.find(candidate => candidate !== importPath && fileExists(candidate)) || null;
+    }
 
-          // Check if suggested path exists
-          if (fileExists(suggestedPath)) {
-            return suggestedPath;
+    function fileExists(importPath) {
+      return Boolean(resolveModule(importPath, context.getFilename(), { aliases: pathAliases }));
+    }
+
+    // `UserServiceImpl` -> `IUserService`, `UserRepository` -> `IUserRepository`
+    function interfaceNameFor(className) {
+      const suffix = IMPLEMENTATION_SUFFIXES.find(candidate => className.endsWith(candidate) && className !== candidate);
+      const baseName = suffix ? className.slice(0, -suffix.length) : className;
+      return `I${baseName}`;
+    }
+
+    // Bindings of an import or require whose name marks a concrete class, with everything to rename
+    function concreteBindings(node) {
+      const bindings = [];
+      const addBinding = (nameNode, replaceNode, variableNode, keepLocalName) => {
+        const className = nameNode.name;
+        if (!hasConcreteClassSuffix(className) || hasAbstractClassPrefix(className)) return;
+        const variable = context.getDeclaredVariables(variableNode).find(candidate => candidate.name === className);
+        bindings.push({
+          className,
+          interfaceName: interfaceNameFor(className),
+          replaceNode,
+          // The declaration's own write reference is covered by `replaceNode`
+          references: keepLocalName || !variable ? [] : variable.references
+            .map(reference => reference.identifier)
+            .filter(identifier => identifier.range[0] >= replaceNode.range[1] || identifier.range[1] <= replaceNode.range[0])
+        });
+      };
+
+      if (node.type === 'ImportDeclaration') {
+        node.specifiers.forEach(specifier => {
+          if (specifier.type === 'ImportDefaultSpecifier') {
+            addBinding(specifier.local, specifier.local, specifier, false);
+          } else if (specifier.type === 'ImportSpecifier') {
+            // `{ A as B }` only changes the imported name, `B` stays
+            const aliased = specifier.imported.range[0] !== specifier.local.range[0];
+            addBinding(specifier.imported, aliased ? specifier.imported : specifier, specifier, aliased);
           }
+        });
+        return bindings;
+      }
+
+      const declarator = node.parent;
+      if (declarator && declarator.type === 'VariableDeclarator' && declarator.init === node) {
+        if (declarator.id.type === 'Identifier') {
+          addBinding(declarator.id, declarator.id, declarator, false);
+        } else if (declarator.id.type === 'ObjectPattern') {
+          declarator.id.properties.forEach(property => {
+            if (property.type !== 'Property' || property.key.type !== 'Identifier') return;
+            const aliased = !property.shorthand;
+            addBinding(property.key, aliased ? property.key : property, declarator, aliased);
+          });
         }
       }
-      
-      return null;
+      return bindings;
     }
 
-    function fileExists(filePath) {
-      try {
-        const absolutePath = path.resolve(path.dirname(context.getFilename()), filePath);
-        return fs.existsSync(absolutePath) || 
-               fs.existsSync(absolutePath + '.js') || 
-               fs.existsSync(absolutePath + '.ts') ||
-               fs.existsSync(absolutePath + '.tsx');
-      } catch (e) {
-        return false;
+    // Where the name of a reference is also a property or export name, that name is kept:
+    // `{ UserServiceImpl }` -> `{ UserServiceImpl: IUserService }`,
+    // `export { UserServiceImpl }` -> `export { IUserService as UserServiceImpl }`
+    function renamedReference(identifier, binding) {
+      const parent = identifier.parent;
+      if (parent && parent.type === 'Property' && parent.shorthand && parent.value === identifier) {
+        return `${binding.className}: ${binding.interfaceName}`;
+      }
+      if (parent && parent.type === 'ExportSpecifier' && parent.local === identifier &&
+          parent.exported.range[0] === identifier.range[0]) {
+        return `${binding.interfaceName} as ${binding.className}`;
+      }
+      return binding.interfaceName;
+    }
+
+    function buildSuggestion(node, sourceNode, importPath, suggestedPath) {
+      const bindings = concreteBindings(node);
+      const quote = sourceNode.raw ? sourceNode.raw[0] : "'";
+      const fix = fixer => [
+        fixer.replaceText(sourceNode, `${quote}${suggestedPath}${quote}`),
+        ...bindings.flatMap(binding => [
+          fixer.replaceText(binding.replaceNode, binding.interfaceName),
+          ...binding.references.map(identifier => fixer.replaceText(identifier, renamedReference(identifier, binding)))
+        ])
+      ];
+
+      // One rename is named in the message; several would not fit
+      if (bindings.length === 1) {
+        return {
+          messageId: 'suggestAbstractionAndRename',
+          data: { importPath, suggestedPath, className: bindings[0].className, interfaceName: bindings[0].interfaceName },
+          fix
+        };
+      }
+      return { messageId: 'suggestAbstraction', data: { importPath, suggestedPath }, fix };
+    }
+
+    // One report per concrete import, carrying the rewrite to the abstraction as a suggestion
+    function reportConcreteImport(node, sourceNode, importPath, messageId) {
+      const suggestedPath = suggestAbstractPath(importPath);
+
+      if (suggestedPath) {
+        context.report({
+          node: sourceNode,
+          messageId,
+          data: { importPath },
+          suggest: [buildSuggestion(node, sourceNode, importPath, suggestedPath)]
+        });
+      } else {
+        context.report({
+          node: sourceNode,
+          messageId: strictMode ? 'noAbstractionFound' : messageId,
+          data: { importPath }
+        });
       }
     }
 
@@ -234,26 +346,7 @@ module.exports = {
         if (isTypeOnlyImport(node)) {
           // For type-only imports, check if they're from concrete paths
           if (isConcreteImport(importPath) && !isAbstractImport(importPath)) {
-            const suggestedPath = suggestAbstractPath(importPath);
-            
-            context.report({
-              node: node.source,
-              messageId: 'typeScriptTypeImport',
-              data: {
-                importPath: importPath
-              }
-            });
-
-            if (suggestedPath) {
-              context.report({
-                node: node.source,
-                messageId: 'suggestAbstraction',
-                data: {
-                  importPath: importPath,
-                  suggestedPath: suggestedPath
-                }
-              });
-            }
+            reportConcreteImport(node, node.source, importPath, 'typeScriptTypeImport');
           }
           return; // Don't process type-only imports further
         }
@@ -266,34 +359,9 @@ module.exports = {
           return;
         }
 
-        const suggestedPath = suggestAbstractPath(importPath);
-        
-        context.report({
-          node: node.source,
-          messageId: 'directConcreteDependency',
-          data: {
-            importPath: importPath
-          }
-        });
-
-        if (suggestedPath) {
-          context.report({
-            node: node.source,
-            messageId: 'suggestAbstraction',
-            data: {
-              importPath: importPath,
-              suggestedPath: suggestedPath
-            }
-          });
-        } else if (strictMode) {
-          context.report({
-            node: node.source,
-            messageId: 'noAbstractionFound',
-            data: {
-              importPath: importPath
-            }
-          });
-        }
+        // The import is reported once, on its source; its specifiers need no report of their own
+        reportConcreteImport(node, node.source, importPath, 'directConcreteDependency');
+        return;
       }
 
       // Check imported class names for concrete indicators
@@ -323,34 +391,7 @@ module.exports = {
 
         // Check if requiring from concrete implementation
         if (isConcreteImport(importPath) && !isAbstractImport(importPath)) {
-          const suggestedPath = suggestAbstractPath(importPath);
-          
-          context.report({
-            node: node.arguments[0],
-            messageId: 'directConcreteDependency',
-            data: {
-              importPath: importPath
-            }
-          });
-
-          if (suggestedPath) {
-            context.report({
-              node: node.arguments[0],
-              messageId: 'suggestAbstraction',
-              data: {
-                importPath: importPath,
-                suggestedPath: suggestedPath
-              }
-            });
-          } else if (strictMode) {
-            context.report({
-              node: node.arguments[0],
-              messageId: 'noAbstractionFound',
-              data: {
-                importPath: importPath
-              }
-            });
-          }
+          reportConcreteImport(node, node.arguments[0], importPath, 'directConcreteDependency');
         }
       }
     }
@@ -1,4 +1,14 @@
 // rules/isp-interface-segregation.js
+const path = require('path');
+
+const { collectMemberUsage } = require('./utils/usage-tracker');
+const { summarizeClients, proposeSplit } = require('./utils/client-usage');
+const { analyzeFile, resolveDeclaration } = require('./utils/declarations');
+const { ModuleGraph, listSourceFiles } = require('./utils/module-graph');
+const { findProjectRoot } = require('./utils/module-resolver');
+
+const moduleGraph = new ModuleGraph();
+
 module.exports = {
   meta: {
     type: 'problem',
@@ -45,6 +55,33 @@ module.exports = {
           ignoreInheritedMethods: {
             type: 'boolean',
             default: true
+          },
+          crossFileUsage: {
+            type: 'boolean',
+            default: false
+          },
+          clientUsage: {
+            type: 'object',
+            properties: {
+              minUsageRatio: {
+                type: 'number',
+                minimum: 0,
+                maximum: 1,
+                default: 0.5
+              },
+              minMethods: {
+                type: 'integer',
+                minimum: 1,
+                default: 4
+              },
+              splitSimilarity: {
+                type: 'number',
+                minimum: 0,
+                maximum: 1,
+                default: 0.5
+              }
+            },
+            additionalProperties: false
           }
         },
         additionalProperties: false
@@ -61,6 +98,11 @@ module.exports = {
     const includeUsageCount = options.includeUsageCount !== false;
     const debugMode = options.debugMode || false;
     const ignoreInheritedMethods = options.ignoreInheritedMethods !== false;
+    const crossFileUsage = options.crossFileUsage || false;
+    // Per-client analysis reads every file importing this one, so it only runs when configured
+    const clientUsage = options.clientUsage
+      ? { minUsageRatio: 0.5, minMethods: 4, splitSimilarity: 0.5, ...options.clientUsage }
+      : null;
     
     const sourceCode = context.getSourceCode();
     const classAnalysis = new Map();
@@ -96,19 +138,12 @@ module.exports = {
         }
       },
 
-      // Track method calls with proper scoping
-      CallExpression(node) {
-        trackMethodUsage(node);
-      },
-
-      // Track member access patterns
-      MemberExpression(node) {
-        trackMemberAccess(node);
-      },
-
       // Final analysis after traversing the entire file
       'Program:exit'() {
-        performISPAnalysis();
+        // Read once, for both the usage tracking and the per-client analysis
+        const importerUsage = crossFileUsage || clientUsage ? collectImporterUsage() : new Map();
+        trackMethodUsage(importerUsage);
+        performISPAnalysis(importerUsage);
       }
     };
 
@@ -157,6 +192,7 @@ module.exports = {
 
       classAnalysis.set(className, {
         node,
+        usageName: className,
         methods,
         methodCategories,
         totalMethods: methods.length,
@@ -207,6 +243,7 @@ module.exports = {
 
       classAnalysis.set(interfaceName, {
         node,
+        usageName: interfaceName,
         methods,
         methodCategories,
         totalMethods: methods.length,
@@ -330,6 +367,7 @@ module.exports = {
       if (methods.length > 0) {
         classAnalysis.set(objectId, {
           node,
+          usageName: objectId.slice(0, objectId.lastIndexOf('_')),
           methods,
           methodCategories,
           totalMethods: methods.length,
@@ -419,6 +457,7 @@ module.exports = {
         
         // Recursively check child nodes
         for (const key in node) {
+          if (key === 'parent') continue;
           if (node[key] && typeof node[key] === 'object') {
             if (Array.isArray(node[key])) {
               node[key].forEach(countComplexity);
@@ -435,50 +474,119 @@ module.exports = {
       return complexity;
     }
 
-    function trackMethodUsage(node) {
-      if (node.callee && node.callee.type === 'MemberExpression') {
-        const methodName = node.callee.property.name;
-        const objectName = node.callee.object.name;
-        
-        if (methodName && objectName) {
-          debugLog(`Tracking method usage: ${objectName}.${methodName}`);
-          
-          // More precise tracking based on object context
-          classAnalysis.forEach((classInfo, className) => {
-            // Check if the method call is on an instance of this class
-            if (className === objectName || 
-                (classInfo.isInterface && objectName.toLowerCase().includes(className.toLowerCase()))) {
-              const method = classInfo.methods.find(m => m.name === methodName);
-              if (method) {
-                method.isUsed = true;
-                method.usageCount++;
-                debugLog(`Method usage tracked: ${className}.${methodName} (count: ${method.usageCount})`);
-              }
-            }
-          });
-        }
+    // Marks the methods used in this file (and, with `crossFileUsage`, in the files
+    // importing it) through scope analysis of the values that hold each class
+    function trackMethodUsage(importerUsage) {
+      const typeNames = Array.from(classAnalysis.values()).map(classInfo => classInfo.usageName);
+      const usage = collectMemberUsage(
+        { program: sourceCode.ast, scopeManager: sourceCode.scopeManager, text: sourceCode.text },
+        { typeNames }
+      );
+      if (crossFileUsage) {
+        importerUsage.forEach(fileUsage => {
+          fileUsage.forEach((members, typeName) => mergeUsage(usage, typeName, members));
+        });
       }
+
+      classAnalysis.forEach((classInfo, className) => {
+        const members = usage.get(classInfo.usageName);
+        if (!members) return;
+        classInfo.methods.forEach(method => {
+          const count = members.get(method.name) || 0;
+          if (count > 0) {
+            method.isUsed = true;
+            method.usageCount += count;
+            debugLog(`Method usage tracked: ${className}.${method.name} (count: ${method.usageCount})`);
+          }
+        });
+      });
     }
 
-    function trackMemberAccess(node) {
-      if (node.property && node.property.name && node.object && node.object.name) {
-        const propertyName = node.property.name;
-        const objectName = node.object.name;
-        
-        // Track member access for better usage detection
-        classAnalysis.forEach((classInfo, className) => {
-          if (className === objectName) {
-            const method = classInfo.methods.find(m => m.name === propertyName);
-            if (method) {
-              method.isUsed = true;
-              method.usageCount++;
+    function mergeUsage(usage, typeName, members) {
+      if (!members) return;
+      if (!usage.has(typeName)) usage.set(typeName, new Map());
+      const merged = usage.get(typeName);
+      members.forEach((count, memberName) => merged.set(memberName, (merged.get(memberName) || 0) + count));
+    }
+
+    // Usage of this file's classes and interfaces per project file importing them,
+    // keyed by their declared name whatever they are imported as
+    function collectImporterUsage() {
+      const importerUsage = new Map();
+
+      const currentFile = context.getFilename();
+      const declaredNames = new Set(Array.from(classAnalysis.values())
+        .filter(classInfo => !classInfo.isInterface || classInfo.isTypeScriptInterface)
+        .map(classInfo => classInfo.usageName));
+
+      moduleGraph.importersOf(currentFile, listSourceFiles(findProjectRoot(currentFile))).forEach(file => {
+        const analysis = analyzeFile(file, context);
+        if (!analysis) return;
+
+        const localNames = new Map();
+        const moduleScope = analysis.scopeManager.globalScope.childScopes.find(scope => scope.type === 'module');
+        [analysis.scopeManager.globalScope, moduleScope].filter(Boolean).forEach(scope => {
+          scope.variables.forEach(variable => {
+            const declaration = resolveDeclaration(variable.name, file, analysis.program, context);
+            if (declaration && declaration.filePath === currentFile && declaration.node.id &&
+                declaredNames.has(declaration.node.id.name)) {
+              localNames.set(variable.name, declaration.node.id.name);
             }
-          }
+          });
+        });
+        if (localNames.size === 0) return;
+
+        // Untyped parameters are recognized by the declared name too (`userRepository`)
+        const collected = collectMemberUsage(analysis, { typeNames: [...localNames.keys(), ...localNames.values()] });
+        const usage = new Map();
+        new Set([...localNames.keys(), ...localNames.values()]).forEach(name => {
+          mergeUsage(usage, localNames.get(name) || name, collected.get(name));
+        });
+        importerUsage.set(file, usage);
+        debugLog(`Collected usage from ${file}`, Array.from(localNames.values()));
+      });
+      return importerUsage;
+    }
+
+    // Each importing module is a client; clients using a small slice of a class or
+    // interface depend on methods they do not need
+    function analyzeClients(classInfo, className, importerUsage) {
+      const methodNames = classInfo.methods.map(method => method.name);
+      if (methodNames.length < clientUsage.minMethods) return;
+
+      const projectRoot = findProjectRoot(context.getFilename());
+      const usageByClient = new Map();
+      importerUsage.forEach((usage, file) => {
+        const members = usage.get(classInfo.usageName);
+        if (members) usageByClient.set(path.relative(projectRoot, file).split(path.sep).join('/'), members);
+      });
+
+      const clients = summarizeClients(methodNames, usageByClient);
+      const partialClients = clients.filter(client => client.ratio < clientUsage.minUsageRatio);
+      debugLog(`Clients of ${className}`, clients);
+      if (partialClients.length === 0) return;
+
+      const interfaceType = classInfo.isTypeScriptInterface ? 'TypeScript interface' : 'Class';
+      partialClients.forEach(client => {
+        context.report({
+          node: classInfo.node,
+          message: `ISP Violation: '${client.client}' uses only ${client.used.length} of ${methodNames.length} methods of ${interfaceType} '${className}' (${client.used.join(', ')}). Depend on a smaller interface with just these methods.`
+        });
+      });
+
+      const proposal = proposeSplit(methodNames, clients, { similarity: clientUsage.splitSimilarity });
+      if (proposal.length > 1) {
+        const groups = proposal.map(group =>
+          `{ ${group.methods.join(', ')} }${group.clients.length > 0 ? ` for ${group.clients.join(', ')}` : ' (no client)'}`
+        ).join('; ');
+        context.report({
+          node: classInfo.node,
+          message: `ISP Violation: Split ${interfaceType} '${className}' by its clients into: ${groups}.`
         });
       }
     }
 
-    function performISPAnalysis() {
+    function performISPAnalysis(importerUsage) {
       debugLog('Starting ISP analysis', { totalClasses: classAnalysis.size });
       
       classAnalysis.forEach((classInfo, className) => {
@@ -509,6 +617,11 @@ module.exports = {
         if (hasMixedResponsibilities(classInfo)) {
           reportMixedResponsibilities(classInfo, className);
         }
+
+        // Check how much of it each importing module uses
+        if (clientUsage && (!classInfo.isInterface || classInfo.isTypeScriptInterface)) {
+          analyzeClients(classInfo, className, importerUsage);
+        }
       });
       
       debugLog('ISP analysis complete');
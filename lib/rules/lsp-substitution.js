@@ -1,4 +1,12 @@
 'use strict';
+
+const minimatch = require('minimatch');
+
+const { resolveDeclaration } = require('./utils/declarations');
+
+// Deepest inheritance chain followed when looking for an overridden method
+const MAX_INHERITANCE_DEPTH = 10;
+
 module.exports = {
   meta: {
     type: 'problem',
@@ -8,12 +16,78 @@ module.exports = {
       recommended: true
     },
     fixable: null,
-    schema: []
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          checkPreconditions: { type: 'boolean', default: true },
+          checkStricterTypeChecks: { type: 'boolean', default: true },
+          checkNullReturns: { type: 'boolean', default: true },
+          checkExceptions: { type: 'boolean', default: true },
+          checkClassContract: { type: 'boolean', default: true },
+          checkParameters: { type: 'boolean', default: true },
+          checkAsync: { type: 'boolean', default: true },
+          checkAccessors: { type: 'boolean', default: true },
+          checkReturnShape: { type: 'boolean', default: true },
+          checkNotImplemented: { type: 'boolean', default: true },
+          allowedExceptionTypes: {
+            type: 'array',
+            items: { type: 'string' },
+            default: []
+          },
+          ignoreClasses: {
+            type: 'array',
+            items: { type: 'string' },
+            default: []
+          },
+          ignoreMethods: {
+            type: 'array',
+            items: { type: 'string' },
+            default: []
+          },
+          useJSDocContracts: { type: 'boolean', default: true }
+        },
+        additionalProperties: false
+      }
+    ],
+    messages: {
+      strongerPreconditions: "LSP Violation: Method '{{methodName}}' has stronger preconditions than base method",
+      weakerPostconditions: "LSP Violation: Method '{{methodName}}' has weaker postconditions than base method",
+      undeclaredException: "LSP Violation: Method '{{methodName}}' throws exceptions not declared in base method",
+      classContractViolation: 'LSP Violation: Derived class cannot substitute base class due to contract violations',
+      memberKindMismatch: "LSP Violation: '{{methodName}}' is a {{overrideKind}} but base '{{baseName}}' is a {{baseKind}}",
+      droppedRestParameter: "LSP Violation: Method '{{methodName}}' drops the rest parameter of base '{{baseName}}'",
+      droppedDefault: "LSP Violation: Method '{{methodName}}' drops the default value of {{parameters}} declared in base '{{baseName}}'",
+      moreRequiredParameters: "LSP Violation: Method '{{methodName}}' requires {{overrideRequired}} argument(s) but base '{{baseName}}' requires {{baseRequired}}",
+      asyncMismatch: "LSP Violation: Method '{{methodName}}' is {{overrideKind}} but base '{{baseName}}' is {{baseKind}}",
+      returnShapeMismatch: "LSP Violation: Method '{{methodName}}' returns {{overrideShapes}} but base '{{baseName}}' returns {{baseShapes}}",
+      notImplemented: "LSP Violation: Method '{{methodName}}' throws \"not implemented\" although base '{{baseName}}' is implemented"
+    }
   },
 
   create(context) {
+    const options = context.options[0] || {};
+    const checks = {
+      preconditions: options.checkPreconditions !== false,
+      stricterTypeChecks: options.checkStricterTypeChecks !== false,
+      nullReturns: options.checkNullReturns !== false,
+      exceptions: options.checkExceptions !== false,
+      classContract: options.checkClassContract !== false,
+      parameters: options.checkParameters !== false,
+      async: options.checkAsync !== false,
+      accessors: options.checkAccessors !== false,
+      returnShape: options.checkReturnShape !== false,
+      notImplemented: options.checkNotImplemented !== false
+    };
+    const allowedExceptionTypes = options.allowedExceptionTypes || [];
+    const ignoreClasses = options.ignoreClasses || [];
+    const ignoreMethods = options.ignoreMethods || [];
+    const useJSDocContracts = options.useJSDocContracts !== false;
+
     const sourceCode = context.getSourceCode();
+    const currentFile = context.getFilename();
     const classRegistry = new Map(); // Store class info for inheritance analysis
+    const inheritanceChains = new Map(); // Resolved base classes per class node
     
     return {
       // First pass: collect all class information
@@ -23,22 +97,40 @@ module.exports = {
 
       // Second pass: analyze method overrides
       'ClassDeclaration:exit'(node) {
-        if (node.superClass) {
+        if (node.superClass && checks.classContract && !isIgnoredClass(node)) {
           analyzeClassSubstitution(node, context);
         }
       },
 
       // Analyze individual method overrides
       MethodDefinition(node) {
-        if (node.kind === 'method') {
-          const classNode = findParentClass(node);
-          if (classNode && classNode.superClass && isOverridingMethod(node, classNode)) {
-            checkLSPViolation(node, classNode, context);
-          }
+        const classNode = findParentClass(node);
+        if (!classNode || !classNode.superClass) return;
+        if (isIgnoredClass(classNode) || isIgnoredMethod(classNode, node.key.name)) return;
+
+        if (node.kind === 'method' && isOverridingMethod(node, classNode)) {
+          checkLSPViolation(node, classNode, context);
+        }
+        if (node.kind !== 'constructor') {
+          checkSignatureCompatibility(node, classNode);
         }
       }
     };
 
+    function isIgnoredClass(classNode) {
+      const className = classNode.id ? classNode.id.name : 'AnonymousClass';
+      return ignoreClasses.some(pattern => minimatch(className, pattern));
+    }
+
+    // Patterns match the method name or `ClassName.methodName`
+    function isIgnoredMethod(classNode, methodName) {
+      if (!methodName) return false;
+      const className = classNode.id ? classNode.id.name : 'AnonymousClass';
+      return ignoreMethods.some(pattern =>
+        minimatch(methodName, pattern) || minimatch(`${className}.${methodName}`, pattern)
+      );
+    }
+
     function registerClass(node) {
       const className = node.id ? node.id.name : 'AnonymousClass';
       const methods = new Map();
@@ -46,13 +138,7 @@ module.exports = {
       // Extract all methods from the class
       node.body.body.forEach(member => {
         if (member.type === 'MethodDefinition' && member.key.name) {
-          methods.set(member.key.name, {
-            node: member,
-            parameters: member.value.params,
-            hasThrowStatements: hasThrowStatements(member.value),
-            returnStatements: getReturnStatements(member.value),
-            parameterValidations: getParameterValidations(member.value)
-          });
+          methods.set(member.key.name, getMethodInfo(member));
         }
       });
 
@@ -63,18 +149,124 @@ module.exports = {
       });
     }
 
+    function getMethodInfo(member) {
+      return {
+        node: member,
+        parameters: member.value.params,
+        hasThrowStatements: hasThrowStatements(member.value),
+        returnStatements: getReturnStatements(member.value),
+        parameterValidations: getParameterValidations(member.value)
+      };
+    }
+
+    // Base classes of a class, closest first, resolved in this file or in the
+    // modules they are imported, required or re-exported from. `complete` is false
+    // when the chain ends at a class that cannot be resolved (e.g. from a package).
+    function getInheritanceChain(classNode) {
+      if (inheritanceChains.has(classNode)) return inheritanceChains.get(classNode);
+
+      const chain = [];
+      let complete = true;
+      let current = { node: classNode, filePath: currentFile, program: sourceCode.ast };
+
+      while (current.node.superClass && chain.length < MAX_INHERITANCE_DEPTH) {
+        const superClassName = current.node.superClass.type === 'Identifier' ? current.node.superClass.name : null;
+        let base = null;
+        if (superClassName && current.filePath === currentFile && classRegistry.has(superClassName)) {
+          base = { node: classRegistry.get(superClassName).node, filePath: currentFile, program: sourceCode.ast };
+        } else if (superClassName) {
+          base = resolveDeclaration(superClassName, current.filePath, current.program, context);
+        }
+
+        if (!base || (base.node.type !== 'ClassDeclaration' && base.node.type !== 'ClassExpression')) {
+          complete = false;
+          break;
+        }
+        if (base.node === classNode || chain.some(link => link.node === base.node)) break;
+
+        chain.push(base);
+        current = base;
+      }
+
+      const result = { chain, complete };
+      inheritanceChains.set(classNode, result);
+      return result;
+    }
+
+    // The closest base class method a method overrides, with the contract its JSDoc declares
+    function findBaseMethod(classNode, methodName) {
+      for (const { node, program } of getInheritanceChain(classNode).chain) {
+        const member = node.body.body.find(candidate =>
+          candidate.type === 'MethodDefinition' && candidate.kind === 'method' && candidate.key.name === methodName
+        );
+        if (member) return { ...getMethodInfo(member), contract: getJSDocContract(member, node, program) };
+      }
+      return null;
+    }
+
+    // The closest base class member (method, getter or setter) with the same name
+    function findBaseMember(classNode, methodNode) {
+      const methodName = methodNode.key.name;
+      if (!methodName) return null;
+
+      for (const { node, program } of getInheritanceChain(classNode).chain) {
+        const member = node.body.body.find(candidate =>
+          (candidate.type === 'MethodDefinition' || candidate.type === 'TSAbstractMethodDefinition') &&
+          candidate.kind !== 'constructor' &&
+          candidate.key.name === methodName &&
+          Boolean(candidate.static) === Boolean(methodNode.static)
+        );
+        if (member) return { member, className: node.id ? node.id.name : 'AnonymousClass', classNode: node, program };
+      }
+      return null;
+    }
+
+    // `@throws`/`@returns` types of the JSDoc block right before a class member
+    function getJSDocContract(member, classNode, program) {
+      const contract = { throws: [], returns: null };
+      if (!useJSDocContracts || !program.comments) return contract;
+
+      const members = classNode.body.body;
+      const index = members.indexOf(member);
+      const after = index > 0 ? members[index - 1].range[1] : classNode.body.range[0];
+      const comment = program.comments
+        .filter(candidate => candidate.type === 'Block' && candidate.value.startsWith('*') &&
+          candidate.range[0] >= after && candidate.range[1] <= member.range[0])
+        .pop();
+      if (!comment) return contract;
+
+      for (const match of comment.value.matchAll(/@(?:throws|exception)\s+\{([^}]+)\}/g)) {
+        contract.throws.push(...parseJSDocType(match[1]));
+      }
+      const returns = /@returns?\s+\{([^}]+)\}/.exec(comment.value);
+      if (returns) contract.returns = parseJSDocType(returns[1]);
+      return contract;
+    }
+
+    // `?User|Array<User>` -> ['null', 'User', 'Array<User>']; `Promise<X>` is unwrapped
+    function parseJSDocType(type) {
+      const promise = /^\s*Promise\s*<(.*)>\s*$/.exec(type);
+      const unwrapped = promise ? promise[1] : type;
+      return unwrapped.replace(/^\s*\(|\)\s*$/g, '').split('|').flatMap(part => {
+        const name = part.trim();
+        if (name.startsWith('?')) return ['null', name.slice(1)];
+        return name ? [name] : [];
+      });
+    }
+
     function isOverridingMethod(methodNode, classNode) {
       const methodName = methodNode.key.name;
       if (!methodName || !classNode.superClass) return false;
 
-      // Check if method exists in parent class (simplified check)
-      const superClassName = classNode.superClass.name;
-      const superClassInfo = classRegistry.get(superClassName);
-      
-      if (superClassInfo && superClassInfo.methods.has(methodName)) {
+      if (findBaseMethod(classNode, methodName)) {
         return true;
       }
 
+      // The whole hierarchy is known and does not declare the method
+      if (getInheritanceChain(classNode).complete) {
+        return false;
+      }
+
       // Check common overridable methods
       const commonOverridableMethods = [
         'toString', 'valueOf', 'equals', 'hashCode', 'clone',
@@ -104,15 +296,15 @@ module.exports = {
 
       // Check for additional null checks or type assertions
       return hasAdditionalNullChecks(methodNode.value) || 
-             hasStricterTypeChecks(methodNode.value);
+             (checks.stricterTypeChecks && hasStricterTypeChecks(methodNode.value));
     }
 
     function hasWeakerPostconditions(methodNode, baseMethodInfo) {
       const currentReturns = getReturnStatements(methodNode.value);
       const baseReturns = baseMethodInfo ? baseMethodInfo.returnStatements : [];
       
-      // Check if method can return null when base doesn't
-      if (canReturnNull(currentReturns) && !canReturnNull(baseReturns)) {
+      // Check if method can return null when base doesn't (or documents that it may)
+      if (canReturnNull(currentReturns) && !canReturnNull(baseReturns) && !declaresNullableReturn(baseMethodInfo)) {
         return true;
       }
 
@@ -134,15 +326,13 @@ module.exports = {
       
       if (!classInfo || !classInfo.superClass) return false;
 
-      const superClassInfo = classRegistry.get(classInfo.superClass);
-      if (!superClassInfo) return false;
-
       // Check if subclass throws new types of exceptions
       for (const [methodName, methodInfo] of classInfo.methods) {
-        const superMethodInfo = superClassInfo.methods.get(methodName);
+        if (isIgnoredMethod(classNode, methodName)) continue;
+        const superMethodInfo = findBaseMethod(classNode, methodName);
         if (superMethodInfo) {
-          // Check for new exception types
-          if (throwsNewExceptionTypes(methodInfo.node, superMethodInfo.node)) {
+          // Check for new exception types ("not implemented" is reported by the signature checks)
+          if (!throwsNotImplemented(methodInfo.node.value) && throwsNewExceptionTypes(methodInfo.node, superMethodInfo)) {
             return true;
           }
         }
@@ -153,40 +343,277 @@ module.exports = {
 
     function checkLSPViolation(methodNode, classNode, context) {
       const methodName = methodNode.key.name;
-      const superClassName = classNode.superClass.name;
-      const superClassInfo = classRegistry.get(superClassName);
-      const baseMethodInfo = superClassInfo ? superClassInfo.methods.get(methodName) : null;
+      const baseMethodInfo = findBaseMethod(classNode, methodName);
 
       // Check stronger preconditions
-      if (hasStrongerPreconditions(methodNode, baseMethodInfo)) {
+      if (checks.preconditions && hasStrongerPreconditions(methodNode, baseMethodInfo)) {
         context.report({
           node: methodNode,
-          message: `LSP Violation: Method '${methodName}' has stronger preconditions than base method`
+          messageId: 'strongerPreconditions',
+          data: { methodName }
         });
       }
 
       // Check weaker postconditions
-      if (hasWeakerPostconditions(methodNode, baseMethodInfo)) {
+      if (checks.nullReturns && hasWeakerPostconditions(methodNode, baseMethodInfo)) {
         context.report({
           node: methodNode,
-          message: `LSP Violation: Method '${methodName}' has weaker postconditions than base method`
+          messageId: 'weakerPostconditions',
+          data: { methodName }
         });
       }
 
-      // Check for new exception types
-      if (baseMethodInfo && throwsNewExceptionTypes(methodNode, baseMethodInfo.node)) {
+      // Check for new exception types ("not implemented" is reported by the signature checks)
+      if (checks.exceptions && baseMethodInfo && !throwsNotImplemented(methodNode.value) &&
+          throwsNewExceptionTypes(methodNode, baseMethodInfo)) {
         context.report({
           node: methodNode,
-          message: `LSP Violation: Method '${methodName}' throws exceptions not declared in base method`
+          messageId: 'undeclaredException',
+          data: { methodName }
         });
       }
     }
 
+    function checkSignatureCompatibility(methodNode, classNode) {
+      const base = findBaseMember(classNode, methodNode);
+      if (!base) return;
+
+      const methodName = methodNode.key.name;
+      const baseName = `${base.className}.${methodName}`;
+      const baseKind = memberKind(base.member);
+      const overrideKind = memberKind(methodNode);
+
+      // A getter replacing a method (or the other way round) changes how callers use the member
+      if (baseKind !== overrideKind) {
+        if (checks.accessors) {
+          context.report({
+            node: methodNode,
+            messageId: 'memberKindMismatch',
+            data: { methodName, overrideKind, baseName, baseKind }
+          });
+        }
+        return;
+      }
+      if (overrideKind !== 'method') return;
+
+      const baseFunction = base.member.value;
+      const overrideFunction = methodNode.value;
+
+      if (checks.parameters) {
+        checkParameters(methodNode, baseFunction.params, overrideFunction.params, baseName);
+      }
+
+      // Abstract base methods have no body to compare against
+      if (isAbstractMember(base.member)) return;
+
+      const overrideAsync = isAsyncFunction(overrideFunction);
+      const baseAsync = isAsyncFunction(baseFunction);
+      if (checks.async && baseAsync !== overrideAsync) {
+        context.report({
+          node: methodNode,
+          messageId: 'asyncMismatch',
+          data: {
+            methodName,
+            overrideKind: overrideAsync ? 'async' : 'synchronous',
+            baseName,
+            baseKind: baseAsync ? 'async' : 'synchronous'
+          }
+        });
+      }
+
+      // A documented `@returns` type is the contract; otherwise what the base returns
+      const contract = getJSDocContract(base.member, base.classNode, base.program);
+      const baseShapes = contract.returns ? getDeclaredShapes(contract.returns) : getReturnShapes(baseFunction);
+      const overrideShapes = getReturnShapes(overrideFunction);
+      if (checks.returnShape && baseShapes && overrideShapes && baseShapes.length > 0) {
+        const unexpected = overrideShapes.filter(shape => !baseShapes.includes(shape));
+        if (unexpected.length > 0) {
+          context.report({
+            node: methodNode,
+            messageId: 'returnShapeMismatch',
+            data: {
+              methodName,
+              overrideShapes: unexpected.join(' or '),
+              baseName,
+              baseShapes: baseShapes.join(' or ')
+            }
+          });
+        }
+      }
+
+      if (checks.notImplemented && throwsNotImplemented(overrideFunction)) {
+        context.report({
+          node: methodNode,
+          messageId: 'notImplemented',
+          data: { methodName, baseName }
+        });
+      }
+    }
+
+    function checkParameters(methodNode, baseParams, overrideParams, baseName) {
+      const methodName = methodNode.key.name;
+
+      const baseRest = baseParams.find(param => param.type === 'RestElement');
+      if (baseRest && !overrideParams.some(param => param.type === 'RestElement')) {
+        context.report({
+          node: methodNode,
+          messageId: 'droppedRestParameter',
+          data: { methodName, baseName }
+        });
+      }
+
+      // Callers of the base may omit arguments that have a default there
+      const droppedDefaults = [];
+      baseParams.forEach((param, index) => {
+        const override = overrideParams[index];
+        if (param.type === 'AssignmentPattern' && override && isRequiredParameter(override)) {
+          droppedDefaults.push(parameterName(override));
+        }
+      });
+      if (droppedDefaults.length > 0) {
+        context.report({
+          node: methodNode,
+          messageId: 'droppedDefault',
+          data: { methodName, parameters: droppedDefaults.map(name => `'${name}'`).join(', '), baseName }
+        });
+        return;
+      }
+
+      const baseRequired = countRequiredParameters(baseParams);
+      const overrideRequired = countRequiredParameters(overrideParams);
+      if (overrideRequired > baseRequired) {
+        context.report({
+          node: methodNode,
+          messageId: 'moreRequiredParameters',
+          data: { methodName, overrideRequired, baseName, baseRequired }
+        });
+      }
+    }
+
+    function memberKind(member) {
+      if (member.kind === 'get') return 'getter';
+      if (member.kind === 'set') return 'setter';
+      return 'method';
+    }
+
+    function isRequiredParameter(param) {
+      return param.type !== 'AssignmentPattern' && param.type !== 'RestElement' && !param.optional;
+    }
+
+    // Arguments a caller has to pass: the parameters before the first optional one
+    function countRequiredParameters(params) {
+      const firstOptional = params.findIndex(param => !isRequiredParameter(param));
+      return firstOptional === -1 ? params.length : firstOptional;
+    }
+
+    function parameterName(param) {
+      if (param.type === 'Identifier') return param.name;
+      if (param.type === 'TSParameterProperty') return parameterName(param.parameter);
+      return sourceCode.getText(param);
+    }
+
+    // `async` methods and methods that only return promises behave the same for callers
+    function isAsyncFunction(functionNode) {
+      if (functionNode.async) return true;
+      const returns = getReturnStatements(functionNode).filter(statement => statement.argument);
+      return returns.length > 0 && returns.every(statement => isPromiseExpression(statement.argument));
+    }
+
+    function isPromiseExpression(node) {
+      if (node.type === 'NewExpression') return node.callee.name === 'Promise';
+      return node.type === 'CallExpression' &&
+        node.callee.type === 'MemberExpression' &&
+        node.callee.object.name === 'Promise';
+    }
+
+    // Shapes of the values a function returns, or `null` when one of them is unknown
+    function getReturnShapes(functionNode) {
+      const shapes = new Set();
+      for (const statement of getReturnStatements(functionNode)) {
+        if (!statement.argument) continue;
+        const shape = returnShape(statement.argument);
+        if (shape === null) return null;
+        if (shape) shapes.add(shape);
+      }
+      return Array.from(shapes);
+    }
+
+    // Shapes of the types a JSDoc `@returns` lists, or `null` when one of them is not a plain shape
+    function getDeclaredShapes(types) {
+      const shapes = new Set();
+      for (const type of types) {
+        const shape = declaredShape(type);
+        if (shape === null) return null;
+        if (shape) shapes.add(shape);
+      }
+      return Array.from(shapes);
+    }
+
+    function declaredShape(type) {
+      if (/^(null|undefined|void)$/.test(type)) return '';
+      if (/^Array\b/.test(type) || type.endsWith('[]')) return 'an array';
+      if (/^(Object\b|object$|\{)/.test(type)) return 'an object';
+      if (/^(string|String)$/.test(type)) return 'a string';
+      if (/^(number|Number)$/.test(type)) return 'a number';
+      if (/^(boolean|Boolean)$/.test(type)) return 'a boolean';
+      if (/^(Function|function\b)/.test(type)) return 'a function';
+      return null;
+    }
+
+    function declaresNullableReturn(baseMethodInfo) {
+      return Boolean(baseMethodInfo && baseMethodInfo.contract && baseMethodInfo.contract.returns) &&
+        baseMethodInfo.contract.returns.some(type => /^(null|undefined|void|\*)$/.test(type));
+    }
+
+    // '' for null/undefined, which the postcondition check covers
+    function returnShape(node) {
+      switch (node.type) {
+        case 'ArrayExpression':
+          return 'an array';
+        case 'ObjectExpression':
+          return 'an object';
+        case 'TemplateLiteral':
+          return 'a string';
+        case 'ArrowFunctionExpression':
+        case 'FunctionExpression':
+          return 'a function';
+        case 'Literal':
+          if (node.value === null) return '';
+          if (node.regex) return null;
+          return `a ${typeof node.value}`;
+        case 'Identifier':
+          return node.name === 'undefined' ? '' : null;
+        default:
+          return null;
+      }
+    }
+
+    function isAbstractMember(member) {
+      return member.type === 'TSAbstractMethodDefinition' || !member.value.body || throwsNotImplemented(member.value);
+    }
+
+    function throwsNotImplemented(functionNode) {
+      if (!functionNode.body || functionNode.body.type !== 'BlockStatement') return false;
+      return functionNode.body.body.some(statement =>
+        statement.type === 'ThrowStatement' && isNotImplementedError(statement.argument)
+      );
+    }
+
+    function isNotImplementedError(node) {
+      if (!node || (node.type !== 'NewExpression' && node.type !== 'CallExpression')) return false;
+      if (node.callee.type === 'Identifier' && /NotImplemented/i.test(node.callee.name)) return true;
+      const [messageArgument] = node.arguments;
+      return Boolean(messageArgument) &&
+        messageArgument.type === 'Literal' &&
+        typeof messageArgument.value === 'string' &&
+        /not\s*(yet\s*)?implemented/i.test(messageArgument.value);
+    }
+
     function analyzeClassSubstitution(classNode, context) {
       if (breaksSubstitutability(classNode)) {
         context.report({
           node: classNode,
-          message: 'LSP Violation: Derived class cannot substitute base class due to contract violations'
+          messageId: 'classContractViolation'
         });
       }
     }
@@ -216,6 +643,7 @@ module.exports = {
         
         // Recursively check child nodes
         for (const key in node) {
+          if (key === 'parent') continue;
           if (node[key] && typeof node[key] === 'object') {
             if (Array.isArray(node[key])) {
               node[key].forEach(checkNode);
@@ -240,8 +668,14 @@ module.exports = {
           returns.push(node);
           return;
         }
+
+        // Returns of nested callbacks are not returns of this function
+        if (node.type === 'FunctionExpression' || node.type === 'FunctionDeclaration' || node.type === 'ArrowFunctionExpression') {
+          return;
+        }
         
         for (const key in node) {
+          if (key === 'parent') continue;
           if (node[key] && typeof node[key] === 'object') {
             if (Array.isArray(node[key])) {
               node[key].forEach(collectReturns);
@@ -270,6 +704,7 @@ module.exports = {
         }
         
         for (const key in node) {
+          if (key === 'parent') continue;
           if (node[key] && typeof node[key] === 'object') {
             if (Array.isArray(node[key])) {
               node[key].forEach(checkForValidations);
@@ -332,6 +767,7 @@ module.exports = {
         }
         
         for (const key in node) {
+          if (key === 'parent') continue;
           if (node[key] && typeof node[key] === 'object') {
             if (Array.isArray(node[key])) {
               node[key].forEach(checkNode);
@@ -354,9 +790,10 @@ module.exports = {
       );
     }
 
-    function throwsNewExceptionTypes(currentMethod, baseMethod) {
-      const currentThrows = getThrowStatements(currentMethod.value);
-      const baseThrows = getThrowStatements(baseMethod.value);
+    function throwsNewExceptionTypes(currentMethod, baseMethodInfo) {
+      const currentThrows = getThrowStatements(currentMethod.value)
+        .filter(throwStatement => !isDeclaredException(throwStatement, baseMethodInfo));
+      const baseThrows = getThrowStatements(baseMethodInfo.node.value);
       
       // Simple check: if current method throws and base doesn't
       if (currentThrows.length > 0 && baseThrows.length === 0) {
@@ -388,6 +825,7 @@ module.exports = {
         }
         
         for (const key in node) {
+          if (key === 'parent') continue;
           if (node[key] && typeof node[key] === 'object') {
             if (Array.isArray(node[key])) {
               node[key].forEach(collectThrows);
@@ -402,6 +840,25 @@ module.exports = {
       return throws;
     }
 
+    function getExceptionTypeName(throwStatement) {
+      const argument = throwStatement.argument;
+      if (!argument) return null;
+      if ((argument.type === 'NewExpression' || argument.type === 'CallExpression') && argument.callee.type === 'Identifier') {
+        return argument.callee.name;
+      }
+      return null;
+    }
+
+    // Allow-listed exception types and the ones the base documents with `@throws`;
+    // `@throws {Error}` declares that any error may be thrown
+    function isDeclaredException(throwStatement, baseMethodInfo) {
+      const typeName = getExceptionTypeName(throwStatement);
+      if (!typeName) return false;
+      if (allowedExceptionTypes.includes(typeName)) return true;
+      const declared = (baseMethodInfo.contract && baseMethodInfo.contract.throws) || [];
+      return declared.includes(typeName) || declared.includes('Error');
+    }
+
     function isSameExceptionType(throw1, throw2) {
       // Simplified comparison - in real implementation, would need more sophisticated analysis
       if (throw1.argument && throw2.argument) {
@@ -0,0 +1,163 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+
+const { resolveModule, findProjectRoot } = require('./utils/module-resolver');
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description: 'enforce bounded context isolation: modules may only import each other through their public entry',
+      category: 'Architecture',
+      recommended: true,
+    },
+    fixable: null,
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          modulesDirs: {
+            type: 'array',
+            items: { type: 'string' },
+            default: ['src/modules']
+          },
+          publicEntries: {
+            type: 'array',
+            items: { type: 'string' },
+            default: ['index', 'public-api']
+          },
+          sharedModules: {
+            type: 'array',
+            items: { type: 'string' },
+            default: ['shared']
+          },
+          pathAliases: {
+            type: 'object',
+            additionalProperties: { type: 'string' },
+            default: {}
+          }
+        },
+        additionalProperties: false
+      }
+    ],
+    messages: {
+      deepImport: 'Module boundary violation: "{{fromModule}}" imports internals of module "{{toModule}}" ("{{importPath}}"). Import from its public entry "{{suggestedPath}}" instead.',
+      noPublicEntry: 'Module boundary violation: "{{fromModule}}" imports internals of module "{{toModule}}" ("{{importPath}}"), which has no public entry. Add one of: {{publicEntries}}.'
+    }
+  },
+
+  create(context) {
+    const options = context.options[0] || {};
+    const modulesDirs = options.modulesDirs || ['src/modules'];
+    const publicEntries = options.publicEntries || ['index', 'public-api'];
+    const sharedModules = options.sharedModules || ['shared'];
+    const pathAliases = options.pathAliases || {};
+
+    const currentFile = context.getFilename();
+    const projectRoot = findProjectRoot(currentFile);
+
+    // The module a file belongs to: the first folder below one of the modules directories
+    function getModule(filePath) {
+      for (const modulesDir of modulesDirs) {
+        const modulesRoot = path.resolve(projectRoot, modulesDir);
+        const relative = path.relative(modulesRoot, filePath);
+        if (relative && !relative.startsWith('..') && !path.isAbsolute(relative) && relative.includes(path.sep)) {
+          const name = relative.split(path.sep)[0];
+          return { name, directory: path.join(modulesRoot, name) };
+        }
+      }
+      return null;
+    }
+
+    // `index.js`, `public-api.ts` or anything inside `public-api/` at the module root
+    function isPublicEntry(moduleInfo, filePath) {
+      const [first, ...rest] = path.relative(moduleInfo.directory, filePath).split(path.sep);
+      const entryName = rest.length === 0 ? first.replace(/\.\w+$/, '') : first;
+      return publicEntries.includes(entryName);
+    }
+
+    function findPublicEntry(moduleInfo) {
+      return publicEntries.find(entry => {
+        if (fs.existsSync(path.join(moduleInfo.directory, entry))) return true;
+        try {
+          return fs.readdirSync(moduleInfo.directory).some(fileName => fileName.replace(/\.\w+$/, '') === entry);
+        } catch (error) {
+          return false;
+        }
+      });
+    }
+
+    // The public entry written the way the original import was: through the same alias when
+    // that still resolves to the entry, relative to the importing file otherwise
+    function suggestPublicPath(importPath, moduleInfo, entry) {
+      const entryPath = entry === 'index' ? moduleInfo.directory : path.join(moduleInfo.directory, entry);
+
+      if (!importPath.startsWith('.')) {
+        const moduleSegment = `/${moduleInfo.name}/`;
+        const cut = importPath.indexOf(moduleSegment);
+        if (cut !== -1) {
+          const modulePath = importPath.slice(0, cut + moduleSegment.length - 1);
+          const aliasPath = entry === 'index' ? modulePath : `${modulePath}/${entry}`;
+          const aliasTarget = resolveModule(aliasPath, currentFile, { aliases: pathAliases });
+          if (aliasTarget && aliasTarget === resolveModule(entryPath, currentFile)) return aliasPath;
+        }
+      }
+
+      const relative = path.relative(path.dirname(currentFile), entryPath).split(path.sep).join('/');
+      return relative.startsWith('.') ? relative : `./${relative}`;
+    }
+
+    const currentModule = getModule(currentFile);
+
+    function checkImport(sourceNode) {
+      if (!currentModule || !sourceNode || typeof sourceNode.value !== 'string') return;
+
+      const importPath = sourceNode.value;
+      const importedFile = resolveModule(importPath, currentFile, { aliases: pathAliases });
+      if (!importedFile) return;
+
+      const importedModule = getModule(importedFile);
+      if (!importedModule || importedModule.name === currentModule.name || sharedModules.includes(importedModule.name)) {
+        return;
+      }
+      if (isPublicEntry(importedModule, importedFile)) return;
+
+      const entry = findPublicEntry(importedModule);
+      const suggestedPath = entry && suggestPublicPath(importPath, importedModule, entry);
+
+      context.report({
+        node: sourceNode,
+        messageId: entry ? 'deepImport' : 'noPublicEntry',
+        data: {
+          fromModule: currentModule.name,
+          toModule: importedModule.name,
+          importPath,
+          suggestedPath,
+          publicEntries: publicEntries.join(', ')
+        }
+      });
+    }
+
+    return {
+      ImportDeclaration(node) {
+        checkImport(node.source);
+      },
+      ExportNamedDeclaration(node) {
+        checkImport(node.source);
+      },
+      ExportAllDeclaration(node) {
+        checkImport(node.source);
+      },
+      ImportExpression(node) {
+        if (node.source.type === 'Literal') checkImport(node.source);
+      },
+      CallExpression(node) {
+        if (node.callee.name === 'require' && node.arguments.length === 1 && node.arguments[0].type === 'Literal') {
+          checkImport(node.arguments[0]);
+        }
+      }
+    };
+  }
+};
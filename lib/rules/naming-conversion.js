@@ -12,6 +12,7 @@ module.exports = {
         return {
             VariableDeclarator(node) {
                 if (node.id.type !== "Identifier") return;
+                const variableName = node.id.name;
                 const scope = context.getScope();
                 const isTopLevel = scope.type === "global" || scope.type === "module";
 
@@ -515,8 +515,7 @@ module.exports = {
 
                 node.body.body.forEach(member => {
                     if (member.type === 'MethodDefinition') {
-                        const methodText = sourceCode.getText(member.value);
-                        if (detectTypeCheckPattern({ type: 'Literal', value: methodText })) {
+                        if (detectTypeCheckPattern(member.value)) {
                             typeHandlingMethods++;
                         }
                     }
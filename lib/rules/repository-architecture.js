@@ -1,4 +1,38 @@
 'use strict';
+
+const path = require("path");
+const minimatch = require("minimatch");
+
+const { resolveModule, findProjectRoot } = require("./utils/module-resolver");
+const { resolveDeclaration } = require("./utils/declarations");
+
+const ORM_PACKAGES = ["mongoose", "sequelize", "typeorm", "prisma", "@prisma/client", "knex", "mikro-orm", "@mikro-orm/core"];
+
+// `{name}` stands for one or more PascalCase words, `{type}` (e.g. `Mongo`) is optional
+function templateToRegExp(template) {
+  const pattern = template
+    .split(/(\{name\}|\{type\})/)
+    .map(part => {
+      if (part === "{name}") return "([A-Z][A-Za-z0-9]*)";
+      if (part === "{type}") return "([A-Z][A-Za-z0-9]*)?";
+      return part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${pattern}$`);
+}
+
+function containsNode(node, predicate) {
+  if (!node || typeof node.type !== "string") return false;
+  if (predicate(node)) return true;
+  return Object.keys(node).some(key => {
+    if (key === "parent") return false;
+    const value = node[key];
+    return Array.isArray(value)
+      ? value.some(child => containsNode(child, predicate))
+      : Boolean(value) && typeof value === "object" && containsNode(value, predicate);
+  });
+}
+
 module.exports = {
   meta: {
     type: "problem",
@@ -24,215 +58,514 @@ module.exports = {
                 type: "string",
                 default: "I{name}Repository"
               },
+              abstractClass: {
+                type: "string",
+                default: "{name}Repository"
+              },
               implementation: {
-                type: "string", 
+                type: "string",
                 default: "{type}{name}Repository"
               }
-            }
+            },
+            additionalProperties: false
           },
           allowedMethods: {
             type: "array",
             items: {
               type: "string"
             },
-            default: ["find", "findById", "save", "delete", "update"]
+            default: ["find", "findById", "get", "list", "exists", "count", "create", "save", "add", "update", "delete", "remove"]
+          },
+          directories: {
+            type: "object",
+            properties: {
+              abstractions: {
+                type: "array",
+                items: { type: "string" },
+                default: ["**/domain/**", "**/core/**"]
+              },
+              implementations: {
+                type: "array",
+                items: { type: "string" },
+                default: ["**/infrastructure/**", "**/data/**"]
+              }
+            },
+            additionalProperties: false
+          },
+          pathAliases: {
+            type: "object",
+            additionalProperties: { type: "string" },
+            default: {}
           }
         },
         additionalProperties: false
       }
-    ]
+    ],
+    messages: {
+      abstractionOutsideDirectory: "Repository {{kind}} '{{name}}' should be in one of: {{directories}}",
+      implementationOutsideDirectory: "Repository implementation '{{name}}' should be in one of: {{directories}}",
+      invalidName: "Repository {{kind}} '{{name}}' should follow naming pattern: {{template}}",
+      methodNotAllowed: "Repository method '{{methodName}}' is not allowed. Public repository methods should be one of: {{allowedMethods}}",
+      businessLogicMethod: "Repository method '{{methodName}}' appears to contain business logic. Move to domain service.",
+      databaseDetails: "Repository method '{{methodName}}' exposes database implementation details",
+      domainImportsInfrastructure: "Domain layer should not import infrastructure dependencies",
+      tooManyMethods: "Repository interface has too many methods. Consider splitting into smaller interfaces.",
+      returnsDto: "Repository method should return domain entities, not DTOs or Models",
+      missingInterface: "Repository implementation should implement a repository interface",
+      missingBaseClass: "Repository implementation should extend an abstract repository base class",
+      complexBusinessLogic: "Repository implementation contains complex business logic. Move to domain service.",
+      missingMethod: "Repository implementation '{{className}}' does not implement '{{methodName}}' of '{{contractName}}'",
+      extraMethod: "Public method '{{methodName}}' of '{{className}}' is not declared by {{contractNames}}. Make it private or add it to the abstraction.",
+      parameterMismatch: "'{{className}}.{{methodName}}' takes {{actual}} parameter(s) but '{{contractName}}' declares {{expected}}"
+    }
   },
 
   create(context) {
     const options = context.options[0] || {};
     const repositoryPattern = options.repositoryPattern || "interface";
-    const namingConvention = options.namingConvention || {};
-    const allowedMethods = options.allowedMethods || ["find", "findById", "save", "delete", "update"];
+    const namingConvention = {
+      interface: "I{name}Repository",
+      abstractClass: "{name}Repository",
+      implementation: "{type}{name}Repository",
+      ...options.namingConvention
+    };
+    const allowedMethods = options.allowedMethods || ["find", "findById", "get", "list", "exists", "count", "create", "save", "add", "update", "delete", "remove"];
+    const directories = {
+      abstractions: ["**/domain/**", "**/core/**"],
+      implementations: ["**/infrastructure/**", "**/data/**"],
+      ...options.directories
+    };
+    const pathAliases = options.pathAliases || {};
+
+    const fileName = context.getFilename();
+    const projectRoot = findProjectRoot(fileName);
+
+    function projectPath(filePath) {
+      return path.relative(projectRoot, filePath).split(path.sep).join("/");
+    }
+
+    function inDirectories(filePath, patterns) {
+      const relative = projectPath(filePath);
+      return patterns.some(pattern => minimatch(relative, pattern, { dot: true }));
+    }
+
+    function isRepositoryName(name) {
+      return Boolean(name) && name.includes("Repository");
+    }
 
     function isRepositoryInterface(node) {
-      return node.type === "TSInterfaceDeclaration" && 
-             node.id.name.includes("Repository");
+      return node.type === "TSInterfaceDeclaration" &&
+             isRepositoryName(node.id.name);
+    }
+
+    function superClassName(node) {
+      if (!node.superClass) return null;
+      if (node.superClass.type === "Identifier") return node.superClass.name;
+      if (node.superClass.type === "MemberExpression" && node.superClass.property.type === "Identifier") {
+        return node.superClass.property.name;
+      }
+      return null;
     }
 
     function isRepositoryClass(node) {
-      return node.type === "ClassDeclaration" && 
-             node.id.name.includes("Repository");
+      return Boolean(node.id) &&
+             (isRepositoryName(node.id.name) || isRepositoryName(superClassName(node)));
     }
 
-    function checkNamingConvention(node) {
-      const fileName = context.getFilename();
-      const className = node.id.name;
-      
-      // Check if it's in correct directory
-      if (isRepositoryInterface(node)) {
-        if (!fileName.includes("/domain/") && !fileName.includes("/core/")) {
-          context.report({
-            node,
-            message: "Repository interfaces should be in domain/core layer"
-          });
-        }
-        
-        // Check interface naming
-        if (!className.startsWith("I") || !className.endsWith("Repository")) {
-          context.report({
-            node,
-            message: `Repository interface should follow naming pattern: I{Name}Repository`
-          });
-        }
+    function classMethods(node) {
+      return node.body.body.filter(member =>
+        member.type === "MethodDefinition" || member.type === "TSAbstractMethodDefinition"
+      );
+    }
+
+    function throwsOnly(method) {
+      const body = method.value && method.value.body;
+      return Boolean(body) && body.body.length === 1 && body.body[0].type === "ThrowStatement";
+    }
+
+    function checksNewTarget(method) {
+      return containsNode(method.value && method.value.body, node =>
+        node.type === "MetaProperty" && node.meta.name === "new" && node.property.name === "target"
+      );
+    }
+
+    // `abstract class`, or in plain JavaScript a class that guards `new.target`
+    // or whose methods only throw until a subclass overrides them
+    function isAbstractClass(node) {
+      if (node.abstract) return true;
+      const methods = classMethods(node);
+      const constructor = methods.find(method => method.kind === "constructor");
+      if (constructor && checksNewTarget(constructor)) return true;
+      const others = methods.filter(method => method.kind !== "constructor");
+      return others.length > 0 && others.every(method => method.type === "TSAbstractMethodDefinition" || throwsOnly(method));
+    }
+
+    function methodName(method) {
+      if (method.key.type === "Identifier") return method.key.name;
+      if (method.key.type === "Literal") return String(method.key.value);
+      return null;
+    }
+
+    function isPublicMethod(method) {
+      const name = methodName(method);
+      return Boolean(name) &&
+             method.key.type !== "PrivateIdentifier" &&
+             method.kind !== "constructor" &&
+             !method.static &&
+             method.accessibility !== "private" &&
+             method.accessibility !== "protected" &&
+             !name.startsWith("_");
+    }
+
+    // `find` allows `find`, `findAll` and `findByEmail`, but not `finder`
+    function isAllowedMethod(name) {
+      return allowedMethods.some(allowed =>
+        name === allowed || (name.startsWith(allowed) && /^[A-Z0-9_]/.test(name.slice(allowed.length)))
+      );
+    }
+
+    function checkName(node, kind, template) {
+      if (!templateToRegExp(template).test(node.id.name)) {
+        context.report({
+          node: node.id,
+          messageId: "invalidName",
+          data: { kind, name: node.id.name, template }
+        });
       }
-      
-      if (isRepositoryClass(node)) {
-        if (!fileName.includes("/infrastructure/") && !fileName.includes("/data/")) {
-          context.report({
-            node,
-            message: "Repository implementations should be in infrastructure/data layer"
-          });
-        }
+    }
+
+    function checkAbstractionLocation(node, kind) {
+      if (!inDirectories(fileName, directories.abstractions)) {
+        context.report({
+          node: node.id,
+          messageId: "abstractionOutsideDirectory",
+          data: { kind, name: node.id.name, directories: directories.abstractions.join(", ") }
+        });
       }
     }
 
-    function checkMethodSignatures(node) {
-      if (node.type === "MethodDefinition" || node.type === "TSMethodSignature") {
-        const methodName = node.key.name;
-        
-        // Check for business logic in repository methods
-        const businessLogicKeywords = ["validate", "calculate", "process", "transform"];
-        if (businessLogicKeywords.some(keyword => methodName.toLowerCase().includes(keyword))) {
-          context.report({
-            node,
-            message: `Repository method '${methodName}' appears to contain business logic. Move to domain service.`
-          });
-        }
-        
-        // Check for database-specific naming
-        const dbSpecificKeywords = ["sql", "mongo", "redis", "query", "execute"];
-        if (dbSpecificKeywords.some(keyword => methodName.toLowerCase().includes(keyword))) {
-          context.report({
-            node,
-            message: `Repository method '${methodName}' exposes database implementation details`
-          });
-        }
+    function checkImplementationLocation(node) {
+      if (!inDirectories(fileName, directories.implementations)) {
+        context.report({
+          node: node.id,
+          messageId: "implementationOutsideDirectory",
+          data: { name: node.id.name, directories: directories.implementations.join(", ") }
+        });
+      }
+    }
+
+    // `checkAllowed: false` when the method was already reported as not declared by its abstraction
+    function checkMethodSignatures(node, { checkAllowed = true } = {}) {
+      const name = methodName(node);
+      if (!name) return;
+
+      // Check for business logic in repository methods
+      const businessLogicKeywords = ["validate", "calculate", "process", "transform"];
+      if (businessLogicKeywords.some(keyword => name.toLowerCase().includes(keyword))) {
+        context.report({
+          node,
+          messageId: "businessLogicMethod",
+          data: { methodName: name }
+        });
       }
+
+      // Check for database-specific naming
+      const dbSpecificKeywords = ["sql", "mongo", "redis", "query", "execute"];
+      if (dbSpecificKeywords.some(keyword => name.toLowerCase().includes(keyword))) {
+        context.report({
+          node,
+          messageId: "databaseDetails",
+          data: { methodName: name }
+        });
+      }
+
+      if (checkAllowed && isPublicMethod(node) && !isAllowedMethod(name)) {
+        context.report({
+          node: node.key,
+          messageId: "methodNotAllowed",
+          data: { methodName: name, allowedMethods: allowedMethods.join(", ") }
+        });
+      }
+    }
+
+    function isInfrastructureImport(importPath) {
+      if (ORM_PACKAGES.some(pkg => importPath === pkg || importPath.startsWith(`${pkg}/`))) return true;
+      const importedFile = resolveModule(importPath, fileName, { aliases: pathAliases });
+      return Boolean(importedFile) && inDirectories(importedFile, directories.implementations);
     }
 
     function checkDependencyDirection(node) {
-      if (node.type === "ImportDeclaration") {
-        const importPath = node.source.value;
-        const fileName = context.getFilename();
-        
-        // Domain layer shouldn't import infrastructure
-        if (fileName.includes("/domain/") || fileName.includes("/core/")) {
-          if (importPath.includes("/infrastructure/") || 
-              importPath.includes("/data/") ||
-              importPath.includes("mongoose") ||
-              importPath.includes("sequelize") ||
-              importPath.includes("typeorm")) {
-            context.report({
-              node,
-              message: "Domain layer should not import infrastructure dependencies"
-            });
-          }
+      // Domain layer shouldn't import infrastructure
+      if (inDirectories(fileName, directories.abstractions) && isInfrastructureImport(node.source.value)) {
+        context.report({
+          node,
+          messageId: "domainImportsInfrastructure"
+        });
+      }
+    }
+
+    function checkReturnType(method, typeAnnotation) {
+      if (!typeAnnotation) return;
+      const returnType = typeAnnotation.typeAnnotation;
+
+      // Repository methods should return domain entities or primitives
+      if (returnType.type === "TSTypeReference" && returnType.typeName.type === "Identifier") {
+        const typeName = returnType.typeName.name;
+        if (typeName.includes("DTO") || typeName.includes("Model")) {
+          context.report({
+            node: method,
+            messageId: "returnsDto"
+          });
         }
       }
     }
 
     function checkRepositoryInterface(node) {
-      if (!isRepositoryInterface(node)) return;
-      
-      const methods = node.body.body.filter(member => 
+      checkAbstractionLocation(node, "interface");
+      checkName(node, "interface", namingConvention.interface);
+
+      const methods = node.body.body.filter(member =>
         member.type === "TSMethodSignature"
       );
-      
+
       // Check for too many methods (SRP violation)
       if (methods.length > 10) {
         context.report({
           node,
-          message: "Repository interface has too many methods. Consider splitting into smaller interfaces."
+          messageId: "tooManyMethods"
         });
       }
-      
+
       // Check method naming and signatures
       methods.forEach(method => {
         checkMethodSignatures(method);
-        
-        // Check return types
-        if (method.returnType) {
-          const returnType = method.returnType.typeAnnotation;
-          
-          // Repository methods should return domain entities or primitives
-          if (returnType.type === "TSTypeReference") {
-            const typeName = returnType.typeName.name;
-            if (typeName.includes("DTO") || typeName.includes("Model")) {
+        checkReturnType(method, method.returnType);
+      });
+    }
+
+    function checkAbstractRepositoryClass(node) {
+      checkAbstractionLocation(node, "base class");
+      checkName(node, "base class", namingConvention.abstractClass);
+
+      const methods = classMethods(node).filter(method => method.kind === "method");
+      if (methods.length > 10) {
+        context.report({
+          node,
+          messageId: "tooManyMethods"
+        });
+      }
+
+      methods.forEach(method => {
+        checkMethodSignatures(method);
+        checkReturnType(method, method.value.returnType);
+      });
+    }
+
+    function parameterShape(params) {
+      const hasRest = params.some(param => param.type === "RestElement");
+      return { count: params.length, hasRest };
+    }
+
+    // Methods an interface or base class declares, including the ones it inherits;
+    // `abstract` marks the methods an implementation has to provide itself
+    function contractMethods(declaration, seen = new Set()) {
+      const methods = new Map();
+      const { node } = declaration;
+      if (seen.has(node)) return { methods, complete: true };
+      seen.add(node);
+
+      let complete = true;
+      function inherit(name) {
+        const parent = resolveDeclaration(name, declaration.filePath, declaration.program, context, { aliases: pathAliases });
+        if (!parent) {
+          complete = false;
+          return;
+        }
+        const inherited = contractMethods(parent, seen);
+        complete = complete && inherited.complete;
+        inherited.methods.forEach((method, name) => methods.set(name, method));
+      }
+
+      if (node.type === "TSInterfaceDeclaration") {
+        (node.extends || []).forEach(heritage => {
+          if (heritage.expression.type === "Identifier") inherit(heritage.expression.name);
+        });
+        node.body.body.forEach(member => {
+          const name = member.key && methodName(member);
+          if (!name) return;
+          if (member.type === "TSMethodSignature") {
+            methods.set(name, { ...parameterShape(member.params), abstract: true });
+          } else if (member.type === "TSPropertySignature" && member.typeAnnotation &&
+                     member.typeAnnotation.typeAnnotation.type === "TSFunctionType") {
+            methods.set(name, { ...parameterShape(member.typeAnnotation.typeAnnotation.params), abstract: true });
+          }
+        });
+      } else {
+        const parentName = superClassName(node);
+        if (parentName) inherit(parentName);
+        classMethods(node).filter(method => method.kind === "method" && isPublicMethod(method)).forEach(method => {
+          methods.set(methodName(method), {
+            ...parameterShape(method.value.params),
+            abstract: method.type === "TSAbstractMethodDefinition" || throwsOnly(method)
+          });
+        });
+      }
+      return { methods, complete };
+    }
+
+    function heritageName(heritage) {
+      return heritage.expression.type === "Identifier" ? heritage.expression.name : null;
+    }
+
+    // Compares an implementation with the interfaces it implements and its abstract base class;
+    // returns the methods reported as not declared by them
+    function checkContracts(node) {
+      const program = context.getSourceCode().ast;
+      const resolve = name => name && resolveDeclaration(name, fileName, program, context, { aliases: pathAliases });
+
+      const contracts = [];
+      let complete = true;
+      (node.implements || []).forEach(heritage => {
+        const declaration = resolve(heritageName(heritage));
+        if (!declaration) {
+          complete = false;
+          return;
+        }
+        const { methods, complete: resolved } = contractMethods(declaration);
+        complete = complete && resolved;
+        contracts.push({ name: heritageName(heritage), methods });
+      });
+
+      let inherited = new Map();
+      if (node.superClass) {
+        const base = resolve(superClassName(node));
+        if (base) {
+          const { methods, complete: resolved } = contractMethods(base);
+          complete = complete && resolved;
+          inherited = methods;
+          if (isAbstractClass(base.node)) contracts.push({ name: superClassName(node), methods });
+        } else {
+          complete = false;
+        }
+      }
+      const extraMethods = new Set();
+      if (contracts.length === 0) return extraMethods;
+
+      const own = new Map();
+      classMethods(node).filter(method => method.kind === "method" && isPublicMethod(method)).forEach(method => {
+        own.set(methodName(method), method);
+      });
+
+      contracts.forEach(contract => {
+        contract.methods.forEach((expected, name) => {
+          const method = own.get(name);
+          if (!method) {
+            const provided = inherited.get(name);
+            if (expected.abstract && (!provided || provided.abstract)) {
               context.report({
-                node: method,
-                message: `Repository method should return domain entities, not DTOs or Models`
+                node: node.id,
+                messageId: "missingMethod",
+                data: { className: node.id.name, methodName: name, contractName: contract.name }
               });
             }
+            return;
           }
-        }
+
+          const actual = parameterShape(method.value.params);
+          if (!actual.hasRest && !expected.hasRest && actual.count !== expected.count) {
+            context.report({
+              node: method.key,
+              messageId: "parameterMismatch",
+              data: {
+                className: node.id.name,
+                methodName: name,
+                actual: actual.count,
+                contractName: contract.name,
+                expected: expected.count
+              }
+            });
+          }
+        });
+      });
+
+      // Only reported when every abstraction was found, otherwise the method may be declared there
+      if (!complete) return extraMethods;
+      own.forEach((method, name) => {
+        if (contracts.some(contract => contract.methods.has(name)) || inherited.has(name)) return;
+        extraMethods.add(method);
+        context.report({
+          node: method.key,
+          messageId: "extraMethod",
+          data: {
+            className: node.id.name,
+            methodName: name,
+            contractNames: contracts.map(contract => `'${contract.name}'`).join(", ")
+          }
+        });
       });
+      return extraMethods;
     }
 
     function checkRepositoryImplementation(node) {
-      if (!isRepositoryClass(node)) return;
-      
-      // Check if implements interface
-      if (!node.implements || node.implements.length === 0) {
+      checkImplementationLocation(node);
+      checkName(node, "implementation", namingConvention.implementation);
+
+      if (repositoryPattern === "interface" && (!node.implements || node.implements.length === 0)) {
         context.report({
-          node,
-          message: "Repository implementation should implement a repository interface"
+          node: node.id,
+          messageId: "missingInterface"
+        });
+      }
+      if (repositoryPattern === "class" && !node.superClass) {
+        context.report({
+          node: node.id,
+          messageId: "missingBaseClass"
         });
       }
-      
+      const extraMethods = checkContracts(node);
+
       // Check for business logic in implementation
-      const methods = node.body.body.filter(member => 
-        member.type === "MethodDefinition"
-      );
-      
-      methods.forEach(method => {
-        checkMethodSignatures(method);
-        
+      classMethods(node).filter(method => method.kind === "method").forEach(method => {
+        checkMethodSignatures(method, { checkAllowed: !extraMethods.has(method) });
+
         // Check for complex business logic
         if (method.value && method.value.body) {
           const bodySource = context.getSourceCode().getText(method.value.body);
-          
+
           // Look for complex conditionals that might indicate business logic
           const complexLogicPattern = /if\s*\([^)]*&&[^)]*\|[^)]*\)/g;
           if (complexLogicPattern.test(bodySource)) {
             context.report({
               node: method,
-              message: "Repository implementation contains complex business logic. Move to domain service."
+              messageId: "complexBusinessLogic"
             });
           }
         }
       });
     }
 
+    function checkRepositoryClass(node) {
+      if (!isRepositoryClass(node)) return;
+      if (isAbstractClass(node)) {
+        checkAbstractRepositoryClass(node);
+      } else {
+        checkRepositoryImplementation(node);
+      }
+    }
+
     return {
       TSInterfaceDeclaration(node) {
         if (isRepositoryInterface(node)) {
-          checkNamingConvention(node);
           checkRepositoryInterface(node);
         }
       },
-      
-      ClassDeclaration(node) {
-        if (isRepositoryClass(node)) {
-          checkNamingConvention(node);
-          checkRepositoryImplementation(node);
-        }
-      },
-      
+
+      ClassDeclaration: checkRepositoryClass,
+      ClassExpression: checkRepositoryClass,
+
       ImportDeclaration(node) {
         checkDependencyDirection(node);
-      },
-      
-      MethodDefinition(node) {
-        const className = node.parent.parent.id?.name;
-        if (className && className.includes("Repository")) {
-          checkMethodSignatures(node);
-        }
       }
     };
   }
-};
\ No newline at end of file
+};
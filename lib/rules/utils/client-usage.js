@@ -0,0 +1,83 @@
+'use strict';
+
+/**
+ * Lists, for each client of an interface or class, the methods it uses.
+ *
+ * @param {string[]} methodNames - Methods the interface declares, in declaration order.
+ * @param {Map<string, Map<string, number>>} usageByClient - Per client (e.g. a file), how often
+ * it uses each member.
+ * @returns {Array<{client: string, used: string[], ratio: number}>} The clients using at least
+ * one of the methods, with the methods they use and the fraction of the interface that is.
+ */
+function summarizeClients(methodNames, usageByClient) {
+  const clients = [];
+  usageByClient.forEach((members, client) => {
+    const used = methodNames.filter(name => members.has(name));
+    if (used.length > 0) {
+      clients.push({ client, used, ratio: used.length / methodNames.length });
+    }
+  });
+  return clients;
+}
+
+function jaccard(a, b) {
+  let shared = 0;
+  a.forEach(item => {
+    if (b.has(item)) shared++;
+  });
+  const total = a.size + b.size - shared;
+  return total === 0 ? 0 : shared / total;
+}
+
+/**
+ * Proposes a split of an interface by clustering the methods that are used by
+ * the same clients: methods start as their own group and the two groups whose
+ * sets of clients overlap most (Jaccard similarity) are merged until no pair
+ * reaches `similarity`.
+ *
+ * @param {string[]} methodNames - Methods the interface declares, in declaration order.
+ * @param {Array<{client: string, used: string[]}>} clients - Result of `summarizeClients`.
+ * @param {Object} [options]
+ * @param {number} [options.similarity=0.5] - Smallest client overlap for two groups to merge.
+ * @returns {Array<{methods: string[], clients: string[]}>} The proposed interfaces; methods no
+ * client uses form a last group with no clients.
+ */
+function proposeSplit(methodNames, clients, { similarity = 0.5 } = {}) {
+  const clientsOf = new Map(methodNames.map(name => [name, new Set()]));
+  clients.forEach(({ client, used }) => used.forEach(name => clientsOf.get(name).add(client)));
+
+  let groups = methodNames
+    .filter(name => clientsOf.get(name).size > 0)
+    .map(name => ({ methods: [name], clients: new Set(clientsOf.get(name)) }));
+
+  while (groups.length > 1) {
+    let best = null;
+    for (let i = 0; i < groups.length; i++) {
+      for (let j = i + 1; j < groups.length; j++) {
+        const score = jaccard(groups[i].clients, groups[j].clients);
+        if (score >= similarity && (!best || score > best.score)) best = { i, j, score };
+      }
+    }
+    if (!best) break;
+
+    const merged = {
+      methods: [...groups[best.i].methods, ...groups[best.j].methods],
+      clients: new Set([...groups[best.i].clients, ...groups[best.j].clients])
+    };
+    groups = groups.filter((group, index) => index !== best.i && index !== best.j);
+    groups.splice(best.i, 0, merged);
+  }
+
+  const unused = methodNames.filter(name => clientsOf.get(name).size === 0);
+  const proposal = groups.map(group => ({
+    methods: methodNames.filter(name => group.methods.includes(name)),
+    clients: Array.from(group.clients).sort()
+  }));
+  if (unused.length > 0) proposal.push({ methods: unused, clients: [] });
+  return proposal;
+}
+
+module.exports = {
+  summarizeClients,
+  proposeSplit
+};
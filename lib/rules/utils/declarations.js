@@ -0,0 +1,358 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const { resolveModule } = require('./module-resolver');
+
+// Parsed programs per file and parser setup, shared by every rule and file linted in this process
+const astCache = new Map();
+
+// Parsers are told apart by identity; the number stands for one in cache keys
+const parserIds = new WeakMap();
+let nextParserId = 0;
+
+// Type-aware parser options would build a TypeScript program for every file we read
+const TYPE_AWARE_OPTIONS = ['project', 'projectService', 'programs', 'EXPERIMENTAL_useProjectService'];
+
+// The parser and parser options the file being linted was parsed with
+function parserOf(context) {
+  const languageOptions = context.languageOptions || {};
+  if (languageOptions.parser && (languageOptions.parser.parseForESLint || languageOptions.parser.parse)) {
+    // Flat config keeps `ecmaVersion` and `sourceType` next to `parserOptions`
+    const parserOptions = { ...languageOptions.parserOptions };
+    ['ecmaVersion', 'sourceType'].forEach(option => {
+      if (languageOptions[option] !== undefined && parserOptions[option] === undefined) parserOptions[option] = languageOptions[option];
+    });
+    return { parser: languageOptions.parser, parserOptions };
+  }
+  if (context.parserPath) {
+    return { parser: require(context.parserPath), parserOptions: context.parserOptions || {} };
+  }
+  return null;
+}
+
+// eslint-scope ships with ESLint; it analyzes programs whose parser has no scope manager
+function loadEslintScope() {
+  const eslintDirectory = path.dirname(require.resolve('eslint/package.json'));
+  return require(require.resolve('eslint-scope', { paths: [eslintDirectory] }));
+}
+
+// What a parse depends on besides the file: the parser and its options
+function parseKey(parser, parserOptions) {
+  if (!parser) return 'none';
+  if (!parserIds.has(parser)) parserIds.set(parser, nextParserId++);
+  const { filePath, ...options } = parserOptions;
+  return `${parserIds.get(parser)}:${JSON.stringify(options)}`;
+}
+
+function readAnalysis(filePath, context) {
+  let mtimeMs;
+  try {
+    mtimeMs = fs.statSync(filePath).mtimeMs;
+  } catch (error) {
+    astCache.delete(filePath);
+    return null;
+  }
+
+  const configured = parserOf(context);
+  let parserOptions = null;
+  if (configured) {
+    parserOptions = {
+      ecmaVersion: 'latest',
+      sourceType: 'module',
+      ...configured.parserOptions,
+      loc: true,
+      range: true,
+      comment: true,
+      tokens: true,
+      filePath
+    };
+    TYPE_AWARE_OPTIONS.forEach(option => delete parserOptions[option]);
+  }
+
+  // A file parses differently, or not at all, under another parser or `sourceType`
+  const key = parseKey(configured && configured.parser, parserOptions || {});
+  let analyses = astCache.get(filePath);
+  if (!analyses || analyses.mtimeMs !== mtimeMs) {
+    analyses = { mtimeMs, byParse: new Map() };
+    astCache.set(filePath, analyses);
+  }
+  if (analyses.byParse.has(key)) return analyses.byParse.get(key);
+
+  const analysis = { program: null, scopeManager: null, visitorKeys: null, sourceType: 'module', text: '' };
+  if (configured) {
+    try {
+      analysis.text = fs.readFileSync(filePath, 'utf8');
+      analysis.sourceType = parserOptions.sourceType;
+      if (configured.parser.parseForESLint) {
+        const result = configured.parser.parseForESLint(analysis.text, parserOptions);
+        analysis.program = result.ast;
+        analysis.scopeManager = result.scopeManager || null;
+        analysis.visitorKeys = result.visitorKeys || null;
+      } else {
+        analysis.program = configured.parser.parse(analysis.text, parserOptions);
+      }
+    } catch (error) {
+      // A file the current parser cannot read (e.g. TypeScript under espree) has no declarations
+      analysis.program = null;
+    }
+  }
+
+  analyses.byParse.set(key, analysis);
+  return analysis;
+}
+
+/**
+ * Parses another file of the project with the parser of the file being linted.
+ * Programs are cached per parser and parser options until the file changes on disk.
+ *
+ * @param {string} filePath - Absolute path of the file.
+ * @param {Object} context - ESLint rule context of the file being linted.
+ * @returns {Object|null} The `Program` node, or `null` when the file cannot be read or parsed.
+ */
+function parseFile(filePath, context) {
+  const analysis = readAnalysis(filePath, context);
+  return analysis && analysis.program;
+}
+
+/**
+ * Parses another file of the project like `parseFile` and adds its scope
+ * analysis, the same ESLint builds for the file being linted.
+ *
+ * @param {string} filePath - Absolute path of the file.
+ * @param {Object} context - ESLint rule context of the file being linted.
+ * @returns {{program: Object, scopeManager: Object, text: string}|null} The program, its scope
+ * manager and source text, or `null` when the file cannot be read, parsed or analyzed.
+ */
+function analyzeFile(filePath, context) {
+  const analysis = readAnalysis(filePath, context);
+  if (!analysis || !analysis.program) return null;
+
+  if (!analysis.scopeManager) {
+    try {
+      analysis.scopeManager = loadEslintScope().analyze(analysis.program, {
+        ecmaVersion: 2022,
+        sourceType: ['script', 'commonjs'].includes(analysis.sourceType) ? analysis.sourceType : 'module',
+        childVisitorKeys: analysis.visitorKeys || undefined,
+        fallback: 'iteration'
+      });
+    } catch (error) {
+      return null;
+    }
+  }
+  return { program: analysis.program, scopeManager: analysis.scopeManager, text: analysis.text };
+}
+
+function declarationName(node) {
+  if (!node) return null;
+  if ((node.type === 'ClassDeclaration' || node.type === 'TSInterfaceDeclaration' || node.type === 'ClassExpression') && node.id) {
+    return node.id.name;
+  }
+  return null;
+}
+
+// Classes and interfaces declared at the top level of a program, exported or not
+function findLocalDeclaration(program, name) {
+  for (const statement of program.body) {
+    const declaration = (statement.type === 'ExportNamedDeclaration' || statement.type === 'ExportDefaultDeclaration')
+      ? statement.declaration
+      : statement;
+    if (!declaration) continue;
+
+    if (declarationName(declaration) === name) return declaration;
+
+    if (declaration.type === 'VariableDeclaration') {
+      const declarator = declaration.declarations.find(candidate =>
+        candidate.id.type === 'Identifier' && candidate.id.name === name &&
+        candidate.init && candidate.init.type === 'ClassExpression'
+      );
+      if (declarator) return declarator.init;
+    }
+  }
+  return null;
+}
+
+function requiredSource(node) {
+  return node && node.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'require' &&
+    node.arguments.length === 1 && node.arguments[0].type === 'Literal' && typeof node.arguments[0].value === 'string'
+    ? node.arguments[0].value
+    : null;
+}
+
+function propertyName(node) {
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'Literal') return String(node.value);
+  return null;
+}
+
+// `{ source, importedName }` for a local name bound by an import declaration or a
+// `require()`; the whole `module.exports` of a required module counts as its default export
+function findImport(program, name) {
+  for (const statement of program.body) {
+    if (statement.type === 'ImportDeclaration') {
+      for (const specifier of statement.specifiers) {
+        if (specifier.local.name !== name) continue;
+        if (specifier.type === 'ImportDefaultSpecifier') return { source: statement.source.value, importedName: 'default' };
+        if (specifier.type === 'ImportSpecifier') {
+          const imported = specifier.imported.type === 'Identifier' ? specifier.imported.name : specifier.imported.value;
+          return { source: statement.source.value, importedName: imported };
+        }
+      }
+    }
+
+    if (statement.type !== 'VariableDeclaration') continue;
+    for (const declarator of statement.declarations) {
+      const init = declarator.init;
+      if (!init) continue;
+
+      // const Bird = require('./bird') / const Bird = require('./birds').Bird
+      if (declarator.id.type === 'Identifier' && declarator.id.name === name) {
+        if (requiredSource(init)) return { source: requiredSource(init), importedName: 'default' };
+        if (init.type === 'MemberExpression' && !init.computed && requiredSource(init.object)) {
+          return { source: requiredSource(init.object), importedName: propertyName(init.property) };
+        }
+      }
+
+      // const { Bird } = require('./birds')
+      if (declarator.id.type === 'ObjectPattern' && requiredSource(init)) {
+        const property = declarator.id.properties.find(candidate =>
+          candidate.type === 'Property' && candidate.value.type === 'Identifier' && candidate.value.name === name
+        );
+        if (property) return { source: requiredSource(init), importedName: propertyName(property.key) };
+      }
+    }
+  }
+  return null;
+}
+
+function isModuleExports(node) {
+  return node.type === 'MemberExpression' && !node.computed &&
+    node.object.type === 'Identifier' && node.object.name === 'module' &&
+    propertyName(node.property) === 'exports';
+}
+
+// `module.exports = X`, `module.exports = { X }`, `module.exports.X = ...` and `exports.X = ...`
+function findCommonJsExport(program, name) {
+  for (const statement of program.body) {
+    if (statement.type !== 'ExpressionStatement' || statement.expression.type !== 'AssignmentExpression') continue;
+    const { left, right } = statement.expression;
+
+    if (isModuleExports(left)) {
+      if (name === 'default') return right;
+      if (right.type === 'ObjectExpression') {
+        const property = right.properties.find(candidate => candidate.type === 'Property' && propertyName(candidate.key) === name);
+        if (property) return property.value;
+      }
+      continue;
+    }
+
+    if (left.type === 'MemberExpression' && !left.computed && propertyName(left.property) === name &&
+        (isModuleExports(left.object) || (left.object.type === 'Identifier' && left.object.name === 'exports'))) {
+      return right;
+    }
+  }
+  return null;
+}
+
+function exportedName(specifier) {
+  return specifier.exported.type === 'Identifier' ? specifier.exported.name : specifier.exported.value;
+}
+
+function localName(specifier) {
+  return specifier.local.type === 'Identifier' ? specifier.local.name : specifier.local.value;
+}
+
+function resolveExport(filePath, name, context, options, seen) {
+  const key = `${filePath}#${name}`;
+  if (seen.has(key)) return null;
+  seen.add(key);
+
+  const program = parseFile(filePath, context);
+  if (!program) return null;
+
+  for (const statement of program.body) {
+    if (name === 'default' && statement.type === 'ExportDefaultDeclaration') {
+      const declaration = statement.declaration;
+      if (declaration.type === 'Identifier') return resolveInProgram(declaration.name, filePath, program, context, options, seen);
+      if (declaration.type === 'ClassDeclaration' || declaration.type === 'ClassExpression' || declaration.type === 'TSInterfaceDeclaration') {
+        return { node: declaration, filePath, program };
+      }
+      return null;
+    }
+
+    if (statement.type !== 'ExportNamedDeclaration') continue;
+
+    if (statement.declaration) {
+      const found = findLocalDeclaration({ body: [statement.declaration] }, name);
+      if (found) return { node: found, filePath, program };
+      continue;
+    }
+
+    const specifier = statement.specifiers.find(candidate => exportedName(candidate) === name);
+    if (!specifier) continue;
+    if (statement.source) {
+      const target = resolveModule(statement.source.value, filePath, options);
+      return target ? resolveExport(target, localName(specifier), context, options, seen) : null;
+    }
+    return resolveInProgram(localName(specifier), filePath, program, context, options, seen);
+  }
+
+  const commonJsExport = findCommonJsExport(program, name);
+  if (commonJsExport) {
+    if (commonJsExport.type === 'Identifier') return resolveInProgram(commonJsExport.name, filePath, program, context, options, seen);
+    if (commonJsExport.type === 'ClassExpression') return { node: commonJsExport, filePath, program };
+    const source = requiredSource(commonJsExport);
+    if (source) {
+      const target = resolveModule(source, filePath, options);
+      return target ? resolveExport(target, 'default', context, options, seen) : null;
+    }
+    return null;
+  }
+
+  // `export * from '...'` re-exports every named export of another module
+  if (name !== 'default') {
+    for (const statement of program.body) {
+      if (statement.type !== 'ExportAllDeclaration' || statement.exported) continue;
+      const target = resolveModule(statement.source.value, filePath, options);
+      const found = target && resolveExport(target, name, context, options, seen);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+function resolveInProgram(name, filePath, program, context, options, seen) {
+  const local = findLocalDeclaration(program, name);
+  if (local) return { node: local, filePath, program };
+
+  const imported = findImport(program, name);
+  if (!imported) return null;
+  const target = resolveModule(imported.source, filePath, options);
+  return target ? resolveExport(target, imported.importedName, context, options, seen) : null;
+}
+
+/**
+ * Finds the class or interface a name refers to in a file, following imports,
+ * `require()` calls and re-exports (`export { X } from`, `export *`, default
+ * exports, `module.exports`) into other files of the project.
+ *
+ * @param {string} name - Name as used in the file, e.g. the `implements` or `extends` target.
+ * @param {string} filePath - Absolute path of the file that uses the name.
+ * @param {Object} program - `Program` node of that file.
+ * @param {Object} context - ESLint rule context, used to parse other files.
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.aliases] - Path aliases, see `resolveModule`.
+ * @returns {{node: Object, filePath: string, program: Object}|null} The declaration with the
+ * file and program it belongs to, or `null` when it cannot be found.
+ */
+function resolveDeclaration(name, filePath, program, context, { aliases = {} } = {}) {
+  return resolveInProgram(name, filePath, program, context, { aliases }, new Set());
+}
+
+module.exports = {
+  parseFile,
+  analyzeFile,
+  resolveDeclaration
+};
@@ -0,0 +1,220 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const { resolveModule, SOURCE_EXTENSIONS } = require('./module-resolver');
+
+// Folders that hold dependencies, build output or tooling rather than project sources
+const IGNORED_DIRECTORIES = new Set(['node_modules', '.git', 'dist', 'build', 'coverage', 'out']);
+
+// `import x from '...'`, `export { x } from '...'`, `import '...'`, `require('...')`, `import('...')`
+const IMPORT_PATTERNS = [
+  /\b(?:import|export)\s[^'"`;]*?\sfrom\s*['"]([^'"]+)['"]/g,
+  /\bimport\s*['"]([^'"]+)['"]/g,
+  /\b(?:require|import)\s*\(\s*['"]([^'"]+)['"]\s*\)/g
+];
+
+// Parsed imports per file, shared by every rule and file linted in this process
+const fileCache = new Map();
+
+// Source files per project root, listed once per process
+const sourceFileCache = new Map();
+
+function stripComments(source) {
+  return source.replace(/\/\*[\s\S]*?\*\//g, '').replace(/(^|[^:\\])\/\/.*$/gm, '$1');
+}
+
+/**
+ * Lists the module specifiers a source file imports, re-exports or requires.
+ *
+ * @param {string} source - Source text.
+ * @returns {string[]} The specifiers, in order of appearance and without duplicates.
+ */
+function extractSpecifiers(source) {
+  const code = stripComments(source);
+  const found = [];
+  IMPORT_PATTERNS.forEach(pattern => {
+    for (const match of code.matchAll(pattern)) {
+      found.push({ index: match.index, specifier: match[1] });
+    }
+  });
+  return Array.from(new Set(found.sort((a, b) => a.index - b.index).map(entry => entry.specifier)));
+}
+
+/**
+ * Lists the source files of a project, skipping dependencies, build output and
+ * hidden folders.
+ *
+ * @param {string} root - Project root directory.
+ * @returns {string[]} Absolute paths of the source files.
+ */
+function listSourceFiles(root) {
+  if (sourceFileCache.has(root)) return sourceFileCache.get(root);
+
+  const files = [];
+  const pending = [root];
+  while (pending.length > 0) {
+    const directory = pending.pop();
+    let entries;
+    try {
+      entries = fs.readdirSync(directory, { withFileTypes: true });
+    } catch (error) {
+      continue;
+    }
+    entries.forEach(entry => {
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRECTORIES.has(entry.name) && !entry.name.startsWith('.')) pending.push(path.join(directory, entry.name));
+      } else if (SOURCE_EXTENSIONS.includes(path.extname(entry.name)) && !entry.name.endsWith('.d.ts')) {
+        files.push(path.join(directory, entry.name));
+      }
+    });
+  }
+
+  sourceFileCache.set(root, files);
+  return files;
+}
+
+/**
+ * Project-wide graph of the imports between source files. Files are parsed
+ * lazily when a query reaches them and re-parsed when they change on disk, so
+ * one graph serves every file ESLint lints in a run. The imports of a file are
+ * resolved again only when its specifiers change.
+ */
+class ModuleGraph {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.resolve] - `(specifier, fromFile) => absolutePath|null`;
+   * defaults to `resolveModule`.
+   */
+  constructor({ resolve = resolveModule } = {}) {
+    this.resolve = resolve;
+    // Resolved dependencies per file, valid as long as the file's specifiers are the same
+    this.dependencyCache = new Map();
+    // Importers per file, built from one list of candidate files (see `importersOf`)
+    this.importerIndex = null;
+  }
+
+  /**
+   * Replaces the imports of a file with the ones of its current source, e.g.
+   * the unsaved text ESLint is linting.
+   *
+   * @param {string} filePath - Absolute path of the file.
+   * @param {string} source - Source text.
+   */
+  updateFile(filePath, source) {
+    fileCache.set(filePath, { mtimeMs: null, specifiers: extractSpecifiers(source), source: 'text' });
+    if (this.importerIndex && this.importerIndex.indexed.has(filePath)) {
+      this.indexImports(filePath);
+    }
+  }
+
+  /**
+   * Lists the project files a file imports.
+   *
+   * @param {string} filePath - Absolute path of the file.
+   * @returns {string[]} Absolute paths of the imported files that exist in the project.
+   */
+  dependencies(filePath) {
+    const specifiers = this.specifiers(filePath);
+    const cached = this.dependencyCache.get(filePath);
+    if (cached && cached.specifiers === specifiers) {
+      return cached.dependencies;
+    }
+
+    const dependencies = specifiers
+      .map(specifier => this.resolve(specifier, filePath))
+      .filter(resolved => resolved && !resolved.includes(`${path.sep}node_modules${path.sep}`));
+    this.dependencyCache.set(filePath, { specifiers, dependencies });
+    return dependencies;
+  }
+
+  specifiers(filePath) {
+    const cached = fileCache.get(filePath);
+    if (cached && cached.source === 'text') {
+      return cached.specifiers;
+    }
+
+    let mtimeMs;
+    try {
+      mtimeMs = fs.statSync(filePath).mtimeMs;
+    } catch (error) {
+      fileCache.delete(filePath);
+      return [];
+    }
+    if (cached && cached.mtimeMs === mtimeMs) {
+      return cached.specifiers;
+    }
+
+    const specifiers = extractSpecifiers(fs.readFileSync(filePath, 'utf8'));
+    fileCache.set(filePath, { mtimeMs, specifiers, source: 'disk' });
+    return specifiers;
+  }
+
+  /**
+   * Lists the files that import a file. The candidates are indexed once, on the
+   * first query with that list, and files passed to `updateFile` are indexed again.
+   *
+   * @param {string} filePath - Absolute path of the imported file.
+   * @param {string[]} candidates - Files to look through, e.g. `listSourceFiles(root)`.
+   * @returns {string[]} The candidates that import `filePath` directly.
+   */
+  importersOf(filePath, candidates) {
+    if (!this.importerIndex || this.importerIndex.candidates !== candidates) {
+      this.importerIndex = { candidates, importers: new Map(), indexed: new Map() };
+      candidates.forEach(candidate => this.indexImports(candidate));
+    }
+    const importers = this.importerIndex.importers.get(filePath);
+    return importers ? Array.from(importers).filter(importer => importer !== filePath) : [];
+  }
+
+  indexImports(filePath) {
+    const { importers, indexed } = this.importerIndex;
+    (indexed.get(filePath) || []).forEach(dependency => importers.get(dependency).delete(filePath));
+
+    const dependencies = this.dependencies(filePath);
+    dependencies.forEach(dependency => {
+      if (!importers.has(dependency)) importers.set(dependency, new Set());
+      importers.get(dependency).add(filePath);
+    });
+    indexed.set(filePath, dependencies);
+  }
+
+  /**
+   * Finds the shortest import chain from one file to a file matching a predicate.
+   *
+   * @param {string} fromFile - Absolute path to start from (not part of the search target).
+   * @param {Function} isTarget - `(filePath) => boolean`.
+   * @param {Object} [options]
+   * @param {number} [options.maxDepth=20] - Longest chain to follow.
+   * @returns {string[]|null} The chain of files from `fromFile` to the target, or `null`.
+   */
+  findPath(fromFile, isTarget, { maxDepth = 20 } = {}) {
+    const previous = new Map([[fromFile, null]]);
+    let frontier = [fromFile];
+
+    for (let depth = 0; depth < maxDepth && frontier.length > 0; depth++) {
+      const next = [];
+      for (const file of frontier) {
+        for (const dependency of this.dependencies(file)) {
+          if (previous.has(dependency)) continue;
+          previous.set(dependency, file);
+          if (isTarget(dependency)) {
+            const chain = [dependency];
+            for (let step = file; step !== null; step = previous.get(step)) chain.unshift(step);
+            return chain;
+          }
+          next.push(dependency);
+        }
+      }
+      frontier = next;
+    }
+    return null;
+  }
+}
+
+module.exports = {
+  ModuleGraph,
+  extractSpecifiers,
+  listSourceFiles
+};
@@ -0,0 +1,349 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const SOURCE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs'];
+
+// Project settings per root directory, project root per directory and workspace root
+// per project root, read once per process
+const projectCache = new Map();
+const rootCache = new Map();
+const workspaceRootCache = new Map();
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function isFile(filePath) {
+  try {
+    return fs.statSync(filePath).isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Resolves a path without extension the way Node and bundlers do: the exact
+ * file, the file with a source extension, or an index file in the directory.
+ *
+ * @param {string} basePath - Absolute path as written in the import.
+ * @returns {string|null} The absolute path of the file, or `null`.
+ */
+function resolveFile(basePath) {
+  if (isFile(basePath)) return basePath;
+  for (const extension of SOURCE_EXTENSIONS) {
+    if (isFile(basePath + extension)) return basePath + extension;
+  }
+  // TypeScript sources are imported with the `.js` extension they compile to
+  const withoutExtension = basePath.replace(/\.(?:js|mjs|cjs)$/, '');
+  if (withoutExtension !== basePath) {
+    for (const extension of ['.ts', '.tsx']) {
+      if (isFile(withoutExtension + extension)) return withoutExtension + extension;
+    }
+  }
+  for (const extension of SOURCE_EXTENSIONS) {
+    const indexFile = path.join(basePath, `index${extension}`);
+    if (isFile(indexFile)) return indexFile;
+  }
+  return null;
+}
+
+// tsconfig.json and jsconfig.json allow comments and trailing commas
+function readJsonc(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    return null;
+  }
+  const withoutComments = text.replace(/("(?:[^"\\]|\\.)*")|\/\*[\s\S]*?\*\/|\/\/.*$/gm, (match, string) => string || '');
+  try {
+    return JSON.parse(withoutComments.replace(/,(\s*[}\]])/g, '$1'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Finds the project root of a file: the closest directory with a `package.json`,
+ * `tsconfig.json` or `jsconfig.json`.
+ *
+ * @param {string} filePath - Absolute path of a source file.
+ * @returns {string} The root directory, or the current working directory when none is found.
+ */
+function findProjectRoot(filePath) {
+  const start = path.dirname(filePath);
+  if (rootCache.has(start)) return rootCache.get(start);
+
+  let directory = start;
+  let root = process.cwd();
+  while (true) {
+    if (['package.json', 'tsconfig.json', 'jsconfig.json'].some(name => fs.existsSync(path.join(directory, name)))) {
+      root = directory;
+      break;
+    }
+    const parent = path.dirname(directory);
+    if (parent === directory) break;
+    directory = parent;
+  }
+
+  rootCache.set(start, root);
+  return root;
+}
+
+// The monorepo a project belongs to: the closest directory from the project root up whose
+// package.json declares `workspaces` or that has a pnpm-workspace.yaml, else the project root
+function findWorkspaceRoot(root) {
+  if (workspaceRootCache.has(root)) return workspaceRootCache.get(root);
+
+  let directory = root;
+  let workspaceRoot = root;
+  while (true) {
+    const packageJson = readJson(path.join(directory, 'package.json'));
+    if ((packageJson && packageJson.workspaces) || fs.existsSync(path.join(directory, 'pnpm-workspace.yaml'))) {
+      workspaceRoot = directory;
+      break;
+    }
+    const parent = path.dirname(directory);
+    if (parent === directory) break;
+    directory = parent;
+  }
+
+  workspaceRootCache.set(root, workspaceRoot);
+  return workspaceRoot;
+}
+
+// `compilerOptions` of a tsconfig, following `extends` to relative configs
+function readCompilerOptions(configPath, seen = new Set()) {
+  if (seen.has(configPath)) return {};
+  seen.add(configPath);
+
+  const config = readJsonc(configPath);
+  if (!config) return {};
+
+  const configDir = path.dirname(configPath);
+  let inherited = {};
+  const parents = [].concat(config.extends || []);
+  parents.forEach(parent => {
+    if (parent.startsWith('.')) {
+      const parentPath = path.resolve(configDir, parent.endsWith('.json') ? parent : `${parent}.json`);
+      inherited = { ...inherited, ...readCompilerOptions(parentPath, seen) };
+    }
+  });
+
+  const own = { ...config.compilerOptions };
+  // `baseUrl` and `paths` are relative to the config that declares them
+  if (own.baseUrl) own.baseUrl = path.resolve(configDir, own.baseUrl);
+  if (own.paths) own.pathsBase = own.baseUrl || configDir;
+  return { ...inherited, ...own };
+}
+
+function listWorkspaceDirectories(root, packageJson) {
+  let patterns = [];
+  if (packageJson && packageJson.workspaces) {
+    patterns = Array.isArray(packageJson.workspaces) ? packageJson.workspaces : packageJson.workspaces.packages || [];
+  }
+  const pnpmWorkspace = path.join(root, 'pnpm-workspace.yaml');
+  if (fs.existsSync(pnpmWorkspace)) {
+    try {
+      const yaml = require('js-yaml');
+      const config = yaml.load(fs.readFileSync(pnpmWorkspace, 'utf8')) || {};
+      patterns = patterns.concat(config.packages || []);
+    } catch (error) {
+      // An unreadable workspace file only means its packages stay unresolved
+    }
+  }
+
+  const directories = [];
+  patterns.filter(pattern => !pattern.startsWith('!')).forEach(pattern => {
+    const normalized = pattern.replace(/\/\*\*?$/, '');
+    if (normalized === pattern) {
+      directories.push(path.resolve(root, pattern));
+      return;
+    }
+    const parent = path.resolve(root, normalized);
+    try {
+      fs.readdirSync(parent, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .forEach(entry => directories.push(path.join(parent, entry.name)));
+    } catch (error) {
+      // Missing workspace folders are skipped
+    }
+  });
+  return directories;
+}
+
+function readWorkspacePackages(root, packageJson) {
+  const packages = new Map();
+  listWorkspaceDirectories(root, packageJson).forEach(directory => {
+    const workspacePackage = readJson(path.join(directory, 'package.json'));
+    if (workspacePackage && workspacePackage.name) {
+      packages.set(workspacePackage.name, { directory, packageJson: workspacePackage });
+    }
+  });
+  return packages;
+}
+
+function loadProject(root) {
+  if (!projectCache.has(root)) {
+    const packageJson = readJson(path.join(root, 'package.json'));
+    const tsconfig = path.join(root, 'tsconfig.json');
+    const jsconfig = path.join(root, 'jsconfig.json');
+    const configPath = fs.existsSync(tsconfig) ? tsconfig : fs.existsSync(jsconfig) ? jsconfig : null;
+
+    projectCache.set(root, {
+      root,
+      packageImports: (packageJson && packageJson.imports) || {},
+      compilerOptions: configPath ? readCompilerOptions(configPath) : {},
+      workspacePackages: readWorkspacePackages(root, packageJson)
+    });
+  }
+  return projectCache.get(root);
+}
+
+// Matches `specifier` against a key with at most one `*`; returns what the `*` stands for
+function matchPattern(key, specifier) {
+  const star = key.indexOf('*');
+  if (star === -1) return key === specifier ? '' : null;
+  const prefix = key.slice(0, star);
+  const suffix = key.slice(star + 1);
+  if (specifier.length < prefix.length + suffix.length || !specifier.startsWith(prefix) || !specifier.endsWith(suffix)) {
+    return null;
+  }
+  return specifier.slice(prefix.length, specifier.length - suffix.length);
+}
+
+// First string target of a package.json `imports`/`exports` entry, whatever the conditions
+function conditionalTarget(target) {
+  if (typeof target === 'string') return target;
+  if (Array.isArray(target)) {
+    for (const entry of target) {
+      const found = conditionalTarget(entry);
+      if (found) return found;
+    }
+    return null;
+  }
+  if (target && typeof target === 'object') {
+    for (const condition of ['import', 'require', 'node', 'default', ...Object.keys(target)]) {
+      const found = target[condition] !== undefined && conditionalTarget(target[condition]);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+function resolvePackageImports(specifier, project) {
+  for (const [key, target] of Object.entries(project.packageImports)) {
+    const wildcard = matchPattern(key, specifier);
+    const resolvedTarget = wildcard !== null && conditionalTarget(target);
+    if (resolvedTarget && resolvedTarget.startsWith('.')) {
+      const resolved = resolveFile(path.resolve(project.root, resolvedTarget.replace('*', wildcard)));
+      if (resolved) return resolved;
+    }
+  }
+  return null;
+}
+
+function resolveTsconfigPaths(specifier, project) {
+  const { paths, pathsBase, baseUrl } = project.compilerOptions;
+
+  // The most specific pattern (longest prefix before `*`) wins, as in TypeScript
+  const candidates = Object.keys(paths || {})
+    .map(key => ({ key, wildcard: matchPattern(key, specifier) }))
+    .filter(candidate => candidate.wildcard !== null)
+    .sort((a, b) => b.key.indexOf('*') - a.key.indexOf('*'));
+
+  for (const { key, wildcard } of candidates) {
+    for (const target of paths[key]) {
+      const resolved = resolveFile(path.resolve(pathsBase, target.replace('*', wildcard)));
+      if (resolved) return resolved;
+    }
+  }
+
+  return baseUrl ? resolveFile(path.resolve(baseUrl, specifier)) : null;
+}
+
+// Target of a subpath (`.` or `./x`) in a package's `exports` field
+function resolvePackageExport(packageJson, subpath) {
+  const exportsField = packageJson.exports;
+  if (!exportsField) return null;
+
+  const hasSubpaths = typeof exportsField === 'object' && !Array.isArray(exportsField) &&
+    Object.keys(exportsField).some(key => key.startsWith('.'));
+  if (!hasSubpaths) {
+    return subpath === '.' ? conditionalTarget(exportsField) : null;
+  }
+
+  for (const [key, target] of Object.entries(exportsField)) {
+    const wildcard = matchPattern(key, subpath);
+    const resolvedTarget = wildcard !== null && conditionalTarget(target);
+    if (resolvedTarget) return resolvedTarget.replace('*', wildcard);
+  }
+  return null;
+}
+
+function resolveWorkspacePackage(specifier, project) {
+  for (const [name, { directory, packageJson }] of project.workspacePackages) {
+    if (specifier !== name && !specifier.startsWith(`${name}/`)) continue;
+
+    const subpath = specifier === name ? '.' : `./${specifier.slice(name.length + 1)}`;
+    const exportTarget = resolvePackageExport(packageJson, subpath);
+
+    if (exportTarget) return resolveFile(path.resolve(directory, exportTarget));
+    if (subpath === '.') return resolveFile(path.resolve(directory, packageJson.main || 'index'));
+    return resolveFile(path.resolve(directory, subpath));
+  }
+  return null;
+}
+
+function resolveAliases(specifier, aliases, root) {
+  for (const [alias, target] of Object.entries(aliases)) {
+    if (specifier === alias || specifier.startsWith(alias)) {
+      const resolved = resolveFile(path.resolve(root, target + specifier.slice(alias.length)));
+      if (resolved) return resolved;
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolves an import specifier to a file of the project. Besides relative
+ * paths it understands `compilerOptions.paths` and `baseUrl` of
+ * `tsconfig.json`/`jsconfig.json`, `package.json#imports` (`#` specifiers)
+ * and the names of workspace packages, declared in the monorepo root above
+ * the file's own package.
+ *
+ * @param {string} specifier - The specifier as written in the import.
+ * @param {string} fromFile - Absolute path of the importing file.
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.aliases] - Extra prefix aliases, with targets
+ * relative to the project root (e.g. `{ '@/': 'src/' }`). Bundler aliases (webpack or
+ * vite `resolve.alias`) are not read and have to be passed here.
+ * @returns {string|null} Absolute path of the imported file, or `null` for packages
+ * from `node_modules`, built-ins and specifiers that do not resolve.
+ */
+function resolveModule(specifier, fromFile, { aliases = {} } = {}) {
+  if (specifier.startsWith('./') || specifier.startsWith('../') || specifier === '.' || specifier === '..' || path.isAbsolute(specifier)) {
+    return resolveFile(path.resolve(path.dirname(fromFile), specifier));
+  }
+  if (specifier.startsWith('node:')) return null;
+
+  const project = loadProject(findProjectRoot(fromFile));
+
+  return resolveAliases(specifier, aliases, project.root) ||
+    (specifier.startsWith('#') ? resolvePackageImports(specifier, project) : null) ||
+    resolveTsconfigPaths(specifier, project) ||
+    resolveWorkspacePackage(specifier, loadProject(findWorkspaceRoot(project.root)));
+}
+
+module.exports = {
+  resolveModule,
+  resolveFile,
+  findProjectRoot,
+  SOURCE_EXTENSIONS
+};
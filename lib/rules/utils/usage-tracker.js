@@ -0,0 +1,261 @@
+'use strict';
+
+const SKIPPED_KEYS = new Set(['parent', 'loc', 'range', 'tokens', 'comments']);
+
+function isFunction(node) {
+  return node.type === 'FunctionDeclaration' || node.type === 'FunctionExpression' || node.type === 'ArrowFunctionExpression';
+}
+
+function isClass(node) {
+  return node.type === 'ClassDeclaration' || node.type === 'ClassExpression';
+}
+
+// `Foo` for `: Foo`, `: Foo<T>` and `: ns.Foo`
+function typeReferenceName(annotation) {
+  const type = annotation && annotation.typeAnnotation;
+  if (!type || type.type !== 'TSTypeReference') return null;
+  return type.typeName.type === 'Identifier' ? type.typeName.name : type.typeName.right.name;
+}
+
+function propertyKeyName(property) {
+  if (property.computed) return null;
+  if (property.key.type === 'Identifier') return property.key.name;
+  if (property.key.type === 'Literal') return String(property.key.value);
+  return null;
+}
+
+/**
+ * Counts which members of classes, interfaces and object literals a file uses,
+ * following values through ESLint's scope analysis rather than by name:
+ * instances created with `new`, typed or JSDoc-documented variables and
+ * parameters, fields assigned in a class (including constructor injection),
+ * `this` inside a class and destructuring (`const { find } = repo`).
+ *
+ * @param {Object} file
+ * @param {Object} file.program - `Program` node.
+ * @param {Object} file.scopeManager - Scope analysis of the program.
+ * @param {string} [file.text] - Source text, used to read JSDoc `@param` types.
+ * @param {Object} [options]
+ * @param {Iterable<string>} [options.typeNames] - Types of interest. An untyped parameter
+ * named after one of them (`userRepository` for `UserRepository` or `IUserRepository`) is
+ * taken to hold an instance of it.
+ * @returns {Map<string, Map<string, number>>} Per type name (a class, interface, imported
+ * name or object literal variable), how often each member is used.
+ */
+function collectMemberUsage({ program, scopeManager, text = '' }, { typeNames = [] } = {}) {
+  const knownTypes = new Set(typeNames);
+  const usage = new Map();
+
+  const resolvedVariables = new Map();
+  scopeManager.scopes.forEach(scope => {
+    scope.references.forEach(reference => {
+      if (reference.resolved) resolvedVariables.set(reference.identifier, reference.resolved);
+    });
+  });
+
+  // One pass to record what `this` is bound to and where members are read
+  const thisClasses = new Map();
+  const memberAccesses = [];
+  const destructurings = [];
+  const thisAssignments = [];
+
+  function walk(node, thisClass) {
+    if (node.type === 'ThisExpression') thisClasses.set(node, thisClass);
+    if (node.type === 'MemberExpression') memberAccesses.push(node);
+    if (node.type === 'VariableDeclarator' && node.id.type === 'ObjectPattern' && node.init) {
+      destructurings.push({ pattern: node.id, source: node.init });
+    }
+    if (isFunction(node)) {
+      node.params.forEach(param => {
+        if (param.type === 'ObjectPattern' && typeReferenceName(param.typeAnnotation)) {
+          destructurings.push({ pattern: param, typeName: typeReferenceName(param.typeAnnotation) });
+        }
+      });
+    }
+    if (node.type === 'AssignmentExpression' && thisClass && node.left.type === 'MemberExpression' &&
+        node.left.object.type === 'ThisExpression' && !node.left.computed && node.left.property.type === 'Identifier') {
+      thisAssignments.push({ classNode: thisClass, name: node.left.property.name, value: node.right });
+    }
+
+    Object.keys(node).forEach(key => {
+      if (SKIPPED_KEYS.has(key)) return;
+      const value = node[key];
+      const children = Array.isArray(value) ? value : [value];
+      children.forEach(child => {
+        if (!child || typeof child.type !== 'string') return;
+
+        let childThis = thisClass;
+        if (isClass(node) && key === 'body') {
+          childThis = node;
+        } else if (isFunction(child) && child.type !== 'ArrowFunctionExpression') {
+          // Methods and field initializers keep the instance as `this`, other functions rebind it
+          const isMember = key === 'value' &&
+            (node.type === 'MethodDefinition' || node.type === 'PropertyDefinition' || node.type === 'TSAbstractMethodDefinition');
+          childThis = isMember ? thisClass : null;
+        }
+        walk(child, childThis);
+      });
+    });
+  }
+  walk(program, null);
+
+  const variableTypes = new Map();
+  const classFields = new Map();
+
+  function record(typeName, memberName) {
+    if (!usage.has(typeName)) usage.set(typeName, new Map());
+    const members = usage.get(typeName);
+    members.set(memberName, (members.get(memberName) || 0) + 1);
+  }
+
+  function className(classNode) {
+    return classNode && classNode.id ? classNode.id.name : null;
+  }
+
+  function conventionType(name) {
+    const bare = name.replace(/^_+/, '');
+    const pascal = bare.charAt(0).toUpperCase() + bare.slice(1);
+    return [pascal, `I${pascal}`].find(candidate => knownTypes.has(candidate)) || null;
+  }
+
+  // Type of a `@param {Type} name` in the JSDoc block right before a function
+  function jsdocParamType(functionNode, name) {
+    if (!program.comments) return null;
+    const comment = program.comments
+      .filter(candidate => candidate.type === 'Block' && candidate.value.startsWith('*') && candidate.range[1] <= functionNode.range[0])
+      .pop();
+    if (!comment || !/^[\s\w$=]*$/.test(text.slice(comment.range[1], functionNode.range[0]))) return null;
+
+    for (const match of comment.value.matchAll(/@param\s+\{([^}]+)\}\s+\[?([\w$]+)/g)) {
+      if (match[2] === name) {
+        const typeName = /^[A-Za-z_$][\w$]*/.exec(match[1].trim());
+        return typeName ? typeName[0] : null;
+      }
+    }
+    return null;
+  }
+
+  function fieldTypes(classNode) {
+    if (classFields.has(classNode)) return classFields.get(classNode);
+    const fields = new Map();
+    classFields.set(classNode, fields);
+
+    classNode.body.body.forEach(member => {
+      if (member.type === 'PropertyDefinition' && !member.computed && member.key.type === 'Identifier') {
+        const type = typeReferenceName(member.typeAnnotation) || (member.value && typeOfExpression(member.value));
+        if (type) fields.set(member.key.name, type);
+      }
+      // constructor(private readonly repo: IUserRepository)
+      if (member.type === 'MethodDefinition' && member.kind === 'constructor') {
+        member.value.params.forEach(param => {
+          if (param.type !== 'TSParameterProperty') return;
+          const parameter = param.parameter.type === 'AssignmentPattern' ? param.parameter.left : param.parameter;
+          const type = typeReferenceName(parameter.typeAnnotation) ||
+            (param.parameter.type === 'AssignmentPattern' && typeOfExpression(param.parameter.right));
+          if (type) fields.set(parameter.name, type);
+        });
+      }
+    });
+
+    // this.repo = repo / this.repo = new UserRepository()
+    thisAssignments.forEach(assignment => {
+      if (assignment.classNode !== classNode || fields.has(assignment.name)) return;
+      const type = typeOfExpression(assignment.value);
+      if (type) fields.set(assignment.name, type);
+    });
+    return fields;
+  }
+
+  function typeOfParameter(definition) {
+    const identifier = definition.name;
+    const declared = typeReferenceName(identifier.typeAnnotation);
+    if (declared) return declared;
+
+    const functionNode = definition.node;
+    for (const param of functionNode.params || []) {
+      const parameter = param.type === 'TSParameterProperty' ? param.parameter : param;
+      if (parameter.type === 'AssignmentPattern' && parameter.left === identifier) {
+        const type = typeReferenceName(parameter.left.typeAnnotation) || typeOfExpression(parameter.right);
+        if (type) return type;
+      }
+    }
+
+    return jsdocParamType(functionNode, identifier.name) || conventionType(identifier.name);
+  }
+
+  function typeOfVariable(variable) {
+    if (variableTypes.has(variable)) return variableTypes.get(variable);
+    variableTypes.set(variable, null); // guards against cycles such as `a = b; b = a`
+
+    let type = null;
+    for (const definition of variable.defs) {
+      if (definition.type === 'ClassName' || definition.type === 'ImportBinding') {
+        type = variable.name;
+      } else if (definition.type === 'Parameter') {
+        type = typeOfParameter(definition);
+      } else if (definition.type === 'Variable' && definition.node.id === definition.name) {
+        type = typeReferenceName(definition.name.typeAnnotation);
+        // The first assigned value whose type is known: the initializer or a later assignment
+        for (const reference of variable.references) {
+          if (type) break;
+          if (!reference.writeExpr) continue;
+          type = reference.writeExpr.type === 'ObjectExpression' || reference.writeExpr.type === 'ClassExpression'
+            ? variable.name
+            : typeOfExpression(reference.writeExpr);
+        }
+      }
+      if (type) break;
+    }
+
+    variableTypes.set(variable, type);
+    return type;
+  }
+
+  function typeOfExpression(node) {
+    switch (node.type) {
+      case 'NewExpression':
+        return node.callee.type === 'Identifier' ? node.callee.name : null;
+      case 'ThisExpression':
+        return className(thisClasses.get(node));
+      case 'Identifier': {
+        const variable = resolvedVariables.get(node);
+        return variable ? typeOfVariable(variable) : null;
+      }
+      case 'MemberExpression': {
+        if (node.object.type !== 'ThisExpression' || node.computed || node.property.type !== 'Identifier') return null;
+        const classNode = thisClasses.get(node.object);
+        return classNode ? fieldTypes(classNode).get(node.property.name) || null : null;
+      }
+      case 'AwaitExpression':
+        return typeOfExpression(node.argument);
+      case 'TSAsExpression':
+        return typeReferenceName(node) || typeOfExpression(node.expression);
+      case 'TSNonNullExpression':
+      case 'ChainExpression':
+        return typeOfExpression(node.expression);
+      default:
+        return null;
+    }
+  }
+
+  memberAccesses.forEach(node => {
+    if (node.computed || node.property.type !== 'Identifier') return;
+    const type = typeOfExpression(node.object);
+    if (type) record(type, node.property.name);
+  });
+
+  destructurings.forEach(({ pattern, source, typeName }) => {
+    const type = typeName || typeOfExpression(source);
+    if (!type) return;
+    pattern.properties.forEach(property => {
+      const name = property.type === 'Property' && propertyKeyName(property);
+      if (name) record(type, name);
+    });
+  });
+
+  return usage;
+}
+
+module.exports = {
+  collectMemberUsage
+};
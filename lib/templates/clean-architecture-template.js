@@ -1,5 +1,16 @@
 module.exports = {
-    rule: {
-        'student-linter/clean-architecture': 'error',
+    rules: {
+        'student-linter/clean-architecture': ['error', {
+            interfacePatterns: ['**/interfaces/**', '**/ports/**', '**/contracts/**'],
+            allowedCrossCuts: ['**/shared/**', '**/utils/**', '**/constants/**', '**/types/**', '**/config/**'],
+        }],
+        // Modules under src/modules only talk to each other through their public entry
+        'student-linter/module-boundaries': 'error',
+        // Inner rings depend on ports; adapters and frameworks hold the concrete code
+        'student-linter/dip-violation': ['warn', {
+            concretePatterns: ['**/adapters/**', '**/infrastructure/**', '**/frameworks/**'],
+            abstractPatterns: ['**/ports/**', '**/interfaces/**', '**/contracts/**'],
+            allowedFiles: ['**/main.js', '**/container.js', '**/di-container.js', '**/bootstrap.js', '**/index.js'],
+        }],
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,21 @@
+module.exports = {
+    rules: {
+        'student-linter/repository-architecture': ['error', {
+            repositoryPattern: 'interface',
+            namingConvention: {
+                interface: 'I{name}Repository',
+                implementation: '{type}{name}Repository',
+            },
+            allowedMethods: ['find', 'findById', 'findAll', 'get', 'list', 'exists', 'count', 'create', 'save', 'add', 'update', 'delete', 'remove'],
+            directories: {
+                abstractions: ['**/domain/**', '**/core/**'],
+                implementations: ['**/infrastructure/**', '**/data/**'],
+            },
+        }],
+        // Services depend on repository interfaces, never on the data layer
+        'student-linter/dip-violation': ['warn', {
+            concretePatterns: ['**/infrastructure/**', '**/data/**', '**/repositories/impl/**'],
+            abstractPatterns: ['**/domain/**', '**/interfaces/**', '**/contracts/**'],
+        }],
+    }
+}
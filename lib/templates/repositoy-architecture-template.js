@@ -1,5 +0,0 @@
-module.exports = {
-    rule: {
-        'student-linter/repository-architecture': 'error',
-    }
-}
\ No newline at end of file
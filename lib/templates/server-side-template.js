@@ -1,5 +1,5 @@
 module.exports = {
-    rule : {
+    rules : {
         'no-unused-vars': 'error',
         'no-console': 'warn',
         'no-process-exit': 'error',
@@ -17,4 +17,4 @@ module.exports = {
         }
     ]
 
-}
\ No newline at end of file
+}
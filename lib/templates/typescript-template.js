@@ -0,0 +1,19 @@
+module.exports = {
+    overrides: [
+        {
+            files: ['*.ts', '*.tsx'],
+            parser: '@typescript-eslint/parser',
+            parserOptions: {
+                project: './tsconfig.json',
+                sourceType: 'module'
+            },
+            plugins: ['@typescript-eslint'],
+            extends: ['plugin:@typescript-eslint/recommended'],
+            rules: {
+                // The base rule reports type-only usages, the TS version understands them
+                'no-unused-vars': 'off',
+                '@typescript-eslint/no-unused-vars': 'error',
+            }
+        }
+    ]
+}
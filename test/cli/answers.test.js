@@ -0,0 +1,56 @@
+const assert = require('node:assert/strict');
+const { after, afterEach, before, beforeEach, describe, it, mock } = require('node:test');
+
+const { resolveAnswers } = require('../../lib/cli/answers');
+const { createProject } = require('../helpers/project');
+
+const project = createProject({
+    'package.json': JSON.stringify({ name: 'api', dependencies: { express: '^4.0.0' } }),
+    'src/repositories/user-repository.js': '',
+    'preset.json': JSON.stringify({ architecture: 'clean architecture', solidStrictness: 'Strict' }),
+});
+const cwd = process.cwd();
+
+describe('resolveAnswers', () => {
+    before(() => process.chdir(project.root));
+    beforeEach(() => mock.method(console, 'log', () => {}));
+    afterEach(() => mock.restoreAll());
+    after(() => {
+        process.chdir(cwd);
+        project.remove();
+    });
+
+    it('accepts the detected answers with --yes', async () => {
+        assert.deepEqual(await resolveAnswers({ yes: true }), {
+            languageType: 'JavaScript',
+            projectType: 'Server-side',
+            architecture: 'Repository',
+            solidStrictness: 'Relaxed',
+        });
+        assert.match(console.log.mock.calls[1].arguments[0], /^Detected project type: Server-side \(package\.json depends on "express"\)$/);
+    });
+
+    it('prefers flags over the preset and the preset over detection', async () => {
+        assert.deepEqual(await resolveAnswers({ yes: true, preset: 'preset.json', language: 'typescript' }), {
+            languageType: 'TypeScript',
+            projectType: 'Server-side',
+            architecture: 'Clean Architecture',
+            solidStrictness: 'Strict',
+        });
+    });
+
+    it('skips the server-side questions for React projects', async () => {
+        assert.deepEqual(await resolveAnswers({ yes: true, skipDetection: true, language: 'JavaScript', projectType: 'react' }), {
+            languageType: 'JavaScript',
+            projectType: 'React',
+        });
+    });
+
+    it('fails on invalid values and on missing answers with --yes', async () => {
+        await assert.rejects(resolveAnswers({ yes: true, projectType: 'Desktop' }), /Invalid value "Desktop" for --project-type/);
+        await assert.rejects(
+            resolveAnswers({ yes: true, skipDetection: true }),
+            /Missing required answer\(s\) in non-interactive mode: --language, --project-type\./
+        );
+    });
+});
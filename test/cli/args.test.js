@@ -0,0 +1,28 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { parseCliArgs } = require('../../lib/cli/args');
+
+describe('parseCliArgs', () => {
+    it('defaults to init and camelCases the flags', () => {
+        const { command, options, patterns } = parseCliArgs(['--project-type', 'React', '-y']);
+        assert.equal(command, 'init');
+        assert.equal(options.projectType, 'React');
+        assert.equal(options.yes, true);
+        assert.equal(options.format, 'text');
+        assert.deepEqual(patterns, []);
+    });
+
+    it('returns the files after the command', () => {
+        const { command, options, patterns } = parseCliArgs(['check', 'src', 'lib/index.js', '--format', 'sarif', '-o', 'out.sarif']);
+        assert.equal(command, 'check');
+        assert.deepEqual(patterns, ['src', 'lib/index.js']);
+        assert.equal(options.format, 'sarif');
+        assert.equal(options.output, 'out.sarif');
+    });
+
+    it('rejects unknown commands and flags', () => {
+        assert.throws(() => parseCliArgs(['lint']), /Unknown command "lint"/);
+        assert.throws(() => parseCliArgs(['--colour']), /Unknown option/);
+    });
+});
@@ -0,0 +1,61 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { after, describe, it } = require('node:test');
+
+const { createBaseline, readBaseline, writeBaseline, applyBaseline, baselinePath, BASELINE_FILE } = require('../../lib/cli/baseline');
+const { createProject } = require('../helpers/project');
+
+const project = createProject({ 'broken.json': '{', 'other.json': '{ "version": 2 }' });
+after(() => project.remove());
+
+function finding(filePath, fingerprint, ruleId = 'student-linter/srp-violation') {
+    return { ruleId, filePath, fingerprint, message: 'finding', line: 1, column: 1 };
+}
+
+describe('createBaseline', () => {
+    it('counts repeated findings and sorts the entries', () => {
+        const baseline = createBaseline([finding('src/b.js', 'ff'), finding('src/a.js', 'aa'), finding('src/b.js', 'ff')]);
+        assert.deepEqual(baseline, {
+            version: 1,
+            entries: [
+                { ruleId: 'student-linter/srp-violation', filePath: 'src/a.js', fingerprint: 'aa', message: 'finding', count: 1 },
+                { ruleId: 'student-linter/srp-violation', filePath: 'src/b.js', fingerprint: 'ff', message: 'finding', count: 2 },
+            ],
+        });
+    });
+});
+
+describe('applyBaseline', () => {
+    it('marks baselined findings, the new ones and the fixed entries', () => {
+        const baseline = createBaseline([finding('src/a.js', 'aa'), finding('src/a.js', 'aa'), finding('src/b.js', 'bb')]);
+        const { findings, newFindings, fixedEntries } = applyBaseline([finding('src/a.js', 'aa'), finding('src/c.js', 'cc')], baseline);
+        assert.deepEqual(findings.map(item => item.baselined), [true, false]);
+        assert.deepEqual(newFindings.map(item => item.filePath), ['src/c.js']);
+        assert.deepEqual(fixedEntries.map(entry => [entry.filePath, entry.count]), [['src/a.js', 1], ['src/b.js', 1]]);
+        assert.equal(baseline.entries[0].count, 2);
+    });
+});
+
+describe('readBaseline and writeBaseline', () => {
+    it('round-trips a baseline', async () => {
+        const file = project.file('nested/baseline.json');
+        const baseline = createBaseline([finding('src/a.js', 'aa')]);
+        await writeBaseline(file, baseline);
+        assert.deepEqual(await readBaseline(file), baseline);
+        assert.match(fs.readFileSync(file, 'utf8'), /^{\n {2}"version": 1/);
+    });
+
+    it('rejects missing, invalid and foreign files', async () => {
+        await assert.rejects(readBaseline(project.file('missing.json')), /Baseline file not found/);
+        await assert.rejects(readBaseline(project.file('broken.json')), /is not valid JSON/);
+        await assert.rejects(readBaseline(project.file('other.json')), /is not a bro-lint baseline/);
+    });
+});
+
+describe('baselinePath', () => {
+    it('defaults to the baseline file of the project', () => {
+        assert.equal(baselinePath(undefined, project.root), path.join(project.root, BASELINE_FILE));
+        assert.equal(baselinePath('ci/baseline.json', project.root), project.file('ci/baseline.json'));
+    });
+});
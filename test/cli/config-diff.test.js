@@ -0,0 +1,31 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { diffRules, formatRulesDiff } = require('../../lib/cli/config-diff');
+
+describe('diffRules', () => {
+    it('sorts the rules into added, changed, removed and unchanged', () => {
+        const diff = diffRules(
+            { eqeqeq: 'error', 'no-var': 'warn', 'no-console': 'warn' },
+            { eqeqeq: 'error', 'no-var': ['error'], 'prefer-const': 'error' }
+        );
+        assert.deepEqual(diff, {
+            added: [{ ruleName: 'prefer-const', after: 'error' }],
+            changed: [{ ruleName: 'no-var', before: 'warn', after: ['error'] }],
+            removed: [{ ruleName: 'no-console', before: 'warn' }],
+            unchanged: 1,
+        });
+    });
+});
+
+describe('formatRulesDiff', () => {
+    it('prefixes each rule with its kind of change', () => {
+        const text = formatRulesDiff(diffRules({ 'no-var': 'warn', 'no-console': 'warn' }, { 'no-var': 'error', eqeqeq: 'error' }));
+        assert.equal(text, [
+            '+ eqeqeq: "error"',
+            '~ no-var: "warn" -> "error"',
+            '- no-console: "warn"',
+            '  1 added, 1 changed, 1 removed, 0 unchanged',
+        ].join('\n'));
+    });
+});
@@ -0,0 +1,46 @@
+const assert = require('node:assert/strict');
+const path = require('path');
+const { after, describe, it } = require('node:test');
+
+const { detectEslintMajorVersion, isModulePackage, resolveConfigFormat, configFilePath } = require('../../lib/cli/config-format');
+const { createProject } = require('../helpers/project');
+
+const eslint9 = createProject({
+    'package.json': '{ "name": "app", "type": "module" }',
+    'node_modules/eslint/package.json': '{ "name": "eslint", "version": "9.4.0" }',
+});
+const withoutEslint = createProject({});
+after(() => {
+    eslint9.remove();
+    withoutEslint.remove();
+});
+
+describe('detectEslintMajorVersion', () => {
+    it('reads the version of the installed ESLint', () => {
+        assert.equal(detectEslintMajorVersion(eslint9.root), 9);
+        assert.equal(detectEslintMajorVersion(withoutEslint.root), null);
+    });
+});
+
+describe('resolveConfigFormat', () => {
+    it('picks flat config for ESLint 9 and legacy otherwise', () => {
+        assert.equal(resolveConfigFormat(undefined, eslint9.root), 'flat');
+        assert.equal(resolveConfigFormat('auto', withoutEslint.root), 'legacy');
+        assert.equal(resolveConfigFormat('legacy', eslint9.root), 'legacy');
+    });
+
+    it('rejects unknown formats', () => {
+        assert.throws(() => resolveConfigFormat('yaml', eslint9.root), /Invalid value "yaml" for --config-format/);
+    });
+});
+
+describe('configFilePath', () => {
+    it('names a flat config after the module system it is written in', () => {
+        assert.equal(isModulePackage(eslint9.root), true);
+        assert.equal(isModulePackage(withoutEslint.root), false);
+        assert.equal(configFilePath('flat', eslint9.root, { esm: true }), path.join(eslint9.root, 'eslint.config.js'));
+        assert.equal(configFilePath('flat', eslint9.root), path.join(eslint9.root, 'eslint.config.cjs'));
+        assert.equal(configFilePath('flat', withoutEslint.root, { esm: true }), path.join(withoutEslint.root, 'eslint.config.mjs'));
+        assert.equal(configFilePath('legacy', eslint9.root), path.join(eslint9.root, '.eslintrc.json'));
+    });
+});
@@ -0,0 +1,80 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { after, describe, it } = require('node:test');
+
+const {
+    computeDevDependencies,
+    filterMissingDependencies,
+    detectPackageManager,
+    installCommand,
+    addDevDependencies,
+} = require('../../lib/cli/dependencies');
+const { createProject } = require('../helpers/project');
+
+const npmProject = createProject({
+    'package.json': JSON.stringify({ name: 'app', devDependencies: { prettier: '^3.0.0', eslint: '^8.0.0' } }),
+});
+const pnpmProject = createProject({ 'pnpm-lock.yaml': '', 'yarn.lock': '' });
+after(() => {
+    npmProject.remove();
+    pnpmProject.remove();
+});
+
+const config = {
+    plugins: ['student-linter', 'react'],
+    extends: ['eslint:recommended', 'plugin:react/recommended', 'airbnb', './local.js'],
+    overrides: [{ files: ['*.ts'], parser: '@typescript-eslint/parser' }],
+};
+
+describe('computeDevDependencies', () => {
+    it('lists the plugins, shared configs and parsers of a legacy config', () => {
+        assert.deepEqual(computeDevDependencies(config), [
+            'eslint@^8',
+            'eslint-plugin-student-linter@npm:bro-linting-script',
+            'eslint-plugin-react',
+            'eslint-config-airbnb',
+            '@typescript-eslint/parser',
+            'typescript',
+        ]);
+    });
+
+    it('adds the modules a flat config requires', () => {
+        const specs = computeDevDependencies({ env: { node: true }, extends: ['eslint:recommended'] }, 'flat');
+        assert.deepEqual(specs, ['eslint@^9', '@eslint/eslintrc', 'globals']);
+    });
+});
+
+describe('filterMissingDependencies', () => {
+    it('drops the packages the project already depends on', async () => {
+        assert.deepEqual(await filterMissingDependencies(['eslint@^9', 'globals'], npmProject.root), ['globals']);
+    });
+});
+
+describe('detectPackageManager', () => {
+    it('follows the lockfile and defaults to npm', async () => {
+        assert.equal(await detectPackageManager(pnpmProject.root), 'pnpm');
+        assert.equal(await detectPackageManager(npmProject.root), 'npm');
+    });
+});
+
+describe('installCommand', () => {
+    it('builds the dev install of each package manager', () => {
+        assert.equal(installCommand('npm', ['eslint@^8']).text, 'npm install --save-dev eslint@^8');
+        assert.deepEqual(installCommand('yarn', ['globals']), { command: 'yarn', args: ['add', '--dev', 'globals'], text: 'yarn add --dev globals' });
+        assert.equal(installCommand('pnpm', ['globals']).text, 'pnpm add --save-dev globals');
+    });
+});
+
+describe('addDevDependencies', () => {
+    it('adds the packages in alphabetical order', async () => {
+        await addDevDependencies(['globals', 'eslint-plugin-student-linter@npm:bro-linting-script', '@eslint/eslintrc@^3'], npmProject.root);
+        const { devDependencies } = JSON.parse(fs.readFileSync(npmProject.file('package.json'), 'utf8'));
+        assert.deepEqual(devDependencies, {
+            '@eslint/eslintrc': '^3',
+            eslint: '^8.0.0',
+            'eslint-plugin-student-linter': 'npm:bro-linting-script',
+            globals: 'latest',
+            prettier: '^3.0.0',
+        });
+    });
+});
@@ -0,0 +1,43 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const generateEslintConfig = require('../../lib/cli/eslint-generator');
+const solidConfig = require('../../lib/templates/solid-principle-template');
+
+const SOLID_RULES = Object.keys(solidConfig.rules);
+
+function severityOf(entry) {
+    return Array.isArray(entry) ? entry[0] : entry;
+}
+
+describe('generateEslintConfig', () => {
+    it('leaves the SOLID rules out of React projects', () => {
+        const config = generateEslintConfig({ projectType: 'React', languageType: 'JavaScript' });
+        assert.ok(config.plugins.includes('react'));
+        SOLID_RULES.forEach(ruleName => assert.equal(config.rules[ruleName], undefined));
+    });
+
+    it('sets the severity of the SOLID rules from the strictness', () => {
+        const relaxed = generateEslintConfig({ projectType: 'Server-side', languageType: 'JavaScript', architecture: 'None' });
+        const strict = generateEslintConfig({ projectType: 'Server-side', languageType: 'JavaScript', architecture: 'None', solidStrictness: 'Strict' });
+        const off = generateEslintConfig({ projectType: 'Server-side', languageType: 'JavaScript', architecture: 'None', solidStrictness: 'Off' });
+        SOLID_RULES.forEach(ruleName => {
+            assert.equal(severityOf(relaxed.rules[ruleName]), 'warn');
+            assert.equal(severityOf(strict.rules[ruleName]), 'error');
+            assert.equal(off.rules[ruleName], undefined);
+        });
+    });
+
+    it('adds the architecture rules with the options of the language', () => {
+        const repository = generateEslintConfig({ projectType: 'Server-side', languageType: 'JavaScript', architecture: 'Repository' });
+        assert.equal(repository.rules['student-linter/repository-architecture'][1].repositoryPattern, 'class');
+
+        const clean = generateEslintConfig({ projectType: 'Server-side', languageType: 'TypeScript', architecture: 'Clean Architecture' });
+        const [, dipOptions] = clean.rules['student-linter/dip-violation'];
+        assert.equal(dipOptions.checkTypeScriptTypes, true);
+        assert.ok(dipOptions.allowedFiles.includes('**/main.js'));
+        assert.ok(dipOptions.allowedFiles.includes('**/factory.{js,ts}'));
+        assert.ok(clean.rules['student-linter/clean-architecture'][1].testPatterns.includes('**/*.spec.{js,ts,tsx}'));
+        assert.equal(clean.rules['student-linter/repository-architecture'], undefined);
+    });
+});
@@ -0,0 +1,64 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { after, describe, it } = require('node:test');
+
+const { discoverEslintConfigs, loadEslintConfig, collectRules, backupAndRemove } = require('../../lib/cli/existing-config');
+const { createProject } = require('../helpers/project');
+
+const project = createProject({
+    'package.json': JSON.stringify({ name: 'app', eslintConfig: { rules: { eqeqeq: 'error' } } }),
+    'eslint.config.js': "module.exports = [{ rules: { 'no-var': 'error' } }, { files: ['*.ts'], rules: { 'no-console': 'off' } }];\n",
+    '.eslintrc.yml': 'rules:\n  no-console: warn\n',
+    '.eslintrc.json': '{ "rules": { "no-var": "warn" } }',
+});
+after(() => project.remove());
+
+describe('discoverEslintConfigs', () => {
+    it('lists flat configs first, then legacy files in precedence order and package.json', async () => {
+        const configs = await discoverEslintConfigs(project.root);
+        assert.deepEqual(configs.map(({ fileName, format, type }) => [fileName, format, type]), [
+            ['eslint.config.js', 'flat', 'js'],
+            ['.eslintrc.yml', 'legacy', 'yaml'],
+            ['.eslintrc.json', 'legacy', 'json'],
+            ['package.json#eslintConfig', 'legacy', 'package.json'],
+        ]);
+    });
+});
+
+describe('loadEslintConfig and collectRules', () => {
+    it('reads each kind of configuration', async () => {
+        const configs = await discoverEslintConfigs(project.root);
+        const rules = await Promise.all(configs.map(async entry => collectRules(await loadEslintConfig(entry))));
+        assert.deepEqual(rules, [
+            { 'no-var': 'error' },
+            { 'no-console': 'warn' },
+            { 'no-var': 'warn' },
+            { eqeqeq: 'error' },
+        ]);
+    });
+
+    it('reports configurations that cannot be parsed', async () => {
+        fs.writeFileSync(project.file('.eslintrc'), 'rules: [');
+        await assert.rejects(
+            loadEslintConfig({ fileName: '.eslintrc', filePath: project.file('.eslintrc'), type: 'yaml' }),
+            /Could not read the existing ESLint configuration \.eslintrc/
+        );
+    });
+});
+
+describe('backupAndRemove', () => {
+    const date = new Date('2024-05-01T10:20:30.400Z');
+
+    it('moves configuration files to a timestamped backup', async () => {
+        const backupPath = await backupAndRemove({ fileName: '.eslintrc.json', filePath: project.file('.eslintrc.json'), type: 'json' }, date);
+        assert.equal(backupPath, project.file('.eslintrc.json.2024-05-01T10-20-30-400Z.bak'));
+        assert.equal(fs.existsSync(project.file('.eslintrc.json')), false);
+        assert.match(fs.readFileSync(backupPath, 'utf8'), /no-var/);
+    });
+
+    it('only removes the eslintConfig key of package.json', async () => {
+        const backupPath = await backupAndRemove({ fileName: 'package.json#eslintConfig', filePath: project.file('package.json'), type: 'package.json' }, date);
+        assert.deepEqual(JSON.parse(fs.readFileSync(project.file('package.json'), 'utf8')), { name: 'app' });
+        assert.ok(JSON.parse(fs.readFileSync(backupPath, 'utf8')).eslintConfig);
+    });
+});
@@ -0,0 +1,53 @@
+const assert = require('node:assert/strict');
+const path = require('path');
+const { describe, it } = require('node:test');
+
+const { collectFindings } = require('../../lib/cli/findings');
+
+const cwd = path.resolve('/project');
+
+describe('collectFindings', () => {
+    const results = [{
+        filePath: path.join(cwd, 'src/service.js'),
+        source: 'class Service {}\nnew Repository();\n',
+        messages: [
+            { ruleId: 'student-linter/dip-violation', messageId: 'directInstantiation', severity: 2, message: 'Depend on an abstraction', line: 2, column: 1, endLine: 2, endColumn: 17 },
+            { ruleId: 'no-console', severity: 1, message: 'Unexpected console', line: 1, column: 1 },
+            { ruleId: null, severity: 2, message: 'Parsing error', line: 1, column: 1 },
+        ],
+    }];
+
+    it('keeps only the findings of the plugin, with relative paths and their family', () => {
+        const [finding, ...others] = collectFindings(results, { cwd });
+        assert.deepEqual(others, []);
+        assert.equal(finding.filePath, 'src/service.js');
+        assert.equal(finding.family, 'dip');
+        assert.equal(finding.familyLabel, 'DIP');
+        assert.equal(finding.severity, 'error');
+        assert.equal(finding.messageId, 'directInstantiation');
+        assert.deepEqual(finding.data, {});
+        assert.match(finding.fingerprint, /^[0-9a-f]{16}$/);
+    });
+
+    it('fingerprints by the reported line rather than its position', () => {
+        const moved = [{
+            ...results[0],
+            source: '\n\nclass Service {}\nnew Repository();\n',
+            messages: [{ ...results[0].messages[0], line: 4, endLine: 4 }],
+        }];
+        assert.equal(collectFindings(moved, { cwd })[0].fingerprint, collectFindings(results, { cwd })[0].fingerprint);
+    });
+
+    it('uses the recorded report when there is one', () => {
+        const recorded = { messageId: 'directInstantiation', data: { className: 'Repository' }, fingerprint: 'abcdef0123456789' };
+        const calls = [];
+        const takeReport = (...args) => {
+            calls.push(args);
+            return recorded;
+        };
+        const [finding] = collectFindings(results, { cwd, takeReport });
+        assert.deepEqual(calls, [[path.join(cwd, 'src/service.js'), 'student-linter/dip-violation', 2, 1]]);
+        assert.deepEqual(finding.data, { className: 'Repository' });
+        assert.equal(finding.fingerprint, 'abcdef0123456789');
+    });
+});
@@ -0,0 +1,66 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { toFlatConfig, renderFlatConfig, pluginPackageName } = require('../../lib/cli/flat-config');
+
+const legacyConfig = {
+    root: true,
+    env: { node: true, es6: true },
+    parserOptions: { ecmaVersion: 2020, sourceType: 'module' },
+    plugins: ['student-linter', 'import'],
+    extends: ['eslint:recommended', 'plugin:student-linter/solid'],
+    ignorePatterns: ['dist/'],
+    rules: { eqeqeq: 'error' },
+    overrides: [{ files: ['*.ts'], parser: '@typescript-eslint/parser', rules: { 'no-console': 'off' } }],
+};
+
+describe('pluginPackageName', () => {
+    it('expands plugin short names', () => {
+        assert.equal(pluginPackageName('react'), 'eslint-plugin-react');
+        assert.equal(pluginPackageName('eslint-plugin-import'), 'eslint-plugin-import');
+        assert.equal(pluginPackageName('@typescript-eslint'), '@typescript-eslint/eslint-plugin');
+        assert.equal(pluginPackageName('@acme/rules'), '@acme/eslint-plugin-rules');
+    });
+});
+
+describe('toFlatConfig', () => {
+    it('collects the modules the flat config requires', () => {
+        assert.deepEqual(Array.from(toFlatConfig(legacyConfig).requires), [
+            ['studentLinter', 'eslint-plugin-student-linter'],
+            ['{ FlatCompat }', '@eslint/eslintrc'],
+            ['importPlugin', 'eslint-plugin-import'],
+            ['globals', 'globals'],
+            ['typescriptEslintParser', '@typescript-eslint/parser'],
+        ]);
+    });
+});
+
+describe('renderFlatConfig', () => {
+    it('renders a CommonJS config', () => {
+        const source = renderFlatConfig(toFlatConfig(legacyConfig));
+        assert.match(source, /^const studentLinter = require\('eslint-plugin-student-linter'\);$/m);
+        assert.match(source, /^const compat = new FlatCompat\({ baseDirectory: __dirname }\);$/m);
+        assert.match(source, /^module\.exports = \[$/m);
+        assert.match(source, /ignores: \['dist\/'\]/);
+        assert.match(source, /\.\.\.compat\.extends\('eslint:recommended'\),\n {2}studentLinter\.configs\['flat\/solid'\],/);
+        assert.match(source, /'student-linter': studentLinter,\n {6}import: importPlugin/);
+        assert.match(source, /ecmaVersion: 2020,\n {6}sourceType: 'module',\n {6}globals: {\n {8}\.\.\.globals\.node\n {6}}/);
+        assert.match(source, /files: \['\*\*\/\*\.ts'\],\n {4}languageOptions: {\n {6}parser: typescriptEslintParser/);
+    });
+
+    it('renders an ES module config', () => {
+        const source = renderFlatConfig(toFlatConfig(legacyConfig), { esm: true });
+        assert.match(source, /^import path from 'path';\nimport { fileURLToPath } from 'url';\nimport studentLinter from 'eslint-plugin-student-linter';$/m);
+        assert.match(source, /baseDirectory: path\.dirname\(fileURLToPath\(import\.meta\.url\)\)/);
+        assert.match(source, /^export default \[$/m);
+        assert.ok(!source.includes('require('));
+    });
+
+    it('scopes the presets an override extends to its files', () => {
+        const source = renderFlatConfig(toFlatConfig({
+            overrides: [{ files: ['*.test.js'], extends: ['plugin:student-linter/recommended', 'plugin:jest/recommended'] }],
+        }));
+        assert.match(source, /\.\.\.compat\.extends\('plugin:jest\/recommended'\)\.map\(config => \({ \.\.\.config, files: \['\*\*\/\*\.test\.js'\] }\)\)/);
+        assert.match(source, /{ \.\.\.studentLinter\.configs\['flat\/recommended'\], files: \['\*\*\/\*\.test\.js'\] }/);
+    });
+});
@@ -0,0 +1,100 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { formatReport, REPORT_FORMATS } = require('../../lib/cli/formatters');
+const escapeMarkup = require('../../lib/cli/formatters/escape');
+
+function finding(overrides = {}) {
+    return {
+        ruleId: 'student-linter/srp-violation',
+        family: 'srp',
+        familyLabel: 'SRP',
+        severity: 'error',
+        message: 'Class <Service> has "too many" responsibilities | split it',
+        messageId: 'tooManyMethods',
+        data: { className: 'Service' },
+        fingerprint: '0123456789abcdef',
+        filePath: 'src/service.js',
+        line: 3,
+        column: 1,
+        endLine: 40,
+        endColumn: 2,
+        ...overrides,
+    };
+}
+
+const report = {
+    findings: [finding({ baselined: false }), finding({ line: 50, severity: 'warning', baselined: true })],
+    scorecard: {
+        fileCount: 2,
+        families: [
+            { id: 'srp', label: 'SRP', enabled: true, score: 50, errors: 1, warnings: 1, files: 1 },
+            { id: 'dip', label: 'DIP', enabled: false, score: null, errors: 0, warnings: 0, files: 0 },
+        ],
+        worstFiles: [],
+        otherFindings: 0,
+    },
+    errorCount: 1,
+    warningCount: 1,
+};
+
+describe('formatReport', () => {
+    it('rejects unknown formats', () => {
+        assert.deepEqual(REPORT_FORMATS, ['text', 'json', 'sarif', 'junit', 'html', 'markdown']);
+        assert.throws(() => formatReport('xml', report), /Unknown report format "xml"/);
+    });
+
+    it('renders json with a summary and the findings', () => {
+        const json = JSON.parse(formatReport('json', { ...report, fixedEntries: [{ ruleId: 'student-linter/ocp-violation' }] }));
+        assert.equal(json.tool, 'bro-lint');
+        assert.equal(json.summary.errorCount, 1);
+        assert.equal(json.findings.length, 2);
+        assert.deepEqual(json.fixedBaselineEntries, [{ ruleId: 'student-linter/ocp-violation' }]);
+    });
+
+    it('renders sarif results with fingerprints and baseline states', () => {
+        const sarif = JSON.parse(formatReport('sarif', report));
+        const [run] = sarif.runs;
+        assert.equal(sarif.version, '2.1.0');
+        assert.deepEqual(run.tool.driver.rules.map(rule => rule.id), ['student-linter/srp-violation']);
+        assert.deepEqual(run.results.map(result => [result.level, result.baselineState]), [['error', 'new'], ['warning', 'unchanged']]);
+        assert.deepEqual(run.results[0].partialFingerprints, { 'broLint/v1': '0123456789abcdef' });
+        assert.deepEqual(run.results[0].locations[0].physicalLocation.region, { startLine: 3, startColumn: 1, endLine: 40, endColumn: 2 });
+    });
+
+    it('renders junit with a failure per new finding and skips baselined ones', () => {
+        const xml = formatReport('junit', report);
+        assert.match(xml, /<testsuites name="bro-lint" tests="2" failures="1">/);
+        assert.match(xml, /<testsuite name="src\/service\.js" tests="2" failures="1" errors="0" skipped="1">/);
+        assert.match(xml, /<failure message="Class &lt;Service&gt; has &quot;too many&quot; responsibilities \| split it" type="error">/);
+        assert.match(xml, /<skipped message="In baseline: /);
+    });
+
+    it('renders html with escaped messages and the scores', () => {
+        const html = formatReport('html', report);
+        assert.match(html, /<td>SRP<\/td><td>50%<\/td>/);
+        assert.match(html, /<td>DIP<\/td><td>off<\/td>/);
+        assert.match(html, /Class &lt;Service&gt;/);
+        assert.match(html, /warning \(baseline\)/);
+        assert.ok(!html.includes('<Service>'));
+    });
+
+    it('renders markdown with table cells that keep their pipes', () => {
+        const markdown = formatReport('markdown', report);
+        assert.match(markdown, /\| SRP \| 50% \| 1 \| 1 \| 1 \|/);
+        assert.match(markdown, /\| DIP \| off \|/);
+        assert.match(markdown, /responsibilities \\\| split it/);
+        assert.match(markdown, /\| warning \(baseline\) \|/);
+        assert.match(formatReport('markdown', { ...report, findings: [] }), /No findings\.$/);
+    });
+
+    it('renders text as the scorecard', () => {
+        assert.match(formatReport('text', report), /SOLID \/ architecture scorecard \(2 files checked\)/);
+    });
+});
+
+describe('escapeMarkup', () => {
+    it('escapes the markup characters', () => {
+        assert.equal(escapeMarkup(`<a href="x">Tom & Jerry's</a>`), '&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;');
+    });
+});
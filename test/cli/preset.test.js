@@ -0,0 +1,26 @@
+const assert = require('node:assert/strict');
+const { after, describe, it } = require('node:test');
+
+const { loadPreset } = require('../../lib/cli/preset');
+const { createProject } = require('../helpers/project');
+
+const project = createProject({
+    'preset.json': JSON.stringify({ language: 'TypeScript', architecture: 'Clean Architecture' }),
+    'broken.json': '{',
+    'list.json': '[]',
+    'unknown.json': JSON.stringify({ language: 'TypeScript', framework: 'React' }),
+});
+after(() => project.remove());
+
+describe('loadPreset', () => {
+    it('reads the answers relative to the project', async () => {
+        assert.deepEqual(await loadPreset('./preset.json', project.root), { language: 'TypeScript', architecture: 'Clean Architecture' });
+    });
+
+    it('rejects missing, invalid and unknown presets', async () => {
+        await assert.rejects(loadPreset('missing.json', project.root), /Preset file not found/);
+        await assert.rejects(loadPreset('broken.json', project.root), /is not valid JSON/);
+        await assert.rejects(loadPreset('list.json', project.root), /must contain a JSON object/);
+        await assert.rejects(loadPreset('unknown.json', project.root), /Unknown key\(s\) in preset file .*: framework/);
+    });
+});
@@ -0,0 +1,41 @@
+const assert = require('node:assert/strict');
+const { after, describe, it } = require('node:test');
+
+const { detectProject } = require('../../lib/cli/project-detection');
+const { createProject } = require('../helpers/project');
+
+const server = createProject({
+    'package.json': JSON.stringify({ name: 'api', dependencies: { express: '^4.0.0' }, devDependencies: { typescript: '^5.0.0' } }),
+    'tsconfig.json': '{}',
+    'src/domain/user.ts': '',
+    'src/infrastructure/db.ts': '',
+    'src/repositories/user-repository.ts': '',
+    'node_modules/lib/repositories/index.js': '',
+});
+const client = createProject({
+    'package.json': JSON.stringify({ name: 'web', dependencies: { next: '^14.0.0', express: '^4.0.0' } }),
+});
+const empty = createProject({ 'package.json': '{' });
+after(() => [server, client, empty].forEach(project => project.remove()));
+
+describe('detectProject', () => {
+    it('guesses the answers with their evidence', async () => {
+        assert.deepEqual(await detectProject(server.root), {
+            languageType: { value: 'TypeScript', evidence: ['package.json depends on "typescript"', 'tsconfig.json found'] },
+            projectType: { value: 'Server-side', evidence: ['package.json depends on "express"'] },
+            architecture: { value: 'Clean Architecture', evidence: ['folder "src/domain/" found', 'folder "src/infrastructure/" found'] },
+        });
+    });
+
+    it('prefers React when a project also has server dependencies', async () => {
+        const guesses = await detectProject(client.root);
+        assert.equal(guesses.projectType.value, 'React');
+        assert.equal(guesses.architecture, undefined);
+    });
+
+    it('only guesses the language without usable information', async () => {
+        assert.deepEqual(await detectProject(empty.root), {
+            languageType: { value: 'JavaScript', evidence: ['no "typescript" dependency or tsconfig.json'] },
+        });
+    });
+});
@@ -0,0 +1,83 @@
+const assert = require('node:assert/strict');
+const path = require('path');
+const { describe, it } = require('node:test');
+
+const { buildScorecard, formatScorecard, formatScore, isRuleEnabled } = require('../../lib/cli/scorecard');
+
+const cwd = path.resolve('/project');
+
+function result(file, ...messages) {
+    return { filePath: path.join(cwd, file), messages };
+}
+
+function message(ruleId, severity = 2) {
+    return { ruleId, severity, line: 1, column: 1, message: 'finding' };
+}
+
+describe('buildScorecard', () => {
+    const results = [
+        result('src/a.js', message('student-linter/srp-violation'), message('student-linter/dip-violation', 1)),
+        result('src/b.js', message('student-linter/srp-violation'), message('no-console')),
+        result('src/c.js'),
+        result('src/d.js'),
+    ];
+
+    it('scores each family by the share of files without findings', () => {
+        const scorecard = buildScorecard(results, { cwd });
+        const byId = Object.fromEntries(scorecard.families.map(family => [family.id, family]));
+        assert.equal(scorecard.fileCount, 4);
+        assert.equal(byId.srp.score, 50);
+        assert.equal(byId.srp.errors, 2);
+        assert.equal(byId.dip.score, 75);
+        assert.equal(byId.dip.warnings, 1);
+        assert.equal(byId.naming.score, 100);
+        assert.equal(scorecard.otherFindings, 1);
+        assert.deepEqual(scorecard.worstFiles, [
+            { filePath: 'src/a.js', findings: 2, families: { srp: 1, dip: 1 } },
+            { filePath: 'src/b.js', findings: 1, families: { srp: 1 } },
+        ]);
+    });
+
+    it('marks families without an enabled rule as disabled', () => {
+        const scorecard = buildScorecard(results, { cwd, enabledRules: ['student-linter/srp-violation'] });
+        const dip = scorecard.families.find(family => family.id === 'dip');
+        assert.equal(dip.enabled, false);
+        assert.equal(dip.score, null);
+    });
+
+    it('leaves the score empty when no files were checked', () => {
+        const scorecard = buildScorecard([], { cwd });
+        assert.ok(scorecard.families.every(family => family.score === null));
+        assert.match(formatScorecard(scorecard), /SRP\s+n\/a {2}no findings/);
+    });
+});
+
+describe('formatScore', () => {
+    it('renders the score, n/a or off', () => {
+        assert.equal(formatScore({ enabled: true, score: 85 }), '85%');
+        assert.equal(formatScore({ enabled: true, score: null }), 'n/a');
+        assert.equal(formatScore({ enabled: false, score: null }), 'off');
+    });
+});
+
+describe('formatScorecard', () => {
+    it('lists the families, the worst files and the findings of other rules', () => {
+        const text = formatScorecard(buildScorecard([
+            result('src/a.js', message('student-linter/srp-violation'), message('no-console')),
+        ], { cwd, enabledRules: ['student-linter/srp-violation'] }));
+        assert.match(text, /SOLID \/ architecture scorecard \(1 files checked\)/);
+        assert.match(text, /SRP\s+0% {2}1 errors, 0 warnings in 1 files/);
+        assert.match(text, /DIP\s+off/);
+        assert.match(text, /src\/a\.js {2}1 findings \(SRP 1\)/);
+        assert.match(text, /1 findings from other rules/);
+    });
+});
+
+describe('isRuleEnabled', () => {
+    it('treats off and 0 as disabled', () => {
+        assert.equal(isRuleEnabled('off'), false);
+        assert.equal(isRuleEnabled([0, {}]), false);
+        assert.equal(isRuleEnabled(['warn', {}]), true);
+        assert.equal(isRuleEnabled(2), true);
+    });
+});
@@ -0,0 +1,33 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Writes a throwaway project to the temp folder, for rules and helpers that
+ * read other files of the project.
+ *
+ * @param {Object<string, string>} files - File contents by path relative to the project root.
+ * A `package.json` is added unless one is given.
+ * @returns {{root: string, file: Function, remove: Function}} The project root, `file(relativePath)`
+ * for absolute paths in it and `remove()` to delete it.
+ */
+function createProject(files) {
+  const root = fs.mkdtempSync(path.join(fs.realpathSync(os.tmpdir()), 'student-linter-'));
+  const contents = { 'package.json': '{ "name": "fixture" }', ...files };
+
+  Object.entries(contents).forEach(([relativePath, content]) => {
+    const filePath = path.join(root, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  });
+
+  return {
+    root,
+    file: relativePath => path.join(root, relativePath),
+    remove: () => fs.rmSync(root, { recursive: true, force: true })
+  };
+}
+
+module.exports = { createProject };
@@ -0,0 +1,22 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const { RuleTester } = require('eslint');
+
+// RuleTester reports through the globals of mocha by default
+RuleTester.describe = describe;
+RuleTester.it = it;
+RuleTester.itOnly = it.only;
+
+/**
+ * @param {Object} [config] - Extra configuration, e.g. `parserOptions`.
+ * @returns {RuleTester} A tester parsing modules with the latest syntax.
+ */
+function createRuleTester(config = {}) {
+  return new RuleTester({
+    ...config,
+    parserOptions: { ecmaVersion: 2022, sourceType: 'module', ...config.parserOptions }
+  });
+}
+
+module.exports = { createRuleTester };
@@ -0,0 +1,30 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { Linter } = require('eslint');
+
+const plugin = require('../lib');
+
+describe('student-linter plugin', () => {
+  Object.entries(plugin.configs).forEach(([configName, config]) => {
+    it(`only references rules of the plugin in ${configName}`, () => {
+      Object.keys(config.rules).forEach(ruleId => {
+        const [prefix, ruleName] = ruleId.split('/');
+        assert.equal(prefix, 'student-linter');
+        assert.ok(plugin.rules[ruleName], `unknown rule ${ruleId}`);
+      });
+    });
+  });
+
+  Object.keys(plugin.configs).filter(configName => configName.startsWith('flat/')).forEach(configName => {
+    it(`accepts the rule options of ${configName}`, () => {
+      const linter = new Linter({ configType: 'flat' });
+      const config = [
+        { languageOptions: { ecmaVersion: 2022, sourceType: 'module' } },
+        plugin.configs[configName]
+      ];
+      assert.doesNotThrow(() => linter.verify('const value = 1;\n', config, 'src/value.js'));
+    });
+  });
+});
@@ -0,0 +1,141 @@
+'use strict';
+
+const { after } = require('node:test');
+
+const rule = require('../../lib/rules/clean-architecture');
+const { createRuleTester } = require('../helpers/rule-tester');
+const { createProject } = require('../helpers/project');
+
+const project = createProject({
+  'tsconfig.json': JSON.stringify({ compilerOptions: { baseUrl: '.', paths: { '@/*': ['src/*'] } } }),
+  'src/domain/order.js': "import { placeOrder } from '../application/place-order';\nexport class Order {}\n",
+  'src/domain/user.js': 'export class User {}\n',
+  'src/application/place-order.js': "import { Order } from '../domain/order';\nexport function placeOrder() {}\n",
+  'src/application/create-user.js': "import { User } from '../domain/user';\nexport function createUser() {}\n",
+  'src/adapters/user-controller.js': 'export class UserController {}\n',
+  'src/infrastructure/db.js': 'export const db = {};\n',
+  'src/app/ui/button.js': 'export const Button = {};\n',
+  'src/app/core/model.js': 'export const model = {};\n'
+});
+after(() => project.remove());
+
+// Layers are matched against paths relative to where ESLint runs
+process.chdir(project.root);
+
+const ruleTester = createRuleTester();
+
+ruleTester.run('clean-architecture', rule, {
+  valid: [
+    {
+      code: "import { User } from '../domain/user';",
+      filename: project.file('src/application/create-user.js')
+    },
+    // Guard clauses on injected dependencies are not business logic
+    {
+      code: "export class Db { constructor(pool, logger) { if (!pool) throw new Error('pool'); if (!logger) throw new Error('logger'); } }",
+      filename: project.file('src/infrastructure/db.js')
+    },
+    {
+      code: "import { Order } from '../domain/order';",
+      filename: project.file('src/application/place-order.js'),
+      options: [{ checkCircularDependencies: false }]
+    },
+    {
+      code: "import { model } from '../core/model';",
+      filename: project.file('src/app/ui/view.js'),
+      options: [{
+        layers: { ui: { patterns: ['**/app/ui/**'] }, core: { patterns: ['**/app/core/**'] } },
+        allowedEdges: { ui: ['core'] }
+      }]
+    }
+  ],
+  invalid: [
+    {
+      code: "import { createUser } from '../application/create-user';",
+      filename: project.file('src/domain/user.js'),
+      errors: [
+        { messageId: 'dependencyRuleViolation' },
+        { messageId: 'entityDependsOnUseCase' },
+        { messageId: 'circularDependency' }
+      ]
+    },
+    // tsconfig `paths` and `pathAliases` resolve to the layer of the target file
+    {
+      code: "import { UserController } from '@/adapters/user-controller';",
+      filename: project.file('src/application/create-user.js'),
+      errors: [{ messageId: 'dependencyRuleViolation' }]
+    },
+    {
+      code: "import { UserController } from '~app/adapters/user-controller';",
+      filename: project.file('src/application/create-user.js'),
+      options: [{ pathAliases: { '~app/': 'src/' } }],
+      errors: [{ messageId: 'dependencyRuleViolation' }]
+    },
+    {
+      code: "import { Order } from '../domain/order';",
+      filename: project.file('src/application/place-order.js'),
+      errors: [{
+        messageId: 'circularDependency',
+        data: {
+          layer1: 'useCases',
+          layer2: 'entities',
+          chain: 'src/application/place-order.js (useCases) -> src/domain/order.js (entities) -> src/application/place-order.js (useCases)'
+        }
+      }]
+    },
+    {
+      code: [
+        "import { User } from '../domain/user';",
+        "import { createUser } from '../application/create-user';",
+        "import { UserController } from '../adapters/user-controller';"
+      ].join('\n'),
+      filename: project.file('src/infrastructure/server.js'),
+      errors: [
+        { messageId: 'layerMixing' },
+        { messageId: 'missingInterface', line: 1 },
+        { messageId: 'missingInterface', line: 2 }
+      ]
+    },
+    // Composition roots wire every layer together: no layer mixing or business logic
+    {
+      code: [
+        "import { User } from '../domain/user';",
+        "import { createUser } from '../application/create-user';",
+        "import { UserController } from '../adapters/user-controller';",
+        'export class App { constructor(v) { if (!v) throw 1; if (v < 0) throw 2; if (v > 9) throw 3; } }'
+      ].join('\n'),
+      filename: project.file('src/infrastructure/main.js'),
+      errors: [{ messageId: 'missingInterface', line: 1 }, { messageId: 'missingInterface', line: 2 }]
+    },
+    {
+      code: 'export class Db { constructor(v) { if (!v) throw 1; if (v < 0) throw 2; if (v > 9) throw 3; } }',
+      filename: project.file('src/infrastructure/db.js'),
+      errors: [{
+        messageId: 'businessLogicInFramework',
+        data: { businessLogic: 'Db.constructor (entity construction with 3 invariant checks)' }
+      }]
+    },
+    {
+      code: 'export function total(a, b, c) { return a * b + c * 2 - a / b + Math.round(c); }',
+      filename: project.file('src/infrastructure/db.js'),
+      errors: [{ messageId: 'businessLogicInFramework', data: { businessLogic: 'total (7 calculations)' } }]
+    },
+    {
+      code: "import { Button } from '../ui/button';",
+      filename: project.file('src/app/core/model.js'),
+      options: [{
+        layers: { ui: { patterns: ['**/app/ui/**'] }, core: { patterns: ['**/app/core/**'] } },
+        allowedEdges: { ui: ['core'] }
+      }],
+      errors: [{ messageId: 'edgeNotAllowed', data: { currentLayer: 'core', targetLayer: 'ui', allowedLayers: 'none' } }]
+    },
+    {
+      code: "import express from 'express';",
+      filename: project.file('src/app/core/model.js'),
+      options: [{
+        layers: { core: { patterns: ['**/app/core/**'], forbiddenPackages: ['express'] } }
+      }],
+      errors: [{ messageId: 'forbiddenPackage', data: { layer: 'core', packageName: 'express' } }]
+    }
+  ]
+});
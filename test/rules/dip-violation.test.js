@@ -0,0 +1,113 @@
+'use strict';
+
+const { after } = require('node:test');
+
+const rule = require('../../lib/rules/dip-violation');
+const { createRuleTester } = require('../helpers/rule-tester');
+const { createProject } = require('../helpers/project');
+
+const project = createProject({
+  'tsconfig.json': JSON.stringify({ compilerOptions: { baseUrl: '.', paths: { '@/*': ['src/*'] } } }),
+  'src/services/impl/UserServiceImpl.js': 'export class UserServiceImpl {}\n',
+  'src/services/interfaces/UserService.js': 'export class IUserService {}\n',
+  'src/data/impl/AuditLog.js': 'export class AuditLog {}\n'
+});
+after(() => project.remove());
+
+// Patterns are matched against paths relative to where ESLint runs
+process.chdir(project.root);
+
+const filename = project.file('src/app/controller.js');
+const importPath = '../services/impl/UserServiceImpl';
+const suggestedPath = '../services/interfaces/UserService';
+
+function suggestion(output) {
+  return {
+    messageId: 'suggestAbstractionAndRename',
+    data: { importPath, suggestedPath, className: 'UserServiceImpl', interfaceName: 'IUserService' },
+    output
+  };
+}
+
+createRuleTester().run('dip-violation', rule, {
+  valid: [
+    { code: "import { IUserService } from '../services/interfaces/UserService';", filename },
+    { code: "import express from 'express';", filename },
+    // Composition roots may import implementations
+    { code: `import { UserServiceImpl } from '${importPath}';`, filename: project.file('src/di-container.js') }
+  ],
+  invalid: [
+    {
+      code: `import { UserServiceImpl } from '${importPath}';\nconst service = new UserServiceImpl();`,
+      filename,
+      errors: [{
+        messageId: 'directConcreteDependency',
+        suggestions: [suggestion(`import { IUserService } from '${suggestedPath}';\nconst service = new IUserService();`)]
+      }]
+    },
+    // Shorthand properties and exports keep the name other modules see
+    {
+      code: `import { UserServiceImpl } from '${importPath}';\nconst deps = { UserServiceImpl };\nexport { UserServiceImpl };`,
+      filename,
+      errors: [{
+        messageId: 'directConcreteDependency',
+        suggestions: [suggestion(
+          `import { IUserService } from '${suggestedPath}';\nconst deps = { UserServiceImpl: IUserService };\nexport { IUserService as UserServiceImpl };`
+        )]
+      }]
+    },
+    {
+      code: `import { UserServiceImpl } from '${importPath}';\nexport { UserServiceImpl as Service };`,
+      filename,
+      errors: [{
+        messageId: 'directConcreteDependency',
+        suggestions: [suggestion(`import { IUserService } from '${suggestedPath}';\nexport { IUserService as Service };`)]
+      }]
+    },
+    // An alias keeps its local name
+    {
+      code: `import { UserServiceImpl as Service } from '${importPath}';\nnew Service();`,
+      filename,
+      errors: [{
+        messageId: 'directConcreteDependency',
+        suggestions: [suggestion(`import { IUserService as Service } from '${suggestedPath}';\nnew Service();`)]
+      }]
+    },
+    {
+      code: `const { UserServiceImpl } = require('${importPath}');`,
+      filename,
+      errors: [{
+        messageId: 'directConcreteDependency',
+        suggestions: [suggestion(`const { IUserService } = require('${suggestedPath}');`)]
+      }]
+    },
+    // tsconfig `paths` put the import in the concrete folder
+    {
+      code: "import { UserServiceImpl } from '@/services/impl/UserServiceImpl';",
+      filename,
+      errors: [{
+        messageId: 'directConcreteDependency',
+        suggestions: [{
+          messageId: 'suggestAbstractionAndRename',
+          output: "import { IUserService } from '@/services/interfaces/UserService';"
+        }]
+      }]
+    },
+    {
+      code: "import { AuditLog } from '../data/impl/AuditLog';",
+      filename,
+      errors: [{ messageId: 'directConcreteDependency', suggestions: [] }]
+    },
+    {
+      code: "import { AuditLog } from '../data/impl/AuditLog';",
+      filename,
+      options: [{ strictMode: true }],
+      errors: [{ messageId: 'noAbstractionFound' }]
+    },
+    {
+      code: "import { OrderService } from '../services/OrderService';",
+      filename,
+      errors: [{ messageId: 'concreteClassImport', data: { className: 'OrderService' } }]
+    }
+  ]
+});
@@ -0,0 +1,94 @@
+'use strict';
+
+const { after } = require('node:test');
+
+const rule = require('../../lib/rules/isp-integration-segrigation');
+const { createRuleTester } = require('../helpers/rule-tester');
+const { createProject } = require('../helpers/project');
+
+const repositorySource = [
+  'class UserRepository {',
+  '  find() { return 1; }',
+  '  save() { return 1; }',
+  '  remove() { return 1; }',
+  '  count() { return 1; }',
+  '  archive() { return 1; }',
+  '}',
+  'module.exports = UserRepository;'
+].join('\n');
+
+const project = createProject({
+  'src/UserRepository.js': repositorySource,
+  // Injected through the constructor and destructured
+  'src/a.js': [
+    "const UserRepository = require('./UserRepository');",
+    'class Service {',
+    '  constructor(userRepository) { this.repo = userRepository; }',
+    '  run() { return this.repo.find(); }',
+    '}',
+    'const { save } = new UserRepository();',
+    'module.exports = Service;'
+  ].join('\n'),
+  // Imported under another name
+  'src/b.js': [
+    "const Repo = require('./UserRepository');",
+    'function report() { const repo = new Repo(); repo.count(); repo.archive(); }',
+    'module.exports = report;'
+  ].join('\n')
+});
+after(() => project.remove());
+
+const filename = project.file('src/UserRepository.js');
+
+createRuleTester().run('isp-integration-segrigation', rule, {
+  valid: [
+    // Usage through `new`, `this` and destructuring in the same file
+    {
+      code: [
+        'class Cache {',
+        '  get() { return this.load(); }',
+        '  load() { return 1; }',
+        '  set() { return 1; }',
+        '  clear() { return 1; }',
+        '  size() { return 1; }',
+        '}',
+        'const cache = new Cache();',
+        'cache.get();',
+        'const { set, clear } = cache;',
+        'cache.size();'
+      ].join('\n'),
+      filename: project.file('src/cache.js')
+    },
+    // Three of five methods are used by the files importing it
+    { code: repositorySource, filename, options: [{ crossFileUsage: true, maxUnusedMethods: 1 }] }
+  ],
+  invalid: [
+    {
+      code: repositorySource,
+      filename,
+      options: [{ maxUnusedMethods: 4 }],
+      errors: [{
+        message: "ISP Violation: Class 'UserRepository' has 5 unused methods: find (0 uses), save (0 uses), remove (0 uses), count (0 uses), archive (0 uses)"
+      }]
+    },
+    {
+      code: repositorySource,
+      filename,
+      options: [{ maxUnusedMethods: 4, clientUsage: { minMethods: 2 } }],
+      errors: [
+        {
+          message: "ISP Violation: Class 'UserRepository' has 5 unused methods: find (0 uses), save (0 uses), remove (0 uses), count (0 uses), archive (0 uses)"
+        },
+        {
+          message: "ISP Violation: 'src/a.js' uses only 2 of 5 methods of Class 'UserRepository' (find, save). Depend on a smaller interface with just these methods."
+        },
+        {
+          message: "ISP Violation: 'src/b.js' uses only 2 of 5 methods of Class 'UserRepository' (count, archive). Depend on a smaller interface with just these methods."
+        },
+        {
+          message: "ISP Violation: Split Class 'UserRepository' by its clients into: { find, save } for src/a.js; { count, archive } for src/b.js; { remove } (no client)."
+        }
+      ]
+    }
+  ]
+});
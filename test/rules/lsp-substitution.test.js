@@ -0,0 +1,148 @@
+'use strict';
+
+const { after } = require('node:test');
+
+const rule = require('../../lib/rules/lsp-substitution');
+const { createRuleTester } = require('../helpers/rule-tester');
+const { createProject } = require('../helpers/project');
+
+const project = createProject({
+  'src/bird.js': 'export class Bird {\n  fly(height) { return height; }\n}\n',
+  'src/animals.js': "export { Bird as Animal } from './bird';\n",
+  'src/legacy-bird.js': "class Bird {\n  fly(height) { return height; }\n}\nmodule.exports = { Bird };\n"
+});
+after(() => project.remove());
+
+const filename = project.file('src/penguin.js');
+const bird = 'class Bird { fly(height) { return height; } }';
+
+createRuleTester().run('lsp-substitution', rule, {
+  valid: [
+    { code: `${bird}\nclass Eagle extends Bird { fly(height) { return height * 2; } }`, filename },
+    // An abstract base method has no behaviour to keep
+    {
+      code: "class Shape { area() { throw new Error('not implemented'); } }\nclass Square extends Shape { area() { return 4; } }",
+      filename
+    },
+    // Exceptions documented on the base method are part of its contract
+    {
+      code: [
+        'class Account {',
+        '  /** @throws {RangeError} */',
+        '  withdraw(amount) { return amount; }',
+        '}',
+        "class Savings extends Account { withdraw(amount) { if (amount > 10) throw new RangeError('limit'); return amount; } }"
+      ].join('\n'),
+      filename
+    },
+    {
+      code: `${bird}\nclass Penguin extends Bird { async fly(height) { return height; } }`,
+      filename,
+      options: [{ checkAsync: false }]
+    },
+    {
+      code: `${bird}\nclass Penguin extends Bird { fly(height) { throw new TypeError('cannot fly'); } }`,
+      filename,
+      options: [{ allowedExceptionTypes: ['TypeError'] }]
+    },
+    {
+      code: `${bird}\nclass LegacyPenguin extends Bird { async fly(height) { return height; } }`,
+      filename,
+      options: [{ ignoreClasses: ['Legacy*'] }]
+    },
+    {
+      code: `${bird}\nclass Penguin extends Bird { async fly(height) { return height; } }`,
+      filename,
+      options: [{ ignoreMethods: ['Penguin.fly'] }]
+    }
+  ],
+  invalid: [
+    // Reported once, not again as a contract violation of the class
+    {
+      code: `${bird}\nclass Penguin extends Bird { fly(height) { throw new Error('not implemented'); } }`,
+      filename,
+      errors: [{ messageId: 'notImplemented', data: { methodName: 'fly', baseName: 'Bird.fly' } }]
+    },
+    {
+      code: `${bird}\nclass Penguin extends Bird { async fly(height) { return height; } }`,
+      filename,
+      errors: [{
+        messageId: 'asyncMismatch',
+        data: { methodName: 'fly', overrideKind: 'async', baseName: 'Bird.fly', baseKind: 'synchronous' }
+      }]
+    },
+    {
+      code: `${bird}\nclass Penguin extends Bird { fly(height, speed) { return height + speed; } }`,
+      filename,
+      errors: [{
+        messageId: 'moreRequiredParameters',
+        data: { methodName: 'fly', overrideRequired: 2, baseName: 'Bird.fly', baseRequired: 1 }
+      }]
+    },
+    {
+      code: 'class Logger { log(...messages) { return messages; } }\nclass FileLogger extends Logger { log(message) { return message; } }',
+      filename,
+      errors: [
+        { messageId: 'droppedRestParameter', data: { methodName: 'log', baseName: 'Logger.log' } },
+        { messageId: 'moreRequiredParameters', data: { methodName: 'log', overrideRequired: 1, baseName: 'Logger.log', baseRequired: 0 } }
+      ]
+    },
+    {
+      code: `${bird}\nclass Penguin extends Bird { get fly() { return 0; } }`,
+      filename,
+      errors: [{
+        messageId: 'memberKindMismatch',
+        data: { methodName: 'fly', overrideKind: 'getter', baseName: 'Bird.fly', baseKind: 'method' }
+      }]
+    },
+    {
+      code: 'class Repo { find() { return []; } }\nclass UserRepo extends Repo { find() { return null; } }',
+      filename,
+      errors: [{ messageId: 'weakerPostconditions', data: { methodName: 'find' } }]
+    },
+    {
+      code: 'class Repo { find() { return []; } }\nclass UserRepo extends Repo { find() { return {}; } }',
+      filename,
+      errors: [{
+        messageId: 'returnShapeMismatch',
+        data: { methodName: 'find', overrideShapes: 'an object', baseName: 'Repo.find', baseShapes: 'an array' }
+      }]
+    },
+    // A documented `@returns` type is the contract
+    {
+      code: [
+        'class User {',
+        '  /** @returns {string} */',
+        '  label() { return this.name; }',
+        '}',
+        'class Admin extends User { label() { return 42; } }'
+      ].join('\n'),
+      filename,
+      errors: [{
+        messageId: 'returnShapeMismatch',
+        data: { methodName: 'label', overrideShapes: 'a number', baseName: 'User.label', baseShapes: 'a string' }
+      }]
+    },
+    {
+      code: `${bird}\nclass Penguin extends Bird { fly(height) { throw new TypeError('cannot fly'); } }`,
+      filename,
+      errors: [{ messageId: 'classContractViolation' }, { messageId: 'undeclaredException' }]
+    },
+    // Base classes imported, re-exported or required from other files
+    {
+      code: "import { Bird } from './bird';\nclass Penguin extends Bird { async fly(height) { return height; } }",
+      filename,
+      errors: [{ messageId: 'asyncMismatch', data: { methodName: 'fly', overrideKind: 'async', baseName: 'Bird.fly', baseKind: 'synchronous' } }]
+    },
+    {
+      code: "import { Animal } from './animals';\nclass Penguin extends Animal { async fly(height) { return height; } }",
+      filename,
+      errors: [{ messageId: 'asyncMismatch', data: { methodName: 'fly', overrideKind: 'async', baseName: 'Bird.fly', baseKind: 'synchronous' } }]
+    },
+    {
+      code: "const { Bird } = require('./legacy-bird');\nclass Penguin extends Bird { async fly(height) { return height; } }",
+      filename,
+      errors: [{ messageId: 'asyncMismatch', data: { methodName: 'fly', overrideKind: 'async', baseName: 'Bird.fly', baseKind: 'synchronous' } }]
+    }
+  ]
+});
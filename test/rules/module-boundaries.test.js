@@ -0,0 +1,72 @@
+'use strict';
+
+const { after } = require('node:test');
+
+const rule = require('../../lib/rules/module-boundaries');
+const { createRuleTester } = require('../helpers/rule-tester');
+const { createProject } = require('../helpers/project');
+
+const project = createProject({
+  'tsconfig.json': JSON.stringify({ compilerOptions: { baseUrl: '.', paths: { '@modules/*': ['src/modules/*'] } } }),
+  'src/modules/billing/index.js': "export * from './invoice';\n",
+  'src/modules/billing/invoice.js': 'export class Invoice {}\n',
+  'src/modules/catalog/public-api.js': "export * from './product';\n",
+  'src/modules/catalog/product.js': 'export class Product {}\n',
+  'src/modules/reports/sales.js': 'export const sales = [];\n',
+  'src/modules/shared/money.js': 'export class Money {}\n',
+  'src/modules/orders/order.js': 'export class Order {}\n'
+});
+after(() => project.remove());
+
+const filename = project.file('src/modules/orders/place-order.js');
+
+function deepImport(importPath, toModule, suggestedPath) {
+  return { messageId: 'deepImport', data: { fromModule: 'orders', toModule, importPath, suggestedPath } };
+}
+
+createRuleTester().run('module-boundaries', rule, {
+  valid: [
+    { code: "import { Invoice } from '../billing';", filename },
+    { code: "import { Product } from '../catalog/public-api';", filename },
+    { code: "import { Order } from './order';", filename },
+    { code: "import { Money } from '../shared/money';", filename },
+    { code: "import { Invoice } from '@modules/billing';", filename },
+    // Files outside the modules directory are not checked
+    { code: "import { Invoice } from '../modules/billing/invoice';", filename: project.file('src/app/main.js') }
+  ],
+  invalid: [
+    {
+      code: "import { Invoice } from '../billing/invoice';",
+      filename,
+      errors: [deepImport('../billing/invoice', 'billing', '../billing')]
+    },
+    {
+      code: "import { Product } from '../catalog/product';",
+      filename,
+      errors: [deepImport('../catalog/product', 'catalog', '../catalog/public-api')]
+    },
+    // The suggestion keeps the alias when it still resolves to the entry
+    {
+      code: "import { Invoice } from '@modules/billing/invoice';",
+      filename,
+      errors: [deepImport('@modules/billing/invoice', 'billing', '@modules/billing')]
+    },
+    {
+      code: "export { Invoice } from '../billing/invoice';\nconst lazy = () => import('../billing/invoice');\nconst { Invoice: Bill } = require('../billing/invoice');",
+      filename,
+      errors: [
+        deepImport('../billing/invoice', 'billing', '../billing'),
+        deepImport('../billing/invoice', 'billing', '../billing'),
+        deepImport('../billing/invoice', 'billing', '../billing')
+      ]
+    },
+    {
+      code: "import { sales } from '../reports/sales';",
+      filename,
+      errors: [{
+        messageId: 'noPublicEntry',
+        data: { fromModule: 'orders', toModule: 'reports', importPath: '../reports/sales', publicEntries: 'index, public-api' }
+      }]
+    }
+  ]
+});
@@ -0,0 +1,126 @@
+'use strict';
+
+const { after } = require('node:test');
+
+const rule = require('../../lib/rules/repository-architecture');
+const { createRuleTester } = require('../helpers/rule-tester');
+const { createProject } = require('../helpers/project');
+
+const project = createProject({
+  'src/domain/UserRepository.js': [
+    'export class UserRepository {',
+    "  findById(id) { throw new Error('abstract'); }",
+    "  save(user) { throw new Error('abstract'); }",
+    '}'
+  ].join('\n'),
+  'src/domain/BaseRepository.js': [
+    'class BaseRepository {',
+    "  count() { throw new Error('abstract'); }",
+    "  exists(id) { throw new Error('abstract'); }",
+    '}',
+    'module.exports = { BaseRepository };'
+  ].join('\n')
+});
+after(() => project.remove());
+
+const implementationFile = project.file('src/infrastructure/MongoUserRepository.js');
+const options = [{ repositoryPattern: 'class' }];
+const importBase = "import { UserRepository } from '../domain/UserRepository';";
+
+createRuleTester().run('repository-architecture', rule, {
+  valid: [
+    {
+      code: `${importBase}\nexport class MongoUserRepository extends UserRepository {\n  findById(id) { return id; }\n  save(user) { return user; }\n}`,
+      filename: implementationFile,
+      options
+    },
+    // `{type}` is optional and `count`/`exists` are allowed by default
+    {
+      code: "const { BaseRepository } = require('../domain/BaseRepository');\nclass UserRepository extends BaseRepository {\n  count() { return 0; }\n  exists(id) { return false; }\n}",
+      filename: project.file('src/infrastructure/UserRepository.js'),
+      options
+    },
+    {
+      code: `${importBase}\nexport class MongoUserRepository extends UserRepository {\n  findById(id) { return id; }\n  save(user) { return user; }\n}`,
+      filename: project.file('src/adapters/MongoUserRepository.js'),
+      options: [{ repositoryPattern: 'class', directories: { implementations: ['**/adapters/**'] } }]
+    }
+  ],
+  invalid: [
+    {
+      code: `${importBase}\nexport class MongoUserRepository extends UserRepository {\n  findById(id) { return id; }\n}`,
+      filename: implementationFile,
+      options,
+      errors: [{
+        messageId: 'missingMethod',
+        data: { className: 'MongoUserRepository', methodName: 'save', contractName: 'UserRepository' }
+      }]
+    },
+    // Not declared by the abstraction: reported once, as extraMethod
+    {
+      code: `${importBase}\nexport class MongoUserRepository extends UserRepository {\n  findById(id) { return id; }\n  save(user) { return user; }\n  purge() {}\n}`,
+      filename: implementationFile,
+      options,
+      errors: [{
+        messageId: 'extraMethod',
+        data: { className: 'MongoUserRepository', methodName: 'purge', contractNames: "'UserRepository'" }
+      }]
+    },
+    {
+      code: `${importBase}\nexport class MongoUserRepository extends UserRepository {\n  findById(id, options) { return id; }\n  save(user) { return user; }\n}`,
+      filename: implementationFile,
+      options,
+      errors: [{
+        messageId: 'parameterMismatch',
+        data: { className: 'MongoUserRepository', methodName: 'findById', actual: 2, contractName: 'UserRepository', expected: 1 }
+      }]
+    },
+    {
+      code: 'class CachedUserRepository extends Cache {\n  findById(id) { return id; }\n  purge() {}\n}',
+      filename: project.file('src/infrastructure/CachedUserRepository.js'),
+      options,
+      errors: [{
+        messageId: 'methodNotAllowed',
+        data: { methodName: 'purge', allowedMethods: 'find, findById, get, list, exists, count, create, save, add, update, delete, remove' }
+      }]
+    },
+    {
+      code: `${importBase}\nexport class UserRepo extends UserRepository {\n  findById(id) { return id; }\n  save(user) { return user; }\n}`,
+      filename: project.file('src/infrastructure/UserRepo.js'),
+      options,
+      errors: [{
+        messageId: 'invalidName',
+        data: { kind: 'implementation', name: 'UserRepo', template: '{type}{name}Repository' }
+      }]
+    },
+    {
+      code: `${importBase}\nexport class MongoUserRepository extends UserRepository {\n  findById(id) { return id; }\n  save(user) { return user; }\n}`,
+      filename: project.file('src/services/MongoUserRepository.js'),
+      options,
+      errors: [{
+        messageId: 'implementationOutsideDirectory',
+        data: { name: 'MongoUserRepository', directories: '**/infrastructure/**, **/data/**' }
+      }]
+    },
+    {
+      code: "export class OrderRepository {\n  findById(id) { throw new Error('abstract'); }\n}",
+      filename: project.file('src/services/OrderRepository.js'),
+      options,
+      errors: [{
+        messageId: 'abstractionOutsideDirectory',
+        data: { kind: 'base class', name: 'OrderRepository', directories: '**/domain/**, **/core/**' }
+      }]
+    },
+    {
+      code: 'export class MongoUserRepository {\n  findById(id) { return id; }\n}',
+      filename: implementationFile,
+      options,
+      errors: [{ messageId: 'missingBaseClass' }]
+    },
+    {
+      code: "import mongoose from 'mongoose';",
+      filename: project.file('src/domain/User.js'),
+      errors: [{ messageId: 'domainImportsInfrastructure' }]
+    }
+  ]
+});
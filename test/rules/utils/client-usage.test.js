@@ -0,0 +1,56 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { summarizeClients, proposeSplit } = require('../../../lib/rules/utils/client-usage');
+
+const methods = ['find', 'save', 'remove', 'count', 'export'];
+
+function usage(...names) {
+  return new Map(names.map(name => [name, 1]));
+}
+
+describe('summarizeClients', () => {
+  it('lists the methods each client uses and the share of the interface', () => {
+    const clients = summarizeClients(methods, new Map([
+      ['a.js', usage('find', 'save', 'other')],
+      ['b.js', usage('count')],
+      ['c.js', usage('unrelated')]
+    ]));
+    assert.deepEqual(clients, [
+      { client: 'a.js', used: ['find', 'save'], ratio: 0.4 },
+      { client: 'b.js', used: ['count'], ratio: 0.2 }
+    ]);
+  });
+});
+
+describe('proposeSplit', () => {
+  it('groups methods used by the same clients and keeps unused methods apart', () => {
+    const clients = [
+      { client: 'b.js', used: ['count', 'export'] },
+      { client: 'a.js', used: ['find', 'save'] },
+      { client: 'c.js', used: ['find', 'save'] }
+    ];
+    assert.deepEqual(proposeSplit(methods, clients), [
+      { methods: ['find', 'save'], clients: ['a.js', 'c.js'] },
+      { methods: ['count', 'export'], clients: ['b.js'] },
+      { methods: ['remove'], clients: [] }
+    ]);
+  });
+
+  it('merges groups only when their clients overlap enough', () => {
+    const clients = [
+      { client: 'a.js', used: ['find', 'save'] },
+      { client: 'b.js', used: ['find', 'count'] }
+    ];
+    assert.deepEqual(proposeSplit(['find', 'save', 'count'], clients, { similarity: 0.6 }), [
+      { methods: ['find'], clients: ['a.js', 'b.js'] },
+      { methods: ['save'], clients: ['a.js'] },
+      { methods: ['count'], clients: ['b.js'] }
+    ]);
+    assert.deepEqual(proposeSplit(['find', 'save', 'count'], clients, { similarity: 0.5 }), [
+      { methods: ['find', 'save', 'count'], clients: ['a.js', 'b.js'] }
+    ]);
+  });
+});
@@ -0,0 +1,83 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const path = require('path');
+const { after, describe, it } = require('node:test');
+
+const { parseFile, analyzeFile, resolveDeclaration } = require('../../../lib/rules/utils/declarations');
+const { createProject } = require('../../helpers/project');
+
+// The parser ESLint itself uses, from ESLint's own dependencies
+const espree = require(require.resolve('espree', { paths: [path.dirname(require.resolve('eslint/package.json'))] }));
+
+function contextFor(sourceType) {
+  return { languageOptions: { parser: espree, ecmaVersion: 2022, sourceType, parserOptions: {} } };
+}
+
+const project = createProject({
+  'src/base.js': 'export class Base {}\nexport default class DefaultBase {}\n',
+  'src/index.js': "export { Base as Renamed } from './base';\nexport * from './more';\n",
+  'src/more.js': 'export class More {}\n',
+  'src/legacy.js': 'class Legacy {}\nmodule.exports = { Legacy };\n',
+  'src/single.js': 'module.exports = class Single {};\n'
+});
+after(() => project.remove());
+
+const filePath = project.file('src/child.js');
+
+function resolve(code, name) {
+  const context = contextFor('module');
+  const program = espree.parse(code, { ecmaVersion: 2022, sourceType: 'module', range: true, loc: true });
+  const declaration = resolveDeclaration(name, filePath, program, context);
+  return declaration && { name: declaration.node.id && declaration.node.id.name, file: path.basename(declaration.filePath) };
+}
+
+describe('resolveDeclaration', () => {
+  it('finds local classes', () => {
+    assert.deepEqual(resolve('class Local {}', 'Local'), { name: 'Local', file: 'child.js' });
+  });
+
+  it('follows named and default imports', () => {
+    assert.deepEqual(resolve("import { Base } from './base';", 'Base'), { name: 'Base', file: 'base.js' });
+    assert.deepEqual(resolve("import Parent from './base';", 'Parent'), { name: 'DefaultBase', file: 'base.js' });
+  });
+
+  it('follows renamed re-exports and export *', () => {
+    assert.deepEqual(resolve("import { Renamed } from './index';", 'Renamed'), { name: 'Base', file: 'base.js' });
+    assert.deepEqual(resolve("import { More } from './index';", 'More'), { name: 'More', file: 'more.js' });
+  });
+
+  it('follows require() of module.exports', () => {
+    assert.deepEqual(resolve("const { Legacy } = require('./legacy');", 'Legacy'), { name: 'Legacy', file: 'legacy.js' });
+    assert.deepEqual(resolve("const Single = require('./single');", 'Single'), { name: 'Single', file: 'single.js' });
+  });
+
+  it('returns null for unknown names and packages', () => {
+    assert.equal(resolve("import { Component } from 'react';", 'Component'), null);
+    assert.equal(resolve('', 'Missing'), null);
+  });
+});
+
+describe('parseFile', () => {
+  it('parses a file once per parser setup', () => {
+    const modules = project.file('src/base.js');
+    // `export` is a syntax error in scripts; the module parse must not be reused for them
+    assert.ok(parseFile(modules, contextFor('module')));
+    assert.equal(parseFile(modules, contextFor('script')), null);
+    assert.equal(parseFile(modules, contextFor('module')), parseFile(modules, contextFor('module')));
+  });
+
+  it('returns null for missing files and without a parser', () => {
+    assert.equal(parseFile(project.file('src/missing.js'), contextFor('module')), null);
+    assert.equal(parseFile(project.file('src/base.js'), {}), null);
+  });
+});
+
+describe('analyzeFile', () => {
+  it('adds the scope analysis of the program', () => {
+    const analysis = analyzeFile(project.file('src/legacy.js'), contextFor('module'));
+    const moduleScope = analysis.scopeManager.globalScope.childScopes[0];
+    assert.ok(moduleScope.variables.some(variable => variable.name === 'Legacy'));
+    assert.match(analysis.text, /module\.exports/);
+  });
+});
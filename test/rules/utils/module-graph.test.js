@@ -0,0 +1,86 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { after, describe, it } = require('node:test');
+
+const { ModuleGraph, extractSpecifiers, listSourceFiles } = require('../../../lib/rules/utils/module-graph');
+const { createProject } = require('../../helpers/project');
+
+const project = createProject({
+  'src/a.js': "import { b } from './b';\nconst c = require('./c');\n",
+  'src/b.js': "export { c } from './c';\n",
+  'src/c.js': "import lodash from 'lodash';\nexport const c = 1;\n",
+  'src/d.ts': "import { a } from './a';\n",
+  'src/types.d.ts': 'export type Id = string;\n',
+  'dist/bundle.js': "require('./chunk');\n",
+  'node_modules/lodash/index.js': 'module.exports = {};\n',
+  '.cache/entry.js': 'export {};\n'
+});
+after(() => project.remove());
+
+describe('extractSpecifiers', () => {
+  it('lists imports, re-exports, requires and dynamic imports in order', () => {
+    const source = [
+      "import x from './x';",
+      "import './polyfill';",
+      "export * from './y';",
+      "const z = require('./z');",
+      "const lazy = import('./lazy');",
+      "import again from './x';"
+    ].join('\n');
+    assert.deepEqual(extractSpecifiers(source), ['./x', './polyfill', './y', './z', './lazy']);
+  });
+
+  it('ignores commented out imports', () => {
+    assert.deepEqual(extractSpecifiers("// import a from './a';\n/* require('./b') */\nimport c from './c';"), ['./c']);
+  });
+});
+
+describe('listSourceFiles', () => {
+  it('skips dependencies, build output, hidden folders and declaration files', () => {
+    const files = listSourceFiles(project.root).map(file => file.slice(project.root.length + 1)).sort();
+    assert.deepEqual(files, ['src/a.js', 'src/b.js', 'src/c.js', 'src/d.ts']);
+  });
+});
+
+describe('ModuleGraph', () => {
+  it('lists the project files a file imports', () => {
+    const graph = new ModuleGraph();
+    assert.deepEqual(graph.dependencies(project.file('src/a.js')), [project.file('src/b.js'), project.file('src/c.js')]);
+    assert.deepEqual(graph.dependencies(project.file('src/c.js')), []);
+  });
+
+  it('uses the text given to updateFile instead of the file on disk', () => {
+    const graph = new ModuleGraph();
+    graph.updateFile(project.file('src/d.ts'), "import { c } from './c';");
+    assert.deepEqual(graph.dependencies(project.file('src/d.ts')), [project.file('src/c.js')]);
+  });
+
+  it('finds the files importing a file and re-indexes updated files', () => {
+    const graph = new ModuleGraph();
+    // Text given to `updateFile` is shared by every graph, as ESLint lints each file once
+    graph.updateFile(project.file('src/d.ts'), "import { a } from './a';");
+    const candidates = listSourceFiles(project.root);
+    assert.deepEqual(graph.importersOf(project.file('src/c.js'), candidates).sort(), [project.file('src/a.js'), project.file('src/b.js')]);
+    assert.deepEqual(graph.importersOf(project.file('src/d.ts'), candidates), []);
+
+    graph.updateFile(project.file('src/b.js'), 'export const b = 1;');
+    assert.deepEqual(graph.importersOf(project.file('src/c.js'), candidates), [project.file('src/a.js')]);
+  });
+
+  it('finds the shortest import chain to a matching file', () => {
+    const graph = new ModuleGraph();
+    graph.updateFile(project.file('src/d.ts'), "import { a } from './a';");
+    assert.deepEqual(
+      graph.findPath(project.file('src/d.ts'), file => file.endsWith('c.js')),
+      [project.file('src/d.ts'), project.file('src/a.js'), project.file('src/c.js')]
+    );
+    assert.equal(graph.findPath(project.file('src/d.ts'), file => file.endsWith('c.js'), { maxDepth: 1 }), null);
+    assert.equal(graph.findPath(project.file('src/c.js'), file => file.endsWith('a.js')), null);
+  });
+
+  it('resolves with the given resolver', () => {
+    const graph = new ModuleGraph({ resolve: specifier => (specifier === './b' ? project.file('src/b.js') : null) });
+    assert.deepEqual(graph.dependencies(project.file('src/a.js')), [project.file('src/b.js')]);
+  });
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { after, describe, it } = require('node:test');
+
+const { resolveModule, resolveFile, findProjectRoot } = require('../../../lib/rules/utils/module-resolver');
+const { createProject } = require('../../helpers/project');
+
+const monorepo = createProject({
+  'package.json': JSON.stringify({ name: 'monorepo', private: true, workspaces: ['packages/*'] }),
+  'packages/core/package.json': JSON.stringify({ name: '@acme/core', main: 'src/index.js' }),
+  'packages/core/src/index.js': 'export const core = 1;\n',
+  'packages/ui/package.json': JSON.stringify({
+    name: '@acme/ui',
+    exports: { '.': { import: './src/main.js' }, './button': './src/button.js' }
+  }),
+  'packages/ui/src/main.js': 'export const ui = 1;\n',
+  'packages/ui/src/button.js': 'export const Button = 1;\n',
+  'packages/app/package.json': JSON.stringify({
+    name: '@acme/app',
+    imports: { '#config': './src/config.js', '#lib/*': './src/lib/*.js' }
+  }),
+  'packages/app/tsconfig.json': [
+    '{',
+    '  // Comments and trailing commas are allowed',
+    '  "compilerOptions": { "baseUrl": ".", "paths": { "@/*": ["src/*"], "@domain/*": ["src/domain/*"], }, },',
+    '}'
+  ].join('\n'),
+  'packages/app/src/main.js': "import { core } from '@acme/core';\n",
+  'packages/app/src/config.js': 'export default {};\n',
+  'packages/app/src/lib/dates.js': 'export const today = 1;\n',
+  'packages/app/src/domain/user.ts': 'export class User {}\n',
+  'packages/app/src/domain/index.js': "export * from './user';\n",
+  'packages/app/node_modules/lodash/index.js': 'module.exports = {};\n'
+});
+after(() => monorepo.remove());
+
+const fromFile = monorepo.file('packages/app/src/main.js');
+
+describe('resolveFile', () => {
+  it('adds source extensions and finds index files', () => {
+    assert.equal(resolveFile(monorepo.file('packages/app/src/config')), monorepo.file('packages/app/src/config.js'));
+    assert.equal(resolveFile(monorepo.file('packages/app/src/domain')), monorepo.file('packages/app/src/domain/index.js'));
+  });
+
+  it('maps the compiled .js extension back to the TypeScript source', () => {
+    assert.equal(resolveFile(monorepo.file('packages/app/src/domain/user.js')), monorepo.file('packages/app/src/domain/user.ts'));
+  });
+
+  it('returns null for missing files', () => {
+    assert.equal(resolveFile(monorepo.file('packages/app/src/missing')), null);
+  });
+});
+
+describe('findProjectRoot', () => {
+  it('stops at the closest package.json or tsconfig.json', () => {
+    assert.equal(findProjectRoot(fromFile), monorepo.file('packages/app'));
+    assert.equal(findProjectRoot(monorepo.file('packages/core/src/index.js')), monorepo.file('packages/core'));
+  });
+});
+
+describe('resolveModule', () => {
+  it('resolves relative specifiers', () => {
+    assert.equal(resolveModule('./config', fromFile), monorepo.file('packages/app/src/config.js'));
+  });
+
+  it('follows tsconfig paths, preferring the most specific pattern', () => {
+    assert.equal(resolveModule('@/config', fromFile), monorepo.file('packages/app/src/config.js'));
+    assert.equal(resolveModule('@domain/user', fromFile), monorepo.file('packages/app/src/domain/user.ts'));
+  });
+
+  it('follows baseUrl', () => {
+    assert.equal(resolveModule('src/lib/dates', fromFile), monorepo.file('packages/app/src/lib/dates.js'));
+  });
+
+  it('follows package.json#imports', () => {
+    assert.equal(resolveModule('#config', fromFile), monorepo.file('packages/app/src/config.js'));
+    assert.equal(resolveModule('#lib/dates', fromFile), monorepo.file('packages/app/src/lib/dates.js'));
+  });
+
+  it('resolves workspace packages declared in the monorepo root', () => {
+    assert.equal(resolveModule('@acme/core', fromFile), monorepo.file('packages/core/src/index.js'));
+    assert.equal(resolveModule('@acme/ui', fromFile), monorepo.file('packages/ui/src/main.js'));
+    assert.equal(resolveModule('@acme/ui/button', fromFile), monorepo.file('packages/ui/src/button.js'));
+  });
+
+  it('applies the given aliases relative to the project root', () => {
+    assert.equal(resolveModule('~lib/dates', fromFile, { aliases: { '~lib/': 'src/lib/' } }), monorepo.file('packages/app/src/lib/dates.js'));
+  });
+
+  it('leaves packages, built-ins and unknown specifiers unresolved', () => {
+    assert.equal(resolveModule('lodash', fromFile), null);
+    assert.equal(resolveModule('node:fs', fromFile), null);
+    assert.equal(resolveModule('@acme/missing', fromFile), null);
+  });
+});
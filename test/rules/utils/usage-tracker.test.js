@@ -0,0 +1,62 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const path = require('path');
+const { describe, it } = require('node:test');
+
+const { collectMemberUsage } = require('../../../lib/rules/utils/usage-tracker');
+
+const eslintDirectory = path.dirname(require.resolve('eslint/package.json'));
+const espree = require(require.resolve('espree', { paths: [eslintDirectory] }));
+const eslintScope = require(require.resolve('eslint-scope', { paths: [eslintDirectory] }));
+
+function usageOf(text, typeNames = []) {
+  const program = espree.parse(text, { ecmaVersion: 2022, sourceType: 'module', range: true, loc: true, comment: true });
+  const scopeManager = eslintScope.analyze(program, { ecmaVersion: 2022, sourceType: 'module' });
+  const usage = collectMemberUsage({ program, scopeManager, text }, { typeNames });
+  return Object.fromEntries(Array.from(usage, ([typeName, members]) => [typeName, Object.fromEntries(members)]));
+}
+
+describe('collectMemberUsage', () => {
+  it('follows instances created with new, including reassignments', () => {
+    const usage = usageOf([
+      "import { Repo } from './repo';",
+      'let repo;',
+      'repo = new Repo();',
+      'repo.find();',
+      'repo.find();',
+      'const other = repo;',
+      'other.save();'
+    ].join('\n'));
+    assert.deepEqual(usage, { Repo: { find: 2, save: 1 } });
+  });
+
+  it('follows this and fields injected through the constructor', () => {
+    const usage = usageOf([
+      'class Service {',
+      '  constructor(userRepository) { this.repo = userRepository; }',
+      '  run() { this.repo.find(); return this.helper(); }',
+      '  helper() { return 1; }',
+      '}'
+    ].join('\n'), ['UserRepository']);
+    assert.deepEqual(usage, { UserRepository: { find: 1 }, Service: { repo: 2, helper: 1 } });
+  });
+
+  it('reads JSDoc parameter types', () => {
+    const usage = usageOf('/** @param {Mailer} transport */\nfunction send(transport) { transport.deliver(); }');
+    assert.deepEqual(usage, { Mailer: { deliver: 1 } });
+  });
+
+  it('counts destructured members', () => {
+    const usage = usageOf("import { Repo } from './repo';\nconst { find, save: store } = new Repo();");
+    assert.deepEqual(usage, { Repo: { find: 1, save: 1 } });
+  });
+
+  it('records object literal variables under their own name', () => {
+    assert.deepEqual(usageOf('const api = { get() {} };\napi.get();'), { api: { get: 1 } });
+  });
+
+  it('ignores values of unknown type', () => {
+    assert.deepEqual(usageOf('function run(thing) { thing.go(); }'), {});
+  });
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const mergeConfigs = require('../../utils/config-merge');
+const { mergeConfigsWithReport } = mergeConfigs;
+
+describe('mergeConfigsWithReport', () => {
+  const base = { rules: { 'no-console': 'error', eqeqeq: 'warn' } };
+  const template = { rules: { 'no-console': 'warn', eqeqeq: 'error', 'no-var': 'error' } };
+
+  it('lets the template win conflicts by default', () => {
+    const { config, conflicts } = mergeConfigsWithReport(base, template);
+    assert.deepEqual(config.rules, { 'no-console': 'warn', eqeqeq: 'error', 'no-var': 'error' });
+    assert.deepEqual(conflicts.map(conflict => [conflict.key, conflict.winner]), [
+      ['rules.no-console', 'template'],
+      ['rules.eqeqeq', 'template']
+    ]);
+  });
+
+  it('keeps the base side with the base precedence', () => {
+    const { config } = mergeConfigsWithReport(base, template, { precedence: 'base' });
+    assert.deepEqual(config.rules, { 'no-console': 'error', eqeqeq: 'warn', 'no-var': 'error' });
+  });
+
+  it('keeps the higher severity with the stricter precedence', () => {
+    const { config, conflicts } = mergeConfigsWithReport(base, template, { precedence: 'stricter' });
+    assert.deepEqual(config.rules, { 'no-console': 'error', eqeqeq: 'error', 'no-var': 'error' });
+    assert.deepEqual(conflicts.map(conflict => conflict.winner), ['base', 'template']);
+  });
+
+  it('throws on an unknown precedence', () => {
+    assert.throws(() => mergeConfigsWithReport(base, template, { precedence: 'newest' }), /Unknown merge precedence "newest"/);
+  });
+
+  it('keeps the items of both sides of set-like rule options without a conflict', () => {
+    const { config, conflicts } = mergeConfigsWithReport(
+      { rules: { 'student-linter/clean-architecture': ['error', { allowedFiles: ['**/main.js'] }] } },
+      { rules: { 'student-linter/clean-architecture': ['error', { allowedFiles: ['**/main.js', '**/app.js'] }] } }
+    );
+    assert.deepEqual(config.rules['student-linter/clean-architecture'], ['error', { allowedFiles: ['**/main.js', '**/app.js'] }]);
+    assert.deepEqual(conflicts, []);
+  });
+
+  it('replaces other array options and reports the replaced path', () => {
+    const { config, conflicts } = mergeConfigsWithReport(
+      { rules: { 'student-linter/clean-architecture': ['error', { layers: ['domain'], maxDepth: 2 }] } },
+      { rules: { 'student-linter/clean-architecture': ['error', { layers: ['domain', 'infrastructure'] }] } }
+    );
+    assert.deepEqual(config.rules['student-linter/clean-architecture'], ['error', { layers: ['domain', 'infrastructure'], maxDepth: 2 }]);
+    assert.equal(conflicts.length, 1);
+    assert.equal(conflicts[0].key, 'rules.student-linter/clean-architecture');
+  });
+
+  it('merges objects, lists and scalar keys', () => {
+    const { config, conflicts } = mergeConfigsWithReport(
+      { env: { node: true }, plugins: 'import', parser: 'espree', rule: { eqeqeq: 'error' } },
+      { env: { jest: true }, plugins: ['import', 'student-linter'], parser: '@typescript-eslint/parser' }
+    );
+    assert.deepEqual(config, {
+      env: { node: true, jest: true },
+      plugins: ['import', 'student-linter'],
+      parser: '@typescript-eslint/parser',
+      rules: { eqeqeq: 'error' }
+    });
+    assert.deepEqual(conflicts.map(conflict => conflict.key), ['parser']);
+  });
+
+  it('merges overrides for the same files and appends the others', () => {
+    const { config, conflicts } = mergeConfigsWithReport(
+      { overrides: [{ files: ['*.test.js'], rules: { 'no-console': 'off' } }] },
+      {
+        overrides: [
+          { files: ['*.test.js'], rules: { 'no-console': 'error' } },
+          { files: ['*.ts'], parser: '@typescript-eslint/parser' }
+        ]
+      }
+    );
+    assert.deepEqual(config.overrides, [
+      { files: ['*.test.js'], rules: { 'no-console': 'error' } },
+      { files: ['*.ts'], parser: '@typescript-eslint/parser' }
+    ]);
+    assert.deepEqual(conflicts.map(conflict => conflict.key), ['overrides[*.test.js].rules.no-console']);
+  });
+});
+
+describe('mergeConfigs', () => {
+  it('returns only the merged configuration', () => {
+    assert.deepEqual(mergeConfigs({ rules: { eqeqeq: 'warn' } }, { rules: { eqeqeq: 'error' } }), { rules: { eqeqeq: 'error' } });
+  });
+});
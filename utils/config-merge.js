@@ -1,34 +1,246 @@
-function mergeConfigs(baseConfig, newConfig) {
-  const merged = { ...baseConfig };
+const SEVERITY_LEVELS = { off: 0, warn: 1, error: 2 };
+
+// Which side wins when the base config and the new config disagree
+const PRECEDENCE_STRATEGIES = ['template', 'base', 'stricter'];
+
+// Keys whose values are plain objects and are merged key by key
+const OBJECT_KEYS = ['env', 'globals', 'parserOptions', 'settings'];
+
+// Keys whose values are lists and are concatenated without duplicates
+const LIST_KEYS = ['plugins', 'extends', 'ignorePatterns'];
+
+// Rule options (of the student-linter rules) that are unordered lists of patterns or names,
+// so the items of both sides can be kept
+const SET_OPTIONS = [
+  'allowedFiles', 'testPatterns', 'concretePatterns', 'abstractPatterns', 'interfacePatterns',
+  'allowedCrossCuts', 'businessLogicPatterns', 'frameworkPatterns', 'forbiddenPackages',
+  'allowedMethods', 'allowedExceptionTypes', 'ignoreClasses', 'ignoreMethods',
+  'sharedModules', 'publicEntries', 'modulesDirs', 'abstractions', 'implementations',
+  'excludePatterns', 'excludeFilePatterns', 'extensionPatterns', 'allowedTypeCheckPatterns',
+  'forbiddenModificationPatterns', 'concreteClassSuffixes', 'abstractClassPrefixes'
+];
+
+// Keys holding a single value that the winning side decides
+const SCALAR_KEYS = ['root', 'parser', 'processor', 'noInlineConfig', 'reportUnusedDisableDirectives'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function deepMerge(base, override) {
+  const merged = { ...base };
+  Object.entries(override).forEach(([key, value]) => {
+    merged[key] = isPlainObject(value) && isPlainObject(merged[key]) ? deepMerge(merged[key], value) : value;
+  });
+  return merged;
+}
+
+function severityOf(entry) {
+  const severity = Array.isArray(entry) ? entry[0] : entry;
+  return typeof severity === 'number' ? severity : SEVERITY_LEVELS[severity];
+}
 
+// Templates use both `rule` and `rules`, read them as one rules object
+function getRules(config) {
+  return { ...config.rule, ...config.rules };
+}
 
-  if (newConfig.env) {
-    merged.env = { ...merged.env, ...newConfig.env };
+function pickWinner(baseEntry, newEntry, precedence) {
+  if (precedence === 'base') return 'base';
+  if (precedence === 'stricter') {
+    return severityOf(baseEntry) > severityOf(newEntry) ? 'base' : 'template';
   }
+  return 'template';
+}
+
+// Combines two values of a rule option: objects key by key, the arrays of
+// `SET_OPTIONS` without duplicates and anything else (including other arrays,
+// whose order or structure may matter) from the winner. `replaced` collects
+// the paths of the loser's values that the winner overrode.
+function combineOptions(loserOption, winnerOption, replaced, optionPath, optionName) {
+  if (winnerOption === undefined) return loserOption;
+  if (loserOption === undefined) return winnerOption;
 
-  if (newConfig.plugins) {
-    merged.plugins = Array.from(new Set([...(merged.plugins || []), ...newConfig.plugins])); // Why it does is because plugins can be an array or a string
+  if (isPlainObject(winnerOption) && isPlainObject(loserOption)) {
+    const combined = { ...loserOption };
+    Object.entries(winnerOption).forEach(([key, value]) => {
+      combined[key] = combineOptions(loserOption[key], value, replaced, `${optionPath}.${key}`, key);
+    });
+    return combined;
+  }
+  if (Array.isArray(winnerOption) && Array.isArray(loserOption) && SET_OPTIONS.includes(optionName)) {
+    const combined = [...loserOption];
+    winnerOption.forEach(item => {
+      if (!combined.some(existing => isEqual(existing, item))) combined.push(item);
+    });
+    return combined;
   }
 
-  if (newConfig.extends) {
-    const baseExtends = Array.isArray(merged.extends) ? merged.extends : (merged.extends ? [merged.extends] : []); // Ensure baseExtends is always an array
-    const newExtends = Array.isArray(newConfig.extends) ? newConfig.extends : [newConfig.extends];
-    merged.extends = Array.from(new Set([...baseExtends, ...newExtends]));
+  if (!isEqual(winnerOption, loserOption)) replaced.push(optionPath);
+  return winnerOption;
+}
+
+// Merges one rule: the winner decides the severity and any option value both sides set,
+// object options are combined key by key and set-like array options keep the items of both sides
+function mergeRuleEntry(baseEntry, newEntry, precedence) {
+  const winner = pickWinner(baseEntry, newEntry, precedence);
+  const [winnerEntry, loserEntry] = winner === 'base' ? [baseEntry, newEntry] : [newEntry, baseEntry];
+
+  const [severity, ...winnerOptions] = toList(winnerEntry);
+  const [, ...loserOptions] = toList(loserEntry);
+  const replaced = [];
+
+  if (winnerOptions.length === 0 && loserOptions.length === 0) {
+    return { entry: winnerEntry, winner, replaced };
   }
 
-  if (newConfig.parserOptions) {
-    merged.parserOptions = { ...merged.parserOptions, ...newConfig.parserOptions };
+  const length = Math.max(winnerOptions.length, loserOptions.length);
+  const options = [];
+  for (let i = 0; i < length; i++) {
+    options.push(combineOptions(loserOptions[i], winnerOptions[i], replaced, `[${i}]`));
   }
 
-  if (newConfig.settings) {
-    merged.settings = { ...merged.settings, ...newConfig.settings };
+  return { entry: [severity, ...options], winner, replaced };
+}
+
+function mergeRules(baseRules, newRules, precedence, conflicts, scope) {
+  const merged = { ...baseRules };
+
+  Object.entries(newRules).forEach(([ruleName, newEntry]) => {
+    if (!(ruleName in merged)) {
+      merged[ruleName] = newEntry;
+      return;
+    }
+
+    const baseEntry = merged[ruleName];
+    const { entry, winner, replaced } = mergeRuleEntry(baseEntry, newEntry, precedence);
+    merged[ruleName] = entry;
+
+    // A different severity, or option values of the losing side that were dropped
+    if (severityOf(baseEntry) !== severityOf(newEntry) || replaced.length > 0) {
+      conflicts.push({
+        key: `${scope}rules.${ruleName}`,
+        base: baseEntry,
+        template: newEntry,
+        resolution: entry,
+        winner
+      });
+    }
+  });
+
+  return merged;
+}
+
+function filesKey(override) {
+  return JSON.stringify([...toList(override.files)].sort());
+}
+
+function mergeOverrides(baseOverrides, newOverrides, precedence, conflicts) {
+  const merged = baseOverrides.map(override => ({ ...override }));
+
+  newOverrides.forEach(override => {
+    const index = merged.findIndex(existing => filesKey(existing) === filesKey(override));
+    if (index === -1) {
+      merged.push(override);
+    } else {
+      const scope = `overrides[${toList(override.files).join(',')}].`;
+      merged[index] = mergeConfig(merged[index], override, precedence, conflicts, scope);
+    }
+  });
+
+  return merged;
+}
+
+function mergeConfig(baseConfig, newConfig, precedence, conflicts, scope = '') {
+  const merged = { ...baseConfig };
+  delete merged.rule;
+
+  OBJECT_KEYS.forEach(key => {
+    if (newConfig[key]) {
+      merged[key] = deepMerge(merged[key] || {}, newConfig[key]);
+    }
+  });
+
+  LIST_KEYS.forEach(key => {
+    if (newConfig[key]) {
+      // `extends` and `plugins` can be a string or an array
+      merged[key] = Array.from(new Set([...toList(merged[key]), ...toList(newConfig[key])]));
+    }
+  });
+
+  SCALAR_KEYS.forEach(key => {
+    if (newConfig[key] === undefined) return;
+    if (merged[key] !== undefined && !isEqual(merged[key], newConfig[key])) {
+      const winner = precedence === 'base' ? 'base' : 'template';
+      conflicts.push({
+        key: `${scope}${key}`,
+        base: merged[key],
+        template: newConfig[key],
+        resolution: winner === 'base' ? merged[key] : newConfig[key],
+        winner
+      });
+      if (winner === 'base') return;
+    }
+    merged[key] = newConfig[key];
+  });
+
+  if (newConfig.files) {
+    merged.files = newConfig.files;
+  }
+  if (newConfig.excludedFiles) {
+    merged.excludedFiles = Array.from(new Set([...toList(merged.excludedFiles), ...toList(newConfig.excludedFiles)]));
+  }
+
+  const baseRules = getRules(baseConfig);
+  const newRules = getRules(newConfig);
+  if (Object.keys(baseRules).length > 0 || Object.keys(newRules).length > 0) {
+    merged.rules = mergeRules(baseRules, newRules, precedence, conflicts, scope);
   }
 
-  if (newConfig.rules) {
-    merged.rules = { ...merged.rules, ...newConfig.rules };
+  if (newConfig.overrides) {
+    merged.overrides = mergeOverrides(merged.overrides || [], newConfig.overrides, precedence, conflicts);
   }
 
   return merged;
 }
 
-module.exports = mergeConfigs;
\ No newline at end of file
+/**
+ * Merges two ESLint (legacy) configurations and reports where they disagree.
+ *
+ * @param {Object} baseConfig - Configuration to merge into (e.g. the project's existing config).
+ * @param {Object} newConfig - Configuration layered on top (e.g. a template).
+ * @param {Object} [options]
+ * @param {'template'|'base'|'stricter'} [options.precedence='template'] - Who wins a conflict:
+ * the new config, the base config, or whichever side has the higher rule severity.
+ * @returns {{config: Object, conflicts: Array<{key: string, base: *, template: *, resolution: *, winner: string}>}}
+ * The merged configuration and the list of conflicting rules and settings. A rule conflicts
+ * when the severities differ or an option value of the losing side was replaced; only
+ * list options that are sets of patterns or names keep the items of both sides.
+ */
+function mergeConfigsWithReport(baseConfig = {}, newConfig = {}, { precedence = 'template' } = {}) {
+  if (!PRECEDENCE_STRATEGIES.includes(precedence)) {
+    throw new Error(`Unknown merge precedence "${precedence}". Expected one of: ${PRECEDENCE_STRATEGIES.join(', ')}.`);
+  }
+
+  const conflicts = [];
+  const config = mergeConfig(baseConfig || {}, newConfig || {}, precedence, conflicts);
+  return { config, conflicts };
+}
+
+function mergeConfigs(baseConfig, newConfig, options) {
+  return mergeConfigsWithReport(baseConfig, newConfig, options).config;
+}
+
+module.exports = mergeConfigs;
+module.exports.mergeConfigs = mergeConfigs;
+module.exports.mergeConfigsWithReport = mergeConfigsWithReport;
+module.exports.PRECEDENCE_STRATEGIES = PRECEDENCE_STRATEGIES;